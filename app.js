@@ -0,0 +1,172 @@
+// Builds the Express app, HTTP server and Socket.IO server from a config object. Nothing
+// here connects to MongoDB or listens on a port; server.js does that, and so do the tests.
+const http = require('http');
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const cors = require('cors');
+const { Server } = require('socket.io');
+const { createStorage, mediaUrlMiddleware } = require('./storage');
+const { createMailer } = require('./mailer');
+const { createRateLimitStore, createRateLimiter, createLoginLockout } = require('./rateLimit');
+const { createTokens } = require('./utils/tokens');
+const { errorEnvelopeMiddleware, errorHandler } = require('./utils/errors');
+const { createAuthenticateToken } = require('./middleware/auth');
+const { createSessionService } = require('./services/sessions');
+const { createNotificationService } = require('./services/notifications');
+const { createFollowService } = require('./services/follows');
+const { createBlockService } = require('./services/blocks');
+const { createMentionService } = require('./services/mentions');
+const { createPostService } = require('./services/posts');
+const { createModerationService } = require('./services/moderation');
+const { createMediaService } = require('./services/media');
+const { createMessageService } = require('./services/messages');
+const { createDataExportService } = require('./services/dataExports');
+const { createAccountService } = require('./services/accounts');
+const { createAuthRouter } = require('./routes/auth');
+const { createUsersRouter } = require('./routes/users');
+const { createPostsRouter } = require('./routes/posts');
+const { createNotificationsRouter } = require('./routes/notifications');
+const { createMessagesRouter } = require('./routes/messages');
+const { createDiscoveryRouter } = require('./routes/discovery');
+const { createModerationRouter } = require('./routes/moderation');
+const { createDataExportsRouter } = require('./routes/dataExports');
+const { attachSocketHandlers } = require('./sockets');
+
+// `db` is the mongoose connection the models in models/ are registered on (the default
+// connection). Routes answer 503 while it is not connected.
+function createApp({ config, db = mongoose.connection }) {
+  const app = express();
+  const server = http.createServer(app);
+  const io = new Server(server, {
+    cors: {
+      origin: config.corsOrigin,
+      methods: ['GET', 'POST', 'PUT', 'DELETE'],
+      credentials: true,
+    },
+  });
+
+  app.set('trust proxy', config.trustProxy);
+
+  // Middleware
+  app.use(cors({ origin: config.corsOrigin, credentials: true }));
+  app.use(errorEnvelopeMiddleware);
+  app.use(express.json());
+
+  // Upload storage (local disk or S3-compatible), see config.storage
+  const storage = createStorage(config.storage);
+  if (storage.driver === 'local') {
+    app.use(config.storage.local.baseUrl, express.static(config.storage.local.dir));
+  }
+  app.use(mediaUrlMiddleware(storage));
+
+  // Data export archives, see config.dataExport. Never served statically.
+  const exportStorage = createStorage({
+    ...config.storage,
+    local: { dir: config.dataExport.dir },
+    s3: { ...config.storage.s3, bucket: config.dataExport.s3Bucket || config.storage.s3.bucket },
+  });
+
+  // Rate limiting, see config.rateLimit. `rateLimit('<rule>')` goes after authenticateToken
+  // on authenticated routes so per-user limits apply.
+  const rateLimitStore = createRateLimitStore(config.rateLimit);
+  const rateLimit = createRateLimiter({
+    store: rateLimitStore,
+    rules: config.rateLimit.rules,
+    enabled: config.rateLimit.enabled,
+  });
+  const loginLockout = createLoginLockout({ store: rateLimitStore, ...config.rateLimit.loginLockout });
+
+  // File upload setup with multer. Files are kept in memory so they can be validated
+  // and processed before anything is written (see storeImages).
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.media.maxUploadBytes },
+  });
+  const archiveUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.dataExport.maxImportBytes },
+  });
+
+  // Services
+  const tokens = createTokens(config.jwt);
+  const sessions = createSessionService({ tokens, io });
+  const notifications = createNotificationService({ io });
+  const follows = createFollowService({ notifications });
+  const blocks = createBlockService({ follows, notifications });
+  const mentions = createMentionService({ notifications });
+  const media = createMediaService({ storage, maxUploadBytes: config.media.maxUploadBytes });
+  const posts = createPostService({ notifications, media, mentions });
+  const messages = createMessageService({ io });
+  const moderation = createModerationService({ sessions });
+  const dataExports = createDataExportService({
+    storage,
+    exportStorage,
+    dataExport: config.dataExport,
+    media,
+    mentions,
+  });
+  const accounts = createAccountService({
+    mailer: createMailer(config.mailer),
+    passwordReset: config.passwordReset,
+    sessions,
+    notifications,
+    follows,
+    posts,
+    media,
+    dataExports,
+  });
+  const authenticateToken = createAuthenticateToken(sessions.verifySession);
+
+  // Everything the routers and socket handlers need
+  const context = {
+    db,
+    io,
+    storage,
+    tokens,
+    upload,
+    archiveUpload,
+    rateLimit,
+    loginLockout,
+    authenticateToken,
+    maxConnectionsPerUser: config.realtime.maxConnectionsPerUser,
+    ...sessions,
+    ...notifications,
+    ...follows,
+    ...blocks,
+    ...mentions,
+    ...posts,
+    ...moderation,
+    ...media,
+    ...messages,
+    ...dataExports,
+    ...accounts,
+  };
+
+  // Routes
+  app.use(createAuthRouter(context));
+  app.use(createUsersRouter(context));
+  app.use(createPostsRouter(context));
+  app.use(createNotificationsRouter(context));
+  app.use(createMessagesRouter(context));
+  app.use(createDiscoveryRouter(context));
+  app.use(createModerationRouter(context));
+  app.use(createDataExportsRouter(context));
+
+  app.use(errorHandler);
+
+  attachSocketHandlers(io, context);
+
+  return {
+    app,
+    server,
+    io,
+    storage,
+    collectOrphanMedia: media.collectOrphanMedia,
+    runPendingExports: dataExports.runPendingExports,
+    removeExpiredExports: dataExports.removeExpiredExports,
+    publishDuePosts: posts.publishDuePosts,
+  };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,134 @@
+// Runtime configuration, read from environment variables
+const path = require('path');
+
+// JWT signing keys. JWT_KEYS is a comma-separated list of `kid:secret` pairs; the first
+// key signs new tokens and the rest are only used to verify tokens issued before a rotation.
+// JWT_SECRET is accepted as a single key for simple deployments.
+function parseJwtKeys() {
+  if (process.env.JWT_KEYS) {
+    return process.env.JWT_KEYS.split(',')
+      .map((pair) => pair.trim())
+      .filter(Boolean)
+      .map((pair) => {
+        const separator = pair.indexOf(':');
+        if (separator <= 0) throw new Error('JWT_KEYS entries must look like kid:secret');
+        return { kid: pair.slice(0, separator), secret: pair.slice(separator + 1) };
+      });
+  }
+
+  if (process.env.JWT_SECRET) {
+    return [{ kid: 'default', secret: process.env.JWT_SECRET }];
+  }
+
+  console.warn('JWT_SECRET is not set, using the development secret');
+  return [{ kid: 'default', secret: 'your_jwt_secret' }];
+}
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Rate limit rules per route class: sliding window length and the most requests allowed
+// in it per client IP and per signed-in user. RATE_LIMIT_RULES (JSON) overrides any of them.
+const DEFAULT_RATE_LIMIT_RULES = {
+  login: { windowMs: 15 * MINUTE, perIp: 20 },
+  register: { windowMs: HOUR, perIp: 10 },
+  refresh: { windowMs: 15 * MINUTE, perIp: 60 },
+  post: { windowMs: HOUR, perUser: 30, perIp: 60 },
+  comment: { windowMs: 10 * MINUTE, perUser: 60, perIp: 120 },
+  like: { windowMs: 10 * MINUTE, perUser: 300, perIp: 600 },
+  follow: { windowMs: HOUR, perUser: 100, perIp: 200 },
+  message: { windowMs: MINUTE, perUser: 30, perIp: 60 },
+  report: { windowMs: HOUR, perUser: 20, perIp: 40 },
+  account: { windowMs: HOUR, perUser: 10, perIp: 30 },
+  dataExport: { windowMs: 24 * HOUR, perUser: 5, perIp: 20 },
+  publicProfile: { windowMs: 15 * MINUTE, perIp: 300 },
+  passwordReset: { windowMs: HOUR, perIp: 10 },
+};
+
+function parseRateLimitRules() {
+  const overrides = process.env.RATE_LIMIT_RULES ? JSON.parse(process.env.RATE_LIMIT_RULES) : {};
+  const rules = { ...DEFAULT_RATE_LIMIT_RULES };
+  Object.keys(overrides).forEach((name) => {
+    rules[name] = { ...rules[name], ...overrides[name] };
+  });
+  return rules;
+}
+
+// Express `trust proxy` setting, so req.ip is the client and not the load balancer
+function parseTrustProxy(value) {
+  if (value === undefined || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+module.exports = {
+  port: process.env.PORT || 3001,
+  mongoUri: process.env.MONGO_URI || 'mongodb://localhost:27017/connectsphere',
+  corsOrigin: process.env.CORS_ORIGIN || 'https://connectsp.netlify.app/',
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  jwt: {
+    keys: parseJwtKeys(),
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+  },
+  realtime: {
+    maxConnectionsPerUser: parseInt(process.env.MAX_CONNECTIONS_PER_USER, 10) || 5, // Per process; see utils/presence.js
+  },
+  // Image uploads (posts, messages, profile and cover images)
+  media: {
+    maxUploadBytes: parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 10 * 1024 * 1024, // Per file, before processing
+  },
+  // Where uploads are kept: STORAGE_DRIVER=local (default) or s3
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    local: {
+      dir: process.env.UPLOADS_DIR || path.join(__dirname, 'uploads'),
+      baseUrl: '/uploads',
+    },
+    s3: {
+      endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO; defaults to AWS
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      publicUrl: process.env.S3_PUBLIC_URL, // Set for public buckets/CDNs; otherwise URLs are signed
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      signedUrlTtl: parseInt(process.env.S3_SIGNED_URL_TTL, 10) || 3600,
+    },
+  },
+  // Personal data export archives. They use the upload storage driver but are kept apart
+  // from uploads (their own directory or bucket) and only ever served through the API.
+  dataExport: {
+    dir: process.env.EXPORTS_DIR || path.join(__dirname, 'exports'),
+    s3Bucket: process.env.EXPORTS_S3_BUCKET, // Defaults to S3_BUCKET
+    ttlHours: parseInt(process.env.EXPORT_TTL_HOURS, 10) || 48,
+    maxImportBytes: parseInt(process.env.MAX_IMPORT_BYTES, 10) || 200 * 1024 * 1024, // Archive size, unpacked
+  },
+  // How often the server publishes scheduled posts that have come due
+  scheduler: {
+    intervalMs: parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 30 * 1000,
+  },
+  // Outgoing email: MAILER_DRIVER=console (logs each message), file (.eml files in MAIL_DIR) or
+  // none. Both local transports expose reset tokens, so production defaults to none.
+  mailer: {
+    driver: process.env.MAILER_DRIVER || (process.env.NODE_ENV === 'production' ? 'none' : 'console'),
+    from: process.env.MAIL_FROM || 'ConnectSphere <no-reply@connectsphere.app>',
+    file: {
+      dir: process.env.MAIL_DIR || path.join(__dirname, 'mail'),
+    },
+  },
+  passwordReset: {
+    url: process.env.PASSWORD_RESET_URL || 'https://connectsp.netlify.app/reset-password', // The token is appended as `?token=`
+    tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+  },
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_DISABLED !== 'true',
+    redisUrl: process.env.RATE_LIMIT_REDIS_URL, // Share counters between instances; in memory when unset
+    rules: parseRateLimitRules(),
+    loginLockout: {
+      freeAttempts: parseInt(process.env.LOGIN_LOCKOUT_ATTEMPTS, 10) || 5,
+      baseLockMs: MINUTE,
+      maxLockMs: HOUR,
+    },
+  },
+};
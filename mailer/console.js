@@ -0,0 +1,13 @@
+// Writes outgoing mail to the server log instead of sending it
+function createConsoleTransport({ from }) {
+  return {
+    driver: 'console',
+    canSend: true,
+
+    async send({ to, subject, text }) {
+      console.log(`Mail from ${from} to ${to}: ${subject}\n${text}`);
+    },
+  };
+}
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,32 @@
+// Writes each outgoing message to `dir` as an .eml file, newest last by name
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function createFileTransport({ dir }, { from }) {
+  return {
+    driver: 'file',
+    canSend: true,
+    dir,
+
+    async send({ to, subject, text }) {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const date = new Date();
+      const filename = `${date.getTime()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      const message = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${date.toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        text,
+      ].join('\r\n');
+
+      await fs.promises.writeFile(path.join(dir, filename), message);
+    },
+  };
+}
+
+module.exports = { createFileTransport };
@@ -0,0 +1,16 @@
+// Outgoing email. Transports expose `send({ to, subject, text })` and `canSend`; the driver
+// is picked from config so local setups can read mail from the log or from files.
+const { createConsoleTransport } = require('./console');
+const { createFileTransport } = require('./file');
+const { createNoneTransport } = require('./none');
+
+function createMailer(config) {
+  switch (config.driver) {
+    case 'console': return createConsoleTransport(config);
+    case 'file': return createFileTransport(config.file, config);
+    case 'none': return createNoneTransport();
+    default: throw new Error(`Unknown mailer driver: ${config.driver}`);
+  }
+}
+
+module.exports = { createMailer };
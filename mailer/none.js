@@ -0,0 +1,14 @@
+// Stands in when no mail transport is configured (the production default): nothing that
+// needs email, such as password resets, is offered
+function createNoneTransport() {
+  return {
+    driver: 'none',
+    canSend: false,
+
+    async send() {
+      throw new Error('No mail transport is configured');
+    },
+  };
+}
+
+module.exports = { createNoneTransport };
@@ -0,0 +1,33 @@
+const { AccountSuspendedError } = require('../services/sessions');
+const { hasRole } = require('../utils/moderation');
+
+// Middleware to verify JWT. `verifySession` comes from the session service.
+function createAuthenticateToken(verifySession) {
+  return async function authenticateToken(req, res, next) {
+    const token = req.header('Authorization');
+    if (!token) return res.status(401).json({ message: 'Access Denied' });
+
+    try {
+      req.user = await verifySession(token);
+    } catch (error) {
+      if (error instanceof AccountSuspendedError) {
+        return res.status(403).json({ code: 'ACCOUNT_SUSPENDED', message: error.message });
+      }
+      return res.status(403).json({ message: 'Invalid Token' });
+    }
+    next();
+  };
+}
+
+// Lets the request through only for users with `minimumRole` or a more privileged one.
+// Goes after authenticateToken.
+function requireRole(minimumRole) {
+  return function checkRole(req, res, next) {
+    if (!hasRole(req.user.role, minimumRole)) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+    next();
+  };
+}
+
+module.exports = { createAuthenticateToken, requireRole };
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One user blocking another. Blocked users cannot follow, see or interact with the blocker,
+// and the blocker no longer sees them.
+const blockSchema = new mongoose.Schema({
+  blockerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  blockedId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+blockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+blockSchema.index({ blockerId: 1, createdAt: -1, _id: -1 });
+blockSchema.index({ blockedId: 1 });
+
+// Whether either user has blocked the other
+blockSchema.statics.isBlockedEitherWay = async function (userId, otherId) {
+  return Boolean(await this.exists({
+    $or: [
+      { blockerId: userId, blockedId: otherId },
+      { blockerId: otherId, blockedId: userId },
+    ],
+  }));
+};
+
+// Ids of everyone `userId` blocked or was blocked by
+blockSchema.statics.relatedIds = async function (userId) {
+  const [blocked, blockedBy] = await Promise.all([
+    this.distinct('blockedId', { blockerId: userId }),
+    this.distinct('blockerId', { blockedId: userId }),
+  ]);
+  return [...blocked, ...blockedBy];
+};
+
+module.exports = mongoose.model('Block', blockSchema);
@@ -1,10 +1,26 @@
-const mongoose = require('mongoose');
-
-const commentSchema = new mongoose.Schema({
-  postId: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  username: { type: String, required: true },
-  content: { type: String, required: true },
-}, { timestamps: true });
-
-module.exports = mongoose.model('Comment', commentSchema);
\ No newline at end of file
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  postId: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  username: { type: String, required: true },
+  content: { type: String, required: true, maxlength: 1000 },
+  mentions: [
+    {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      username: { type: String },
+      start: { type: Number }, // Offsets of `@username` in `content`, end exclusive
+      end: { type: Number },
+    },
+  ],
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null }, // Top-level comment this replies to
+  replyCount: { type: Number, default: 0 },
+  likes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  likeCount: { type: Number, default: 0 },
+  editedAt: { type: Date },
+}, { timestamps: true });
+
+commentSchema.index({ postId: 1, parentId: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ userId: 1, createdAt: -1 }); // Recent comments, for feed ranking
+
+module.exports = mongoose.model('Comment', commentSchema);
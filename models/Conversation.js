@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  participants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }],
+  isGroup: { type: Boolean, default: false }, // More than two participants, or explicitly created as a group
+  name: { type: String, default: '', maxlength: 100 }, // Only used for group conversations
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  lastMessage: {
+    senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    content: { type: String },
+    createdAt: { type: Date },
+  },
+  lastMessageAt: { type: Date, default: Date.now }, // Used to order the conversation list
+  readState: [
+    {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      lastReadAt: { type: Date, default: Date.now },
+    },
+  ],
+}, { timestamps: true });
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1, _id: -1 });
+
+conversationSchema.methods.hasParticipant = function (userId) {
+  return this.participants.some((id) => id.toString() === userId.toString());
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
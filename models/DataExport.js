@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const EXPORT_STATUSES = ['pending', 'processing', 'ready', 'failed'];
+
+// A personal data export job. The archive is written to export storage under `key` once
+// the job has run, and removed with the job when it expires.
+const dataExportSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: EXPORT_STATUSES, default: 'pending' },
+  key: { type: String }, // Storage key of the archive
+  size: { type: Number }, // Bytes
+  error: { type: String },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+  expiresAt: { type: Date }, // Set when the archive is ready
+}, { timestamps: true });
+
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, createdAt: 1 }); // Job queue
+dataExportSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
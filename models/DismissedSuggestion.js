@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// A user the viewer does not want to be suggested to follow again
+const dismissedSuggestionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  dismissedUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+dismissedSuggestionSchema.index({ userId: 1, dismissedUserId: 1 }, { unique: true });
+
+module.exports = mongoose.model('DismissedSuggestion', dismissedSuggestionSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One user following another. The unique index makes following idempotent under
+// concurrent requests; counts are kept on User as `followerCount`/`followingCount`.
+const followSchema = new mongoose.Schema({
+  followerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  followingId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+followSchema.index({ followerId: 1, followingId: 1 }, { unique: true });
+followSchema.index({ followingId: 1, createdAt: -1, _id: -1 }); // Followers list
+followSchema.index({ followerId: 1, createdAt: -1, _id: -1 }); // Following list
+
+followSchema.statics.isFollowing = async function (followerId, followingId) {
+  return Boolean(await this.exists({ followerId, followingId }));
+};
+
+// Ids of everyone `userId` follows
+followSchema.statics.followingIds = function (userId) {
+  return this.distinct('followingId', { followerId: userId });
+};
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// A pending request to follow a private account. Approved or rejected requests are deleted.
+const followRequestSchema = new mongoose.Schema({
+  requesterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+followRequestSchema.index({ requesterId: 1, targetId: 1 }, { unique: true });
+followRequestSchema.index({ targetId: 1, createdAt: -1, _id: -1 });
+followRequestSchema.index({ requesterId: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('FollowRequest', followRequestSchema);
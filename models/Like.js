@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A user liking a post. The unique index makes liking idempotent under concurrent
+// requests; the count is kept on Post as `likeCount`.
+const likeSchema = new mongoose.Schema({
+  postId: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+likeSchema.index({ postId: 1, userId: 1 }, { unique: true });
+likeSchema.index({ postId: 1, createdAt: -1, _id: -1 });
+likeSchema.index({ userId: 1, postId: 1 });
+likeSchema.index({ userId: 1, createdAt: -1 }); // Recent likes, for feed ranking
+
+module.exports = mongoose.model('Like', likeSchema);
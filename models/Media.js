@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// An uploaded image and its resized variants. Files are garbage-collected once no post,
+// profile (picture or cover) or message references `key` any more.
+// Uploads start out `pending`; the orphan sweep checks each one once, after a grace period,
+// and either removes it or marks it `attached`. From then on releaseMedia looks after it.
+const mediaSchema = new mongoose.Schema({
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  kind: { type: String, enum: ['post', 'profile', 'cover', 'message'], required: true }, // What the upload was for
+  status: { type: String, enum: ['pending', 'attached'], default: 'pending' },
+  key: { type: String, required: true, unique: true }, // Storage key of the main image
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true }, // Bytes, after processing
+  width: { type: Number },
+  height: { type: Number },
+  variants: [
+    {
+      name: { type: String }, // e.g. `thumbnail`
+      key: { type: String },
+      width: { type: Number },
+      height: { type: Number },
+    },
+  ],
+}, { timestamps: true });
+
+mediaSchema.index({ status: 1, createdAt: 1 }); // Pending uploads for the orphan sweep
+
+module.exports = mongoose.model('Media', mediaSchema);
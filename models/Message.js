@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+  senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  senderUsername: { type: String, required: true },
+  content: { type: String, default: '', maxlength: 2000 },
+  photo: { type: String }, // Storage key of an uploaded photo, if any
+  readBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+}, { timestamps: true });
+
+messageSchema.index({ conversationId: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const { MODERATION_ACTIONS, REPORT_TARGET_TYPES } = require('../utils/moderation');
+
+// Audit log: one entry per action a moderator or admin took. Entries are never edited.
+const moderationLogSchema = new mongoose.Schema({
+  moderatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, enum: MODERATION_ACTIONS, required: true },
+  targetType: { type: String, enum: [...REPORT_TARGET_TYPES, 'report'], required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  reportId: { type: mongoose.Schema.Types.ObjectId, ref: 'Report' },
+  reason: { type: String, default: '' },
+  details: { type: mongoose.Schema.Types.Mixed }, // Action-specific, e.g. `{ until }` for suspensions
+}, { timestamps: true });
+
+moderationLogSchema.index({ createdAt: -1, _id: -1 });
+moderationLogSchema.index({ moderatorId: 1, createdAt: -1, _id: -1 });
+moderationLogSchema.index({ targetId: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('ModerationLog', moderationLogSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// One user muting another. Muted users' posts and notifications are hidden from the muter;
+// the muted user is not told and sees no difference.
+const muteSchema = new mongoose.Schema({
+  muterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  mutedId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+muteSchema.index({ muterId: 1, mutedId: 1 }, { unique: true });
+muteSchema.index({ muterId: 1, createdAt: -1, _id: -1 });
+
+// Ids of everyone `userId` muted
+muteSchema.statics.mutedIds = function (userId) {
+  return this.distinct('mutedId', { muterId: userId });
+};
+
+module.exports = mongoose.model('Mute', muteSchema);
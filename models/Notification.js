@@ -1,14 +1,22 @@
-const mongoose = require('mongoose');
-
-const notificationSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // User receiving the notification
-  type: { type: String, required: true, enum: ['like', 'comment', 'follow'] }, // Type of notification
-  fromUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // User who triggered the notification
-  fromUsername: { type: String, required: true }, // Username of the user who triggered the notification
-  postId: { type: mongoose.Schema.Types.ObjectId, ref: 'Post' }, // Post involved (if applicable)
-  content: { type: String }, // Optional content (e.g., comment text)
-  createdAt: { type: Date, default: Date.now },
-  read: { type: Boolean, default: false }, // Whether the notification has been read
-});
-
-module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../utils/notifications');
+
+// Repeated notifications of the same type about the same post are grouped into one
+// unread notification; `actors` lists everyone in the group, most recent first
+const notificationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // User receiving the notification
+  fromUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Most recent actor
+  actors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  actorCount: { type: Number, default: 1 },
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+  postId: { type: mongoose.Schema.Types.ObjectId, ref: 'Post' }, // Post involved (if applicable)
+  read: { type: Boolean, default: false },
+  readAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  lastActivityAt: { type: Date, default: Date.now }, // Bumped when someone joins the group
+});
+
+notificationSchema.index({ userId: 1, lastActivityAt: -1, _id: -1 });
+notificationSchema.index({ userId: 1, read: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// A password reset link. Like sessions, only the hash of the emailed token is stored.
+const passwordResetTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null }, // Tokens work once
+}, { timestamps: true });
+
+// Let MongoDB remove tokens once they have expired
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
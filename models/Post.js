@@ -1,30 +1,53 @@
-const mongoose = require('mongoose');
-
-const postSchema = new mongoose.Schema({
-  content: { type: String, required: true },
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  username: { type: String, required: true },
-  photo: { type: String },
-  likes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User', default: [] }],
-  comments: [
-    {
-      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-      username: { type: String },
-      content: { type: String, required: true },
-      createdAt: { type: Date, default: Date.now },
-    },
-  ],
-  visibility: { type: String, enum: ['public', 'private'], default: 'public' },
-  createdAt: { type: Date, default: Date.now },
-});
-
-// Ensure likes is always an array
-postSchema.pre('save', function (next) {
-  if (!Array.isArray(this.likes)) {
-    this.likes = [];
-  }
-  this.likes = this.likes.filter((id) => id != null); // Remove null/undefined values
-  next();
-});
-
-module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
+const mongoose = require('mongoose');
+const { VISIBILITIES, POST_STATUSES } = require('../utils/postAccess');
+
+const postSchema = new mongoose.Schema({
+  content: {
+    type: String,
+    default: '',
+    required() { return !this.repostOf; }, // Plain reposts have no content of their own
+  },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  username: { type: String, required: true },
+  photos: [{ type: String }], // Storage keys
+  photoThumbnails: [{ type: String }], // Same order as `photos`
+  likeCount: { type: Number, default: 0 }, // Likes live in the Like collection
+  commentCount: { type: Number, default: 0 }, // Comments live in the Comment collection
+  hashtags: [{ type: String }], // Extracted from `content`, lowercase without the `#`
+  mentions: [
+    {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      username: { type: String },
+      start: { type: Number }, // Offsets of `@username` in `content`, end exclusive
+      end: { type: Number },
+    },
+  ],
+  visibility: { type: String, enum: VISIBILITIES, default: 'public' },
+  status: { type: String, enum: POST_STATUSES, default: 'published' },
+  publishAt: { type: Date, default: null }, // When a scheduled post goes out
+  repostOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', default: null }, // Original of a plain repost
+  quoteOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', default: null }, // Original of a quote post, which may since be gone
+  repostCount: { type: Number, default: 0 },
+  quoteCount: { type: Number, default: 0 },
+  hiddenAt: { type: Date, default: null }, // Set when a moderator hides the post; only its author still sees it
+  createdAt: { type: Date, default: Date.now }, // Reset to the publish time when a draft or scheduled post goes out
+});
+
+// Supports cursor pagination on profile pages and the feed
+postSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+postSchema.index({ hashtags: 1, createdAt: -1, _id: -1 });
+postSchema.index({ content: 'text' });
+postSchema.index({ 'mentions.userId': 1, createdAt: -1, _id: -1 });
+postSchema.index({ photos: 1 });
+postSchema.index({ visibility: 1, createdAt: -1 }); // Recent public posts, for the ranked feed
+// One plain repost per user and original
+postSchema.index(
+  { userId: 1, repostOf: 1 },
+  { unique: true, partialFilterExpression: { repostOf: { $type: 'objectId' } } }
+);
+postSchema.index({ repostOf: 1 });
+postSchema.index({ userId: 1, status: 1, createdAt: -1, _id: -1 }); // The author's drafts and scheduled posts
+postSchema.index({ status: 1, publishAt: 1 }); // Scheduled posts that are due
+postSchema.index({ quoteOf: 1 });
+
+module.exports = mongoose.model('Post', postSchema);
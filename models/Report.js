@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const { REPORT_TARGET_TYPES, REPORT_REASONS, REPORT_STATUSES, MODERATION_ACTIONS } = require('../utils/moderation');
+
+// A user flagging a post, comment or user for moderators to review
+const reportSchema = new mongoose.Schema({
+  reporterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  targetType: { type: String, enum: REPORT_TARGET_TYPES, required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Author of the post or comment, or the reported user
+  reason: { type: String, enum: REPORT_REASONS, required: true },
+  details: { type: String, default: '', maxlength: 1000 },
+  status: { type: String, enum: REPORT_STATUSES, default: 'open' },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resolvedAt: { type: Date },
+  action: { type: String, enum: MODERATION_ACTIONS }, // What the moderator did about it
+}, { timestamps: true });
+
+// One open report per reporter and target; reporting again updates it
+reportSchema.index(
+  { reporterId: 1, targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+reportSchema.index({ status: 1, createdAt: -1, _id: -1 }); // Moderation queue
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+
+module.exports = mongoose.model('Report', reportSchema);
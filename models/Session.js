@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One login on one device. The refresh token itself is never stored, only its hash.
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  previousTokenHash: { type: String, index: true }, // Last rotated-out token, used to detect reuse
+  userAgent: { type: String, default: '' },
+  ip: { type: String, default: '' },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
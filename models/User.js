@@ -1,13 +1,40 @@
-const mongoose = require('mongoose');
-
-const userSchema = new mongoose.Schema({
-  username: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
-  name: { type: String, default: '' }, // User's display name
-  profilePic: { type: String }, // URL or path to profile picture
-  bio: { type: String, default: '', maxlength: 160 }, // Bio with a 160-char limit (common for social media)
-  followers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-  following: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-});
-
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../utils/notifications');
+const { USER_ROLES } = require('../utils/moderation');
+
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true },
+  password: { type: String, required: true },
+  email: { type: String, lowercase: true, trim: true }, // Optional; needed for password resets
+  name: { type: String }, // User's display name
+  profilePic: { type: String }, // Storage key of the profile picture
+  bio: { type: String, default: '', maxlength: 160 }, // Bio with a 160-char limit (common for social media)
+  links: [
+    {
+      label: { type: String, maxlength: 30 },
+      url: { type: String, required: true }, // http(s) only, checked on input
+    },
+  ],
+  location: { type: String, default: '', maxlength: 100 },
+  coverImage: { type: String }, // Storage key of the profile's cover image
+  pinnedPostId: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', default: null }, // Shown first on the profile
+  followerCount: { type: Number, default: 0 }, // Follow edges live in the Follow collection
+  followingCount: { type: Number, default: 0 },
+  isPrivate: { type: Boolean, default: false }, // Private accounts approve their followers
+  closeFriends: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // Audience for `close_friends` posts
+  lastSeenAt: { type: Date }, // Updated when the user's last socket connects or disconnects
+  notificationPreferences: {
+    muted: [{ type: String, enum: NOTIFICATION_TYPES }], // Types the user does not want to be notified about
+  },
+  role: { type: String, enum: USER_ROLES, default: 'user' },
+  suspendedUntil: { type: Date, default: null }, // Signed-in requests are rejected until then
+  suspensionReason: { type: String },
+});
+
+userSchema.index(
+  { email: 1 },
+  { unique: true, partialFilterExpression: { email: { $type: 'string' } } }
+);
+userSchema.index({ followerCount: -1, _id: 1 }); // Popular accounts, for follow suggestions
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,120 @@
+// Rate limiting with sliding windows, per IP and/or per user, plus progressive lockout
+// of accounts after repeated failed logins.
+const { createMemoryStore } = require('./memoryStore');
+const { createRedisStore } = require('./redisStore');
+
+// Commands sent while the Redis client is still connecting are queued by the client
+function createRateLimitStore({ redisUrl }) {
+  if (!redisUrl) return createMemoryStore();
+
+  const { createClient } = require('redis');
+  const client = createClient({ url: redisUrl });
+  client.on('error', (error) => console.error('Rate limit store error:', error));
+  client.connect()
+    .then(() => console.log('Connected to rate limit store'))
+    .catch((error) => console.error('Rate limit store connection error:', error));
+  return createRedisStore(client);
+}
+
+// Sliding window counter: this window's count plus the previous window's count weighted
+// by how much of it still overlaps the sliding window. Returns the weighted count and,
+// when over `max`, how long until the next request would fit under it again.
+async function hitSlidingWindow(store, key, windowMs, max, now = Date.now()) {
+  const windowIndex = Math.floor(now / windowMs);
+  const elapsed = now - windowIndex * windowMs;
+
+  const current = await store.incr(`${key}:${windowIndex}`, windowMs * 2);
+  const previous = (await store.get(`${key}:${windowIndex - 1}`)) || 0;
+  const count = previous * ((windowMs - elapsed) / windowMs) + current;
+
+  if (count <= max) return { count, limited: false, retryAfterMs: 0 };
+
+  // Rejected requests count too, so the retry itself has to fit: `current + 1`
+  let retryAfterMs;
+  if (current + 1 <= max) {
+    // Later in this window: previous * (windowMs - elapsed - t) / windowMs + current + 1 <= max
+    retryAfterMs = windowMs - elapsed - ((max - current - 1) * windowMs) / previous;
+  } else {
+    // In the next window, once this one has slid out enough: current * (windowMs - t) / windowMs + 1 <= max
+    retryAfterMs = windowMs - elapsed + windowMs * (1 - Math.max(0, max - 1) / current);
+  }
+  return { count, limited: true, retryAfterMs: Math.max(0, retryAfterMs) };
+}
+
+function tooManyRequests(res, retryAfterMs) {
+  res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  return res.status(429).json({ message: 'Too many requests, please try again later' });
+}
+
+// Returns `rateLimit(ruleName)`, an Express middleware factory. Each rule is
+// `{ windowMs, perIp, perUser }`; per-user limits need `req.user`, so put the
+// middleware after authenticateToken.
+function createRateLimiter({ store, rules, enabled = true }) {
+  return function rateLimit(ruleName) {
+    const rule = rules[ruleName];
+    if (!rule) throw new Error(`Unknown rate limit rule: ${ruleName}`);
+
+    return async (req, res, next) => {
+      if (!enabled) return next();
+
+      const checks = [];
+      if (rule.perIp) checks.push({ key: `${ruleName}:ip:${req.ip}`, max: rule.perIp });
+      if (rule.perUser && req.user) checks.push({ key: `${ruleName}:user:${req.user.id}`, max: rule.perUser });
+
+      try {
+        for (const check of checks) {
+          const result = await hitSlidingWindow(store, check.key, rule.windowMs, check.max);
+          if (result.limited) {
+            console.log('Rate limit exceeded:', check.key);
+            res.set('RateLimit-Limit', String(check.max));
+            res.set('RateLimit-Remaining', '0');
+            return tooManyRequests(res, result.retryAfterMs);
+          }
+        }
+      } catch (error) {
+        // Don't take the API down with the limiter; let the request through
+        console.error('Rate limit store failure:', error);
+      }
+      next();
+    };
+  };
+}
+
+// Locks an account out of password logins after repeated failures. Each lock after
+// `freeAttempts` failures doubles in length, up to `maxLockMs`.
+function createLoginLockout({ store, freeAttempts = 5, baseLockMs = 60 * 1000, maxLockMs = 60 * 60 * 1000, resetMs = 24 * 60 * 60 * 1000 }) {
+  const failuresKey = (username) => `login-failures:${username.toLowerCase()}`;
+  const lockKey = (username) => `login-lock:${username.toLowerCase()}`;
+
+  return {
+    // Milliseconds until the account may try again, or 0 when it is not locked
+    async lockedFor(username) {
+      const lockedUntil = await store.get(lockKey(username));
+      return lockedUntil ? Math.max(0, lockedUntil - Date.now()) : 0;
+    },
+
+    async recordFailure(username) {
+      const failures = await store.incr(failuresKey(username), resetMs);
+      if (failures < freeAttempts) return 0;
+
+      const lockMs = Math.min(baseLockMs * 2 ** (failures - freeAttempts), maxLockMs);
+      await store.set(lockKey(username), Date.now() + lockMs, lockMs);
+      return lockMs;
+    },
+
+    async recordSuccess(username) {
+      await store.del(failuresKey(username));
+      await store.del(lockKey(username));
+    },
+  };
+}
+
+module.exports = {
+  createRateLimitStore,
+  createMemoryStore,
+  createRedisStore,
+  hitSlidingWindow,
+  tooManyRequests,
+  createRateLimiter,
+  createLoginLockout,
+};
@@ -0,0 +1,50 @@
+// Counter store kept in process memory. Fine for a single instance; use the Redis
+// store when several instances share traffic.
+function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  return {
+    async incr(key, ttlMs) {
+      const entry = live(key);
+      if (entry) {
+        entry.value += 1;
+        return entry.value;
+      }
+      entries.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+      return 1;
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async del(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,29 @@
+// Counter store backed by Redis (or anything that speaks its protocol, e.g. Valkey or
+// KeyDB), shared by every instance. `client` is a connected node-redis client.
+function createRedisStore(client, { prefix = 'rl:' } = {}) {
+  const send = (args) => client.sendCommand(args.map(String));
+
+  return {
+    async incr(key, ttlMs) {
+      const value = Number(await send(['INCR', prefix + key]));
+      // Only the first increment starts the clock, like the memory store
+      if (value === 1) await send(['PEXPIRE', prefix + key, ttlMs]);
+      return value;
+    },
+
+    async get(key) {
+      const value = await send(['GET', prefix + key]);
+      return value === null ? null : Number(value);
+    },
+
+    async set(key, value, ttlMs) {
+      await send(['SET', prefix + key, value, 'PX', Math.max(1, Math.ceil(ttlMs))]);
+    },
+
+    async del(key) {
+      await send(['DEL', prefix + key]);
+    },
+  };
+}
+
+module.exports = { createRedisStore };
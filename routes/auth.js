@@ -0,0 +1,383 @@
+// Registration, login, token refresh, sessions, and password, username and account changes
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { tooManyRequests } = require('../rateLimit');
+const { generateRefreshToken, hashToken } = require('../utils/tokens');
+const { isSuspended } = require('../utils/moderation');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+
+const DUPLICATE_KEY = 11000;
+
+function createAuthRouter({
+  db,
+  tokens,
+  authenticateToken,
+  rateLimit,
+  loginLockout,
+  createSession,
+  disconnectSessions,
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+  changeUsername,
+  deleteAccount,
+}) {
+  const router = express.Router();
+  const { signAccessToken, refreshTokenExpiry } = tokens;
+
+  // Health check route
+  router.get('/api/health', (req, res) => {
+    console.log('Health check endpoint hit');
+    res.json({ message: 'Server is running', mongodbConnected: db.readyState === 1 });
+  });
+
+  // User Registration
+  router.post('/api/register', rateLimit('register'), validate(schemas.register), async (req, res) => {
+    console.log('Register endpoint hit for username:', req.body.username);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { username, name, email, password } = req.body;
+
+    try {
+      const existingUser = await User.findOne({ username });
+      if (existingUser) {
+        return res.status(400).json({ message: 'Username already exists' });
+      }
+      if (email && await User.exists({ email })) {
+        return res.status(400).json({ message: 'Email already in use' });
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+      const user = new User({ username, name, email, password: hashedPassword });
+      try {
+        await user.save();
+      } catch (error) {
+        // Someone else registered the name or email between the checks and the save
+        if (error.code !== DUPLICATE_KEY) throw error;
+        const message = error.keyPattern && error.keyPattern.email ? 'Email already in use' : 'Username already exists';
+        return res.status(400).json({ message });
+      }
+
+      const { token, refreshToken } = await createSession(user, req);
+      res.json({ token, refreshToken, userId: user._id, username: user.username });
+    } catch (error) {
+      console.error('Error registering user:', error);
+      res.status(500).json({ message: 'Error registering user' });
+    }
+  });
+
+  // User Login
+  router.post('/api/login', rateLimit('login'), validate(schemas.login), async (req, res) => {
+    console.log('Login endpoint hit for username:', req.body.username);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { username, password } = req.body;
+
+    try {
+      // Locks are per username whether or not the account exists, so they don't reveal which do
+      const lockedForMs = await loginLockout.lockedFor(username);
+      if (lockedForMs > 0) return tooManyRequests(res, lockedForMs);
+
+      const user = await User.findOne({ username });
+      const isMatch = user ? await bcrypt.compare(password, user.password) : false;
+      if (!isMatch) {
+        await loginLockout.recordFailure(username);
+        return res.status(400).json({ message: 'Invalid credentials' });
+      }
+
+      await loginLockout.recordSuccess(username);
+
+      if (isSuspended(user)) {
+        return res.status(403).json({
+          code: 'ACCOUNT_SUSPENDED',
+          message: `Account suspended until ${user.suspendedUntil.toISOString()}`,
+        });
+      }
+
+      const { token, refreshToken } = await createSession(user, req);
+      res.json({ token, refreshToken, userId: user._id, username: user.username });
+    } catch (error) {
+      console.error('Error logging in:', error);
+      res.status(500).json({ message: 'Error logging in' });
+    }
+  });
+
+  // Exchange a Refresh Token for a new Access Token (the refresh token is rotated)
+  router.post('/api/token/refresh', rateLimit('refresh'), validate(schemas.refreshToken), async (req, res) => {
+    console.log('Token refresh endpoint hit');
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { refreshToken } = req.body;
+
+    try {
+      const tokenHash = hashToken(refreshToken);
+      const session = await Session.findOne({ tokenHash });
+
+      if (!session) {
+        // A rotated-out token being presented again means it was copied; end that session
+        const reusedSession = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+        if (reusedSession) {
+          reusedSession.revokedAt = new Date();
+          await reusedSession.save();
+          await disconnectSessions(reusedSession.userId, [reusedSession._id.toString()]);
+          console.log('Refresh token reuse detected, revoked session:', reusedSession._id);
+        }
+        return res.status(401).json({ message: 'Invalid refresh token' });
+      }
+      if (!session.isActive()) {
+        return res.status(401).json({ message: 'Invalid refresh token' });
+      }
+
+      const newRefreshToken = generateRefreshToken();
+      session.previousTokenHash = session.tokenHash;
+      session.tokenHash = hashToken(newRefreshToken);
+      session.lastUsedAt = new Date();
+      session.expiresAt = refreshTokenExpiry();
+      session.userAgent = req.get('User-Agent') || session.userAgent;
+      session.ip = req.ip;
+      await session.save();
+
+      const token = signAccessToken({ id: session.userId.toString(), sid: session._id.toString() });
+      res.json({ token, refreshToken: newRefreshToken });
+    } catch (error) {
+      console.error('Error refreshing token:', error);
+      res.status(500).json({ message: 'Error refreshing token' });
+    }
+  });
+
+  // Log Out (revokes the current session)
+  router.post('/api/logout', authenticateToken, async (req, res) => {
+    console.log('Logout endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      await Session.updateOne({ _id: req.user.sid }, { revokedAt: new Date() });
+      await disconnectSessions(req.user.id, [req.user.sid]);
+
+      res.json({ message: 'Logged out' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+      res.status(500).json({ message: 'Error logging out' });
+    }
+  });
+
+  // Log Out of All Devices
+  router.post('/api/logout/all', authenticateToken, async (req, res) => {
+    console.log('Logout all endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const result = await Session.updateMany(
+        { userId: req.user.id, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+      await disconnectSessions(req.user.id);
+
+      res.json({ message: 'Logged out of all devices', revokedSessions: result.modifiedCount });
+    } catch (error) {
+      console.error('Error logging out of all devices:', error);
+      res.status(500).json({ message: 'Error logging out of all devices' });
+    }
+  });
+
+  // List Active Sessions
+  router.get('/api/sessions', authenticateToken, async (req, res) => {
+    console.log('Sessions endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const sessions = await Session.find(
+        { userId: req.user.id, revokedAt: null, expiresAt: { $gt: new Date() } },
+        'userAgent ip createdAt lastUsedAt expiresAt'
+      ).sort({ lastUsedAt: -1 });
+
+      res.json(sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.user.sid,
+      })));
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      res.status(500).json({ message: 'Error fetching sessions' });
+    }
+  });
+
+  // Revoke a Single Session
+  router.delete('/api/sessions/:sessionId', authenticateToken, validate(schemas.revokeSession), async (req, res) => {
+    console.log('Revoke session endpoint hit for session:', req.params.sessionId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const session = await Session.findOne({ _id: req.params.sessionId, userId: req.user.id });
+      if (!session) return res.status(404).json({ message: 'Session not found' });
+
+      if (!session.revokedAt) {
+        session.revokedAt = new Date();
+        await session.save();
+      }
+      await disconnectSessions(req.user.id, [session._id.toString()]);
+
+      res.json({ message: 'Session revoked' });
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      res.status(500).json({ message: 'Error revoking session' });
+    }
+  });
+
+  // Get Current User Info
+  router.get('/api/main', authenticateToken, async (req, res) => {
+    console.log('Main endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      res.json({
+        userId: user._id,
+        username: user.username,
+        name: user.name,
+        email: user.email,
+        profilePic: user.profilePic,
+        isPrivate: user.isPrivate,
+      });
+    } catch (error) {
+      console.error('Error fetching user info:', error);
+      res.status(500).json({ message: 'Error fetching user info' });
+    }
+  });
+
+  // Change Password (signs out every other device)
+  router.put('/api/account/password', authenticateToken, rateLimit('account'), validate(schemas.changePassword), async (req, res) => {
+    console.log('Change password endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      if (!await bcrypt.compare(currentPassword, user.password)) {
+        return res.status(400).json({ message: 'Current password is incorrect' });
+      }
+
+      const revokedSessions = await changePassword(user, newPassword, req.user.sid);
+      res.json({ message: 'Password changed', revokedSessions });
+    } catch (error) {
+      console.error('Error changing password:', error);
+      res.status(500).json({ message: 'Error changing password' });
+    }
+  });
+
+  // Request a Password Reset Email. Answers the same whether or not an account uses the
+  // address, so it cannot be used to find out which do.
+  router.post('/api/password-reset', rateLimit('passwordReset'), validate(schemas.requestPasswordReset), async (req, res) => {
+    console.log('Password reset request endpoint hit');
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      if (!await requestPasswordReset(req.body.email)) {
+        return res.status(503).json({ message: 'Password reset by email is not available' });
+      }
+      res.json({ message: 'If an account uses that email, a reset link has been sent to it' });
+    } catch (error) {
+      console.error('Error requesting password reset:', error);
+      res.status(500).json({ message: 'Error requesting password reset' });
+    }
+  });
+
+  // Reset a Password with an Emailed Token (signs out every device)
+  router.post('/api/password-reset/confirm', rateLimit('passwordReset'), validate(schemas.resetPassword), async (req, res) => {
+    console.log('Password reset confirm endpoint hit');
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { token, newPassword } = req.body;
+
+    try {
+      const user = await resetPassword(token, newPassword);
+      if (!user) return res.status(400).json({ message: 'Invalid or expired reset token' });
+
+      // A new password is a fresh start for failed logins too
+      await loginLockout.recordSuccess(user.username);
+
+      res.json({ message: 'Password reset' });
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      res.status(500).json({ message: 'Error resetting password' });
+    }
+  });
+
+  // Change Username
+  router.put('/api/account/username', authenticateToken, rateLimit('account'), validate(schemas.changeUsername), async (req, res) => {
+    console.log('Change username endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      if (!await changeUsername(user, req.body.username)) {
+        return res.status(400).json({ message: 'Username already exists' });
+      }
+
+      res.json({ userId: user._id, username: user.username });
+    } catch (error) {
+      console.error('Error changing username:', error);
+      res.status(500).json({ message: 'Error changing username' });
+    }
+  });
+
+  // Delete Account (and everything that belongs to it)
+  router.delete('/api/account', authenticateToken, rateLimit('account'), validate(schemas.deleteAccount), async (req, res) => {
+    console.log('Delete account endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      if (!await bcrypt.compare(req.body.password, user.password)) {
+        return res.status(400).json({ message: 'Password is incorrect' });
+      }
+
+      await deleteAccount(user);
+      res.json({ message: 'Account deleted' });
+    } catch (error) {
+      console.error('Error deleting account:', error);
+      res.status(500).json({ message: 'Error deleting account' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,135 @@
+// Personal data export (background jobs and downloads) and import
+const express = require('express');
+const User = require('../models/User');
+const DataExport = require('../models/DataExport');
+const { ArchiveError } = require('../utils/archive');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+
+// What clients see of an export job
+function toExportJson(job) {
+  return {
+    _id: job._id,
+    status: job.status,
+    size: job.size,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    downloadUrl: job.status === 'ready' ? `/api/me/exports/${job._id}/download` : null,
+  };
+}
+
+function createDataExportsRouter({
+  db,
+  authenticateToken,
+  rateLimit,
+  archiveUpload,
+  requestExport,
+  readExport,
+  importArchive,
+}) {
+  const router = express.Router();
+
+  // Start a Data Export (poll the returned job until it is ready)
+  router.post('/api/me/export', authenticateToken, rateLimit('dataExport'), async (req, res) => {
+    console.log('Data export endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const job = await requestExport(req.user.id);
+      res.status(202).json({ export: toExportJson(job) });
+    } catch (error) {
+      console.error('Error starting data export:', error);
+      res.status(500).json({ message: 'Error starting data export' });
+    }
+  });
+
+  // List Recent Data Exports
+  router.get('/api/me/exports', authenticateToken, async (req, res) => {
+    console.log('Data exports endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const jobs = await DataExport.find({ userId: req.user.id }).sort({ createdAt: -1 }).limit(20);
+      res.json({ exports: jobs.map(toExportJson) });
+    } catch (error) {
+      console.error('Error fetching data exports:', error);
+      res.status(500).json({ message: 'Error fetching data exports' });
+    }
+  });
+
+  // Get a Data Export's Status
+  router.get('/api/me/exports/:exportId', authenticateToken, validate(schemas.exportAction), async (req, res) => {
+    console.log('Data export status endpoint hit for export:', req.params.exportId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const job = await DataExport.findOne({ _id: req.params.exportId, userId: req.user.id });
+      if (!job) return res.status(404).json({ message: 'Export not found' });
+
+      res.json({ export: toExportJson(job) });
+    } catch (error) {
+      console.error('Error fetching data export:', error);
+      res.status(500).json({ message: 'Error fetching data export' });
+    }
+  });
+
+  // Download a Finished Data Export
+  router.get('/api/me/exports/:exportId/download', authenticateToken, validate(schemas.exportAction), async (req, res) => {
+    console.log('Data export download endpoint hit for export:', req.params.exportId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const job = await DataExport.findOne({ _id: req.params.exportId, userId: req.user.id });
+      if (!job) return res.status(404).json({ message: 'Export not found' });
+      if (job.status !== 'ready') {
+        return res.status(409).json({ message: `Export is ${job.status}` });
+      }
+
+      const archive = await readExport(job);
+      const date = job.createdAt.toISOString().slice(0, 10);
+      res.set('Content-Type', 'application/gzip');
+      res.set('Content-Disposition', `attachment; filename="connectsphere-export-${date}.tar.gz"`);
+      res.send(archive);
+    } catch (error) {
+      console.error('Error downloading data export:', error);
+      res.status(500).json({ message: 'Error downloading data export' });
+    }
+  });
+
+  // Import Posts and Photos from a Data Export (the `archive` field of a multipart form)
+  router.post('/api/me/import', authenticateToken, rateLimit('dataExport'), archiveUpload.single('archive'), async (req, res) => {
+    console.log('Data import endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'Archive file is required' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      const result = await importArchive(user, req.file.buffer);
+      res.json({ message: 'Import complete', ...result });
+    } catch (error) {
+      if (error instanceof ArchiveError) return res.status(error.status).json({ message: error.message });
+      console.error('Error importing data:', error);
+      res.status(500).json({ message: 'Error importing data' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDataExportsRouter };
@@ -0,0 +1,234 @@
+// Mentions, search, hashtags and follow suggestions
+const express = require('express');
+const User = require('../models/User');
+const DismissedSuggestion = require('../models/DismissedSuggestion');
+const Post = require('../models/Post');
+const { DEFAULT_LIMIT, parseLimit, parseOffset, parsePageParams, withPageFilter } = require('../utils/pagination');
+const { normalizeHashtag } = require('../utils/text');
+const {
+  discoverablePostStages,
+  PUBLIC_AUTHOR_STAGES,
+  POPULATED_AUTHOR_STAGE,
+  withViewerState,
+} = require('../services/posts');
+const {
+  MAX_SEARCH_OFFSET,
+  searchUsers,
+  searchPosts,
+  searchHashtags,
+} = require('../services/search');
+const { MAX_SUGGESTIONS, suggestUsers } = require('../services/suggestions');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+
+function createDiscoveryRouter({ db, authenticateToken }) {
+  const router = express.Router();
+
+  // Get Posts the Current User Was Mentioned In
+  router.get('/api/mentions', authenticateToken, validate(schemas.mentions), async (req, res) => {
+    console.log('Mentions endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const page = parsePageParams(req.query);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    try {
+      const viewer = await User.findById(req.user.id);
+      if (!viewer) return res.status(404).json({ message: 'User not found' });
+
+      const docs = await Post.aggregate([
+        { $match: withPageFilter({ 'mentions.userId': viewer._id }, page) },
+        { $sort: page.sort },
+        ...(await discoverablePostStages(viewer)),
+        { $limit: page.fetchLimit },
+        POPULATED_AUTHOR_STAGE,
+        { $project: { author: 0 } },
+      ]);
+      const { items: posts, nextCursor, prevCursor } = page.finish(docs);
+
+      res.json({ posts: await withViewerState(posts, viewer._id), nextCursor, prevCursor });
+    } catch (error) {
+      console.error('Error fetching mentions:', error);
+      res.status(500).json({ message: 'Error fetching mentions' });
+    }
+  });
+
+
+  // Search Users, Posts and Hashtags (`type` narrows to one kind; `offset`/`limit` page through it)
+  router.get('/api/search', authenticateToken, validate(schemas.search), async (req, res) => {
+    console.log('Search endpoint hit for user:', req.user.id, 'query:', req.query.q);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const q = req.query.q.trim();
+    const type = req.query.type || 'all';
+
+    const limit = parseLimit(req.query.limit, type === 'all' ? 5 : DEFAULT_LIMIT);
+    const offset = parseOffset(req.query.offset, MAX_SEARCH_OFFSET);
+    const paging = { offset, limit };
+
+    try {
+      const viewer = await User.findById(req.user.id);
+      if (!viewer) return res.status(404).json({ message: 'User not found' });
+
+      // A query starting with # only looks for hashtags in the default search
+      const isTagQuery = q.startsWith('#');
+      const wants = (kind) => type === kind || (type === 'all' && (!isTagQuery || kind === 'hashtags'));
+
+      const [users, posts, hashtags] = await Promise.all([
+        wants('users') ? searchUsers(q, viewer, paging) : [],
+        wants('posts') ? searchPosts(q, viewer, paging) : [],
+        wants('hashtags') ? searchHashtags(q, paging) : [],
+      ]);
+
+      // Only single-type searches can be paged further
+      const results = { users, posts, hashtags };
+      const nextOffset = type !== 'all' && results[type].length === limit && offset + limit <= MAX_SEARCH_OFFSET
+        ? offset + limit
+        : null;
+
+      res.json({ users, posts: await withViewerState(posts, viewer._id), hashtags, nextOffset });
+    } catch (error) {
+      console.error('Error searching:', error);
+      res.status(500).json({ message: 'Error searching' });
+    }
+  });
+
+  // Get Trending Hashtags (by number of public posts from public accounts and distinct authors in the last `hours`)
+  router.get('/api/hashtags/trending', authenticateToken, validate(schemas.trendingHashtags), async (req, res) => {
+    console.log('Trending hashtags endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 24, 1), 24 * 7);
+    const limit = parseLimit(req.query.limit, 10);
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    try {
+      const hashtags = await Post.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: since },
+            status: 'published',
+            visibility: 'public',
+            hiddenAt: null,
+            'hashtags.0': { $exists: true },
+          },
+        },
+        ...PUBLIC_AUTHOR_STAGES,
+        { $unwind: '$hashtags' },
+        {
+          $group: {
+            _id: '$hashtags',
+            postCount: { $sum: 1 },
+            authors: { $addToSet: '$userId' },
+            lastUsedAt: { $max: '$createdAt' },
+          },
+        },
+        // Many people using a tag counts for more than one person using it a lot
+        { $addFields: { authorCount: { $size: '$authors' } } },
+        { $sort: { authorCount: -1, postCount: -1, lastUsedAt: -1 } },
+        { $limit: limit },
+        { $project: { _id: 0, tag: '$_id', postCount: 1, authorCount: 1, lastUsedAt: 1 } },
+      ]);
+
+      res.json({ hashtags, since });
+    } catch (error) {
+      console.error('Error fetching trending hashtags:', error);
+      res.status(500).json({ message: 'Error fetching trending hashtags' });
+    }
+  });
+
+  // Get Posts with a Hashtag
+  router.get('/api/hashtags/:tag', authenticateToken, validate(schemas.hashtagPosts), async (req, res) => {
+    console.log('Hashtag endpoint hit for tag:', req.params.tag);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const tag = normalizeHashtag(req.params.tag);
+    if (!tag) return res.status(400).json({ message: 'Invalid hashtag' });
+
+    const page = parsePageParams(req.query);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    try {
+      const viewer = await User.findById(req.user.id);
+      if (!viewer) return res.status(404).json({ message: 'User not found' });
+
+      const docs = await Post.aggregate([
+        { $match: withPageFilter({ hashtags: tag }, page) },
+        { $sort: page.sort },
+        ...(await discoverablePostStages(viewer)),
+        { $limit: page.fetchLimit },
+        POPULATED_AUTHOR_STAGE,
+        { $project: { author: 0 } },
+      ]);
+      const { items: posts, nextCursor, prevCursor } = page.finish(docs);
+
+      res.json({ tag, posts: await withViewerState(posts, viewer._id), nextCursor, prevCursor });
+    } catch (error) {
+      console.error('Error fetching hashtag posts:', error);
+      res.status(500).json({ message: 'Error fetching hashtag posts' });
+    }
+  });
+
+  // Get Follow Suggestions (ranked by mutual follows, shared engagement and recent activity)
+  router.get('/api/suggestions', authenticateToken, validate(schemas.suggestions), async (req, res) => {
+    console.log('Suggestions endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const limit = parseLimit(req.query.limit, 10);
+    const offset = parseOffset(req.query.offset, MAX_SUGGESTIONS);
+
+    try {
+      const viewer = await User.findById(req.user.id);
+      if (!viewer) return res.status(404).json({ message: 'User not found' });
+
+      const { suggestions, hasMore } = await suggestUsers(viewer, { offset, limit });
+
+      res.json({ suggestions, nextOffset: hasMore ? offset + limit : null });
+    } catch (error) {
+      console.error('Error fetching suggestions:', error);
+      res.status(500).json({ message: 'Error fetching suggestions' });
+    }
+  });
+
+  // Dismiss a Follow Suggestion (the user is not suggested again)
+  router.post('/api/suggestions/:userId/dismiss', authenticateToken, validate(schemas.userAction), async (req, res) => {
+    console.log('Dismiss suggestion endpoint hit for user:', req.user.id, 'dismissing:', req.params.userId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ message: 'Cannot dismiss yourself' });
+    }
+
+    try {
+      const user = await User.findById(req.params.userId, '_id');
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      await DismissedSuggestion.updateOne(
+        { userId: req.user.id, dismissedUserId: user._id },
+        { $setOnInsert: { userId: req.user.id, dismissedUserId: user._id } },
+        { upsert: true }
+      );
+
+      res.json({ message: 'Suggestion dismissed' });
+    } catch (error) {
+      console.error('Error dismissing suggestion:', error);
+      res.status(500).json({ message: 'Error dismissing suggestion' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDiscoveryRouter };
@@ -0,0 +1,248 @@
+// Direct messaging
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Block = require('../models/Block');
+const { resolveMediaUrls } = require('../storage');
+const { parsePageParams, withPageFilter } = require('../utils/pagination');
+const { MediaError } = require('../utils/media');
+const { isBlockedConversation } = require('../services/messages');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+
+function createMessagesRouter({
+  db,
+  io,
+  storage,
+  authenticateToken,
+  rateLimit,
+  upload,
+  storeImages,
+  markConversationRead,
+}) {
+  const router = express.Router();
+
+  // List Conversations
+  router.get('/api/conversations', authenticateToken, validate(schemas.listConversations), async (req, res) => {
+    console.log('Conversations endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const page = parsePageParams(req.query, { field: 'lastMessageAt' });
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    try {
+      const docs = await Conversation.find(withPageFilter({ participants: req.user.id }, page))
+        .populate('participants', 'username name profilePic')
+        .sort(page.sort)
+        .limit(page.fetchLimit);
+      const { items, nextCursor, prevCursor } = page.finish(docs);
+
+      // Unread counts for the whole page in one query: messages from others since the user last read each one
+      const viewerId = new mongoose.Types.ObjectId(req.user.id);
+      const unread = items.length === 0 ? [] : await Message.aggregate([
+        {
+          $match: {
+            senderId: { $ne: viewerId },
+            $or: items.map((conversation) => {
+              const state = conversation.readState.find((entry) => entry.userId.equals(viewerId));
+              return {
+                conversationId: conversation._id,
+                ...(state ? { createdAt: { $gt: state.lastReadAt } } : {}),
+              };
+            }),
+          },
+        },
+        { $group: { _id: '$conversationId', count: { $sum: 1 } } },
+      ]);
+      const unreadCounts = new Map(unread.map((entry) => [entry._id.toString(), entry.count]));
+
+      const conversations = items.map((conversation) => ({
+        ...conversation.toObject(),
+        unreadCount: unreadCounts.get(conversation._id.toString()) || 0,
+      }));
+
+      res.json({ conversations, nextCursor, prevCursor });
+    } catch (error) {
+      console.error('Error fetching conversations:', error);
+      res.status(500).json({ message: 'Error fetching conversations' });
+    }
+  });
+
+  // Start a Conversation (reuses an existing one-to-one conversation)
+  router.post('/api/conversations', authenticateToken, rateLimit('message'), validate(schemas.createConversation), async (req, res) => {
+    console.log('Create conversation endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { participantIds, name } = req.body;
+
+    const otherIds = [...new Set(participantIds.map(String))].filter((id) => id !== req.user.id);
+    if (otherIds.length === 0) {
+      return res.status(400).json({ message: 'Cannot start a conversation with yourself' });
+    }
+
+    try {
+      const participants = await User.find({ _id: { $in: otherIds } }, '_id');
+      if (participants.length !== otherIds.length) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      const blockedIds = await Block.relatedIds(req.user.id);
+      if (blockedIds.some((id) => otherIds.includes(id.toString()))) {
+        return res.status(403).json({ message: 'Cannot message this user' });
+      }
+
+      const allIds = [req.user.id, ...otherIds];
+      const isGroup = otherIds.length > 1 || Boolean(name);
+
+      if (!isGroup) {
+        const existing = await Conversation.findOne({
+          isGroup: false,
+          participants: { $all: allIds, $size: 2 },
+        }).populate('participants', 'username name profilePic');
+        if (existing) return res.json({ conversation: existing.toObject() });
+      }
+
+      const conversation = new Conversation({
+        participants: allIds,
+        isGroup,
+        name: isGroup ? name || '' : '',
+        createdBy: req.user.id,
+        readState: [{ userId: req.user.id }],
+      });
+      await conversation.save();
+
+      const populatedConversation = await Conversation.findById(conversation._id)
+        .populate('participants', 'username name profilePic');
+
+      res.json({ conversation: populatedConversation.toObject() });
+    } catch (error) {
+      console.error('Error creating conversation:', error);
+      res.status(500).json({ message: 'Error creating conversation' });
+    }
+  });
+
+  // Get Message History
+  router.get('/api/conversations/:conversationId/messages', authenticateToken, validate(schemas.listMessages), async (req, res) => {
+    console.log('Messages endpoint hit for conversation:', req.params.conversationId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const page = parsePageParams(req.query);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    try {
+      const conversation = await Conversation.findById(req.params.conversationId);
+      if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+      if (!conversation.hasParticipant(req.user.id)) {
+        return res.status(403).json({ message: 'Unauthorized' });
+      }
+
+      const docs = await Message.find(withPageFilter({ conversationId: conversation._id }, page))
+        .sort(page.sort)
+        .limit(page.fetchLimit);
+      const { items: messages, nextCursor, prevCursor } = page.finish(docs);
+
+      res.json({ messages, nextCursor, prevCursor });
+    } catch (error) {
+      console.error('Error fetching messages:', error);
+      res.status(500).json({ message: 'Error fetching messages' });
+    }
+  });
+
+  // Send a Message (text and/or one photo)
+  router.post('/api/conversations/:conversationId/messages', authenticateToken, rateLimit('message'), upload.single('photo'), validate(schemas.sendMessage), async (req, res) => {
+    console.log('Send message endpoint hit for conversation:', req.params.conversationId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { content } = req.body;
+
+    if (!content && !req.file) {
+      return res.status(400).json({ message: 'Message must have content or a photo' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      const conversation = await Conversation.findById(req.params.conversationId);
+      if (!user || !conversation) return res.status(404).json({ message: 'User or conversation not found' });
+      if (!conversation.hasParticipant(user._id)) {
+        return res.status(403).json({ message: 'Unauthorized' });
+      }
+      if (await isBlockedConversation(conversation, user._id)) {
+        return res.status(403).json({ message: 'Cannot message this user' });
+      }
+
+      const [photo] = req.file ? await storeImages([req.file], user._id, 'message') : [];
+
+      const message = new Message({
+        conversationId: conversation._id,
+        senderId: user._id,
+        senderUsername: user.username,
+        content,
+        photo: photo ? photo.key : undefined,
+        readBy: [user._id],
+      });
+      await message.save();
+
+      conversation.lastMessage = {
+        senderId: user._id,
+        content: content || 'Sent a photo',
+        createdAt: message.createdAt,
+      };
+      conversation.lastMessageAt = message.createdAt;
+      const state = conversation.readState.find((entry) => entry.userId.toString() === req.user.id);
+      if (state) {
+        state.lastReadAt = message.createdAt;
+      } else {
+        conversation.readState.push({ userId: user._id, lastReadAt: message.createdAt });
+      }
+      await conversation.save();
+
+      conversation.participants.forEach((participantId) => {
+        io.to(participantId.toString()).emit('message', resolveMediaUrls(storage, {
+          conversationId: conversation._id,
+          message: message.toObject(),
+        }));
+      });
+
+      res.json({ message: message.toObject() });
+    } catch (error) {
+      if (error instanceof MediaError) return res.status(error.status).json({ message: error.message });
+      console.error('Error sending message:', error);
+      res.status(500).json({ message: 'Error sending message' });
+    }
+  });
+
+  // Mark a Conversation as Read
+  router.post('/api/conversations/:conversationId/read', authenticateToken, validate(schemas.conversationAction), async (req, res) => {
+    console.log('Read conversation endpoint hit for conversation:', req.params.conversationId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const conversation = await Conversation.findById(req.params.conversationId);
+      if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+      if (!conversation.hasParticipant(req.user.id)) {
+        return res.status(403).json({ message: 'Unauthorized' });
+      }
+
+      const readAt = await markConversationRead(conversation, req.user.id);
+      res.json({ message: 'Conversation marked as read', readAt });
+    } catch (error) {
+      console.error('Error marking conversation as read:', error);
+      res.status(500).json({ message: 'Error marking conversation as read' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMessagesRouter };
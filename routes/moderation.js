@@ -0,0 +1,367 @@
+// Reports, the moderation queue, moderator actions and the audit log
+const express = require('express');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const ModerationLog = require('../models/ModerationLog');
+const { requireRole } = require('../middleware/auth');
+const { parsePageParams, withPageFilter } = require('../utils/pagination');
+const { outranks } = require('../utils/moderation');
+const { findViewablePost, findViewableComment } = require('../services/posts');
+const { loadReportTargets } = require('../services/moderation');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+
+const HOUR = 60 * 60 * 1000;
+
+function createModerationRouter({
+  db,
+  authenticateToken,
+  rateLimit,
+  deleteComment,
+  submitReport,
+  recordModeratorAction,
+  suspendUser,
+}) {
+  const router = express.Router();
+
+  // Report a Post, Comment or User. Reporting the same thing again updates the open report.
+  router.post('/api/reports', authenticateToken, rateLimit('report'), validate(schemas.createReport), async (req, res) => {
+    console.log('Report endpoint hit for user:', req.user.id, 'target:', req.body.targetType, req.body.targetId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { targetType, targetId, reason, details } = req.body;
+
+    try {
+      const reporter = await User.findById(req.user.id);
+      if (!reporter) return res.status(404).json({ message: 'User not found' });
+
+      // Users can only report what they can see
+      let targetUserId = null;
+      if (targetType === 'post') {
+        const post = await findViewablePost(targetId, reporter);
+        if (!post) return res.status(404).json({ message: 'Post not found' });
+        targetUserId = post.userId._id;
+      } else if (targetType === 'comment') {
+        const { comment } = await findViewableComment(targetId, reporter);
+        if (!comment) return res.status(404).json({ message: 'Comment not found' });
+        targetUserId = comment.userId;
+      } else {
+        const user = await User.findById(targetId, '_id');
+        if (!user) return res.status(404).json({ message: 'User not found' });
+        targetUserId = user._id;
+      }
+
+      if (targetUserId.equals(reporter._id)) {
+        return res.status(400).json({ message: 'Cannot report yourself' });
+      }
+
+      const report = await submitReport({ reporterId: reporter._id, targetType, targetId, targetUserId, reason, details });
+
+      res.json({ message: 'Report submitted', report });
+    } catch (error) {
+      console.error('Error submitting report:', error);
+      res.status(500).json({ message: 'Error submitting report' });
+    }
+  });
+
+  // Get the Report Queue (open reports by default, newest first)
+  router.get('/api/moderation/reports', authenticateToken, requireRole('moderator'), validate(schemas.listReports), async (req, res) => {
+    console.log('Moderation queue endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const page = parsePageParams(req.query);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    const filter = { status: req.query.status || 'open' };
+    if (req.query.targetType) filter.targetType = req.query.targetType;
+
+    try {
+      const docs = await Report.find(withPageFilter(filter, page))
+        .populate('reporterId', 'username')
+        .populate('targetUserId', 'username role suspendedUntil')
+        .sort(page.sort)
+        .limit(page.fetchLimit);
+      const { items, nextCursor, prevCursor } = page.finish(docs);
+
+      const targets = await loadReportTargets(items);
+      const reports = items.map((report) => ({
+        ...report.toObject(),
+        target: targets.get(report._id.toString()),
+      }));
+
+      res.json({ reports, nextCursor, prevCursor });
+    } catch (error) {
+      console.error('Error fetching reports:', error);
+      res.status(500).json({ message: 'Error fetching reports' });
+    }
+  });
+
+  // Dismiss a Report (no action needed)
+  router.post('/api/moderation/reports/:reportId/dismiss', authenticateToken, requireRole('moderator'), validate(schemas.dismissReport), async (req, res) => {
+    console.log('Dismiss report endpoint hit for report:', req.params.reportId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const report = await Report.findById(req.params.reportId);
+      if (!report) return res.status(404).json({ message: 'Report not found' });
+      if (report.status !== 'open') return res.status(409).json({ message: 'Report is already closed' });
+
+      report.status = 'dismissed';
+      report.resolvedBy = req.user.id;
+      report.resolvedAt = new Date();
+      report.action = 'dismiss_report';
+      await report.save();
+
+      await recordModeratorAction({
+        moderatorId: req.user.id,
+        action: 'dismiss_report',
+        targetType: 'report',
+        targetId: report._id,
+        reportId: report._id,
+        reason: req.body.reason,
+      });
+
+      res.json({ message: 'Report dismissed' });
+    } catch (error) {
+      console.error('Error dismissing report:', error);
+      res.status(500).json({ message: 'Error dismissing report' });
+    }
+  });
+
+  // Hide a Post (from everyone but its author)
+  router.post('/api/moderation/posts/:postId/hide', authenticateToken, requireRole('moderator'), validate(schemas.moderatePost), async (req, res) => {
+    console.log('Hide post endpoint hit for post:', req.params.postId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const post = await Post.findById(req.params.postId);
+      if (!post) return res.status(404).json({ message: 'Post not found' });
+
+      post.hiddenAt = post.hiddenAt || new Date();
+      await post.save();
+
+      await recordModeratorAction({
+        moderatorId: req.user.id,
+        action: 'hide_post',
+        targetType: 'post',
+        targetId: post._id,
+        reportId: req.body.reportId,
+        reason: req.body.reason,
+      });
+
+      res.json({ message: 'Post hidden', hiddenAt: post.hiddenAt });
+    } catch (error) {
+      console.error('Error hiding post:', error);
+      res.status(500).json({ message: 'Error hiding post' });
+    }
+  });
+
+  // Unhide a Post
+  router.post('/api/moderation/posts/:postId/unhide', authenticateToken, requireRole('moderator'), validate(schemas.moderatePost), async (req, res) => {
+    console.log('Unhide post endpoint hit for post:', req.params.postId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const post = await Post.findById(req.params.postId);
+      if (!post) return res.status(404).json({ message: 'Post not found' });
+
+      post.hiddenAt = null;
+      await post.save();
+
+      await recordModeratorAction({
+        moderatorId: req.user.id,
+        action: 'unhide_post',
+        targetType: 'post',
+        targetId: post._id,
+        reportId: req.body.reportId,
+        reason: req.body.reason,
+      });
+
+      res.json({ message: 'Post unhidden' });
+    } catch (error) {
+      console.error('Error unhiding post:', error);
+      res.status(500).json({ message: 'Error unhiding post' });
+    }
+  });
+
+  // Delete a Comment (and its replies)
+  router.post('/api/moderation/comments/:commentId/delete', authenticateToken, requireRole('moderator'), validate(schemas.moderateComment), async (req, res) => {
+    console.log('Moderator delete comment endpoint hit for comment:', req.params.commentId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const comment = await Comment.findById(req.params.commentId);
+      if (!comment) return res.status(404).json({ message: 'Comment not found' });
+
+      const post = await Post.findById(comment.postId).populate('userId', 'username');
+      if (post) {
+        await deleteComment(comment, post);
+      } else {
+        await comment.deleteOne();
+      }
+
+      await recordModeratorAction({
+        moderatorId: req.user.id,
+        action: 'delete_comment',
+        targetType: 'comment',
+        targetId: comment._id,
+        reportId: req.body.reportId,
+        reason: req.body.reason,
+        details: { content: comment.content, userId: comment.userId, postId: comment.postId },
+      });
+
+      res.json({ message: 'Comment deleted' });
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      res.status(500).json({ message: 'Error deleting comment' });
+    }
+  });
+
+  // Suspend a User for `durationHours` (moderators can only suspend less privileged accounts)
+  router.post('/api/moderation/users/:userId/suspend', authenticateToken, requireRole('moderator'), validate(schemas.suspendUser), async (req, res) => {
+    console.log('Suspend user endpoint hit for user:', req.params.userId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const user = await User.findById(req.params.userId);
+      if (!user) return res.status(404).json({ message: 'User not found' });
+      if (!outranks(req.user.role, user.role)) {
+        return res.status(403).json({ message: 'Cannot suspend this user' });
+      }
+
+      const until = new Date(Date.now() + req.body.durationHours * HOUR);
+      await suspendUser(user, { until, reason: req.body.reason });
+
+      await recordModeratorAction({
+        moderatorId: req.user.id,
+        action: 'suspend_user',
+        targetType: 'user',
+        targetId: user._id,
+        reportId: req.body.reportId,
+        reason: req.body.reason,
+        details: { until },
+      });
+
+      res.json({ message: 'User suspended', suspendedUntil: until });
+    } catch (error) {
+      console.error('Error suspending user:', error);
+      res.status(500).json({ message: 'Error suspending user' });
+    }
+  });
+
+  // Lift a User's Suspension
+  router.post('/api/moderation/users/:userId/unsuspend', authenticateToken, requireRole('moderator'), validate(schemas.unsuspendUser), async (req, res) => {
+    console.log('Unsuspend user endpoint hit for user:', req.params.userId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const user = await User.findById(req.params.userId);
+      if (!user) return res.status(404).json({ message: 'User not found' });
+      if (!outranks(req.user.role, user.role)) {
+        return res.status(403).json({ message: 'Cannot unsuspend this user' });
+      }
+
+      user.suspendedUntil = null;
+      user.suspensionReason = undefined;
+      await user.save();
+
+      await recordModeratorAction({
+        moderatorId: req.user.id,
+        action: 'unsuspend_user',
+        targetType: 'user',
+        targetId: user._id,
+        reportId: req.body.reportId,
+        reason: req.body.reason,
+      });
+
+      res.json({ message: 'User unsuspended' });
+    } catch (error) {
+      console.error('Error unsuspending user:', error);
+      res.status(500).json({ message: 'Error unsuspending user' });
+    }
+  });
+
+  // Set a User's Role (admins only)
+  router.put('/api/admin/users/:userId/role', authenticateToken, requireRole('admin'), validate(schemas.setRole), async (req, res) => {
+    console.log('Set role endpoint hit for user:', req.params.userId, 'role:', req.body.role);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ message: 'Cannot change your own role' });
+    }
+
+    try {
+      const user = await User.findById(req.params.userId);
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      const previousRole = user.role;
+      user.role = req.body.role;
+      await user.save();
+
+      await recordModeratorAction({
+        moderatorId: req.user.id,
+        action: 'set_role',
+        targetType: 'user',
+        targetId: user._id,
+        details: { from: previousRole, to: user.role },
+      });
+
+      res.json({ message: 'Role updated', role: user.role });
+    } catch (error) {
+      console.error('Error setting role:', error);
+      res.status(500).json({ message: 'Error setting role' });
+    }
+  });
+
+  // Get the Moderation Audit Log (admins only)
+  router.get('/api/moderation/audit-log', authenticateToken, requireRole('admin'), validate(schemas.auditLog), async (req, res) => {
+    console.log('Audit log endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const page = parsePageParams(req.query);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    const filter = {};
+    if (req.query.moderatorId) filter.moderatorId = req.query.moderatorId;
+    if (req.query.targetId) filter.targetId = req.query.targetId;
+
+    try {
+      const docs = await ModerationLog.find(withPageFilter(filter, page))
+        .populate('moderatorId', 'username role')
+        .sort(page.sort)
+        .limit(page.fetchLimit);
+      const { items: entries, nextCursor, prevCursor } = page.finish(docs);
+
+      res.json({ entries, nextCursor, prevCursor });
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      res.status(500).json({ message: 'Error fetching audit log' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createModerationRouter };
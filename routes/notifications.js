@@ -0,0 +1,183 @@
+// Notifications and notification preferences
+const express = require('express');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { parsePageParams, withPageFilter } = require('../utils/pagination');
+const { NOTIFICATION_TYPES, describeNotification } = require('../utils/notifications');
+const { hiddenActorIds, visibleNotificationsFilter, withoutHiddenActors } = require('../services/notifications');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+
+function createNotificationsRouter({ db, authenticateToken, countUnread, emitUnreadCount }) {
+  const router = express.Router();
+
+  // Get Notifications (leaving out users the viewer muted or shares a block with)
+  router.get('/api/notifications', authenticateToken, validate(schemas.listNotifications), async (req, res) => {
+    console.log('Notifications endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const page = parsePageParams(req.query, { field: 'lastActivityAt' });
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    try {
+      const hiddenIds = await hiddenActorIds(req.user.id);
+      const filter = visibleNotificationsFilter(req.user.id, hiddenIds);
+      if (req.query.unread === 'true') filter.read = false;
+
+      const docs = await Notification.find(withPageFilter(filter, page))
+        .sort(page.sort)
+        .limit(page.fetchLimit);
+      const { items, nextCursor, prevCursor } = page.finish(docs);
+
+      const visible = await Notification.populate(
+        items.map((notification) => withoutHiddenActors(notification, hiddenIds)),
+        [{ path: 'fromUserId', select: 'username' }, { path: 'actors', select: 'username profilePic' }]
+      );
+      const notifications = visible.map((notification) => ({
+        ...notification,
+        message: describeNotification(
+          notification.type,
+          notification.fromUserId && notification.fromUserId.username,
+          notification.actorCount
+        ),
+      }));
+
+      res.json({ notifications, nextCursor, prevCursor });
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      res.status(500).json({ message: 'Error fetching notifications' });
+    }
+  });
+
+  // Get Unread Notification Count
+  router.get('/api/notifications/unread-count', authenticateToken, async (req, res) => {
+    console.log('Unread count endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const count = await countUnread(req.user.id);
+      res.json({ count });
+    } catch (error) {
+      console.error('Error fetching unread count:', error);
+      res.status(500).json({ message: 'Error fetching unread count' });
+    }
+  });
+
+  // Mark Notifications as Read (bulk, by id)
+  router.post('/api/notifications/read', authenticateToken, validate(schemas.markNotificationsRead), async (req, res) => {
+    console.log('Mark notifications read endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { ids } = req.body;
+
+    try {
+      const result = await Notification.updateMany(
+        { _id: { $in: ids }, userId: req.user.id, read: false },
+        { read: true, readAt: new Date() }
+      );
+      await emitUnreadCount(req.user.id);
+
+      res.json({ message: 'Notifications marked as read', updated: result.modifiedCount });
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+      res.status(500).json({ message: 'Error marking notifications as read' });
+    }
+  });
+
+  // Mark All Notifications as Read
+  router.post('/api/notifications/read-all', authenticateToken, async (req, res) => {
+    console.log('Mark all notifications read endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const result = await Notification.updateMany(
+        { userId: req.user.id, read: false },
+        { read: true, readAt: new Date() }
+      );
+      await emitUnreadCount(req.user.id);
+
+      res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+    } catch (error) {
+      console.error('Error marking all notifications as read:', error);
+      res.status(500).json({ message: 'Error marking all notifications as read' });
+    }
+  });
+
+  // Mark a Single Notification as Read
+  router.post('/api/notifications/:notificationId/read', authenticateToken, validate(schemas.notificationAction), async (req, res) => {
+    console.log('Mark notification read endpoint hit for notification:', req.params.notificationId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const notification = await Notification.findOne({ _id: req.params.notificationId, userId: req.user.id });
+      if (!notification) return res.status(404).json({ message: 'Notification not found' });
+
+      if (!notification.read) {
+        notification.read = true;
+        notification.readAt = new Date();
+        await notification.save();
+        await emitUnreadCount(req.user.id);
+      }
+
+      res.json({ notification: notification.toObject() });
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      res.status(500).json({ message: 'Error marking notification as read' });
+    }
+  });
+
+  // Get Notification Preferences
+  router.get('/api/notifications/preferences', authenticateToken, async (req, res) => {
+    console.log('Notification preferences endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id, 'notificationPreferences');
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      res.json({ muted: user.notificationPreferences.muted, types: NOTIFICATION_TYPES });
+    } catch (error) {
+      console.error('Error fetching notification preferences:', error);
+      res.status(500).json({ message: 'Error fetching notification preferences' });
+    }
+  });
+
+  // Update Notification Preferences (mute notification types)
+  router.put('/api/notifications/preferences', authenticateToken, validate(schemas.updateNotificationPreferences), async (req, res) => {
+    console.log('Update notification preferences endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { muted } = req.body;
+
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      user.notificationPreferences.muted = [...new Set(muted)];
+      await user.save();
+
+      res.json({ muted: user.notificationPreferences.muted });
+    } catch (error) {
+      console.error('Error updating notification preferences:', error);
+      res.status(500).json({ message: 'Error updating notification preferences' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createNotificationsRouter };
@@ -0,0 +1,723 @@
+// Feed, posts, likes and comments
+const express = require('express');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Follow = require('../models/Follow');
+const Like = require('../models/Like');
+const Mute = require('../models/Mute');
+const {
+  MAX_SEEN_IDS,
+  parseLimit,
+  parsePageParams,
+  withPageFilter,
+  encodeSeenCursor,
+  decodeSeenCursor,
+} = require('../utils/pagination');
+const { normalizeVisibility, isPublished, feedVisibilityFilter } = require('../utils/postAccess');
+const { extractHashtags } = require('../utils/text');
+const { MediaError } = require('../utils/media');
+const {
+  findViewablePost,
+  findViewableComment,
+  addLike,
+  removeLike,
+  withViewerState,
+  findRepostTarget,
+} = require('../services/posts');
+const { rankedFeed } = require('../services/feed');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+
+function createPostsRouter({
+  db,
+  authenticateToken,
+  rateLimit,
+  upload,
+  notify,
+  retractNotification,
+  resolveMentions,
+  notifyMentions,
+  retractMentions,
+  announcePost,
+  publishPost,
+  deletePost,
+  deleteComment,
+  addRepost,
+  removeRepost,
+  storeImages,
+  variantKey,
+  releaseMedia,
+}) {
+  const router = express.Router();
+
+  // Get Feed (Posts from Followed Users and Self). `mode=ranked` scores recent posts from the
+  // viewer's network plus popular public posts instead of listing them newest first.
+  router.get('/api/feed', authenticateToken, validate(schemas.feed), async (req, res) => {
+    console.log('Feed endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    if (req.query.mode === 'ranked') return sendRankedFeed(req, res);
+
+    const page = parsePageParams(req.query);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      const followingIds = await Follow.followingIds(user._id);
+      const closeFriendOf = await User.find({ closeFriends: user._id }, '_id');
+      const mutedIds = await Mute.mutedIds(user._id);
+      // Muted users stay followed but their posts drop out of the feed
+      const feedFilter = {
+        $and: [
+          feedVisibilityFilter(user, followingIds, closeFriendOf.map((friend) => friend._id)),
+          { userId: { $nin: mutedIds } },
+        ],
+      };
+
+      const docs = await Post.find(withPageFilter(feedFilter, page))
+        .populate('userId', 'username profilePic')
+        .sort(page.sort)
+        .limit(page.fetchLimit);
+      const { items: posts, nextCursor, prevCursor } = page.finish(docs);
+
+      res.json({ mode: 'chronological', posts: await withViewerState(posts, user._id), nextCursor, prevCursor });
+    } catch (error) {
+      console.error('Error fetching feed:', error);
+      res.status(500).json({ message: 'Error fetching feed' });
+    }
+  });
+
+  // Ranked pages are chained with `cursor`, which pins the ranking time and the posts already shown
+  async function sendRankedFeed(req, res) {
+    const cursor = req.query.cursor ? decodeSeenCursor(req.query.cursor) : { now: Date.now(), seenIds: [] };
+    if (!cursor) return res.status(400).json({ message: 'Invalid cursor' });
+
+    const limit = parseLimit(req.query.limit);
+
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      const { posts, hasMore } = await rankedFeed(user, { ...cursor, limit });
+
+      const seenIds = [...cursor.seenIds, ...posts.map((post) => post._id)];
+      const nextCursor = hasMore && seenIds.length <= MAX_SEEN_IDS
+        ? encodeSeenCursor({ now: cursor.now, seenIds })
+        : null;
+
+      res.json({ mode: 'ranked', posts: await withViewerState(posts, user._id), nextCursor });
+    } catch (error) {
+      console.error('Error fetching ranked feed:', error);
+      res.status(500).json({ message: 'Error fetching feed' });
+    }
+  }
+
+  // Create a Post (Support multiple images). `quoteOf` makes it a quote post of a public post.
+  // `status: 'draft'` saves it as a draft and `publishAt` schedules it; neither notifies anyone yet.
+  router.post('/api/posts', authenticateToken, rateLimit('post'), upload.array('photos', 10), validate(schemas.createPost), async (req, res) => {
+    console.log('Create post endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { content, publishAt } = req.body;
+    const visibility = normalizeVisibility(req.body.visibility || 'public');
+    const status = publishAt ? 'scheduled' : req.body.status || 'published';
+
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      let quoted = null;
+      if (req.body.quoteOf) {
+        const quotedPost = await findViewablePost(req.body.quoteOf, user);
+        const target = quotedPost && await findRepostTarget(quotedPost, user);
+        if (!target) return res.status(404).json({ message: 'Quoted post not found' });
+        if (!target.repostable) return res.status(403).json({ message: 'Only public posts can be quoted' });
+        quoted = target.post;
+      }
+
+      const media = req.files ? await storeImages(req.files, user._id, 'post') : [];
+
+      const post = new Post({
+        content,
+        userId: user._id,
+        username: user.username,
+        photos: media.map((item) => item.key),
+        photoThumbnails: media.map((item) => variantKey(item, 'thumbnail')),
+        hashtags: extractHashtags(content),
+        mentions: await resolveMentions(content),
+        visibility,
+        quoteOf: quoted ? quoted._id : null,
+        status,
+        publishAt: publishAt || null,
+      });
+      await post.save();
+
+      if (status === 'published') await announcePost(post, user);
+
+      const populatedPost = await Post.findById(post._id)
+        .populate('userId', 'username profilePic');
+
+      const [viewed] = await withViewerState([populatedPost], user._id);
+      res.json({ post: viewed });
+    } catch (error) {
+      if (error instanceof MediaError) return res.status(error.status).json({ message: error.message });
+      console.error('Error creating post:', error);
+      res.status(500).json({ message: 'Error creating post' });
+    }
+  });
+
+  // Get a Single Post
+  router.get('/api/posts/:postId', authenticateToken, validate(schemas.postAction), async (req, res) => {
+    console.log('Get post endpoint hit for post:', req.params.postId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      const post = user && await findViewablePost(req.params.postId, user);
+      if (!user || !post) return res.status(404).json({ message: 'Post not found' });
+
+      // Plain reposts of posts the viewer may no longer see come back empty
+      const [viewed] = await withViewerState([post], user._id);
+      if (!viewed) return res.status(404).json({ message: 'Post not found' });
+      res.json({ post: viewed });
+    } catch (error) {
+      console.error('Error fetching post:', error);
+      res.status(500).json({ message: 'Error fetching post' });
+    }
+  });
+
+  // Update a Post (Support multiple images)
+  router.put('/api/posts/:postId', authenticateToken, rateLimit('post'), upload.array('photos', 10), validate(schemas.updatePost), async (req, res) => {
+    console.log('Update post endpoint hit for post:', req.params.postId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { content } = req.body;
+    const { postId } = req.params;
+    const visibility = req.body.visibility ? normalizeVisibility(req.body.visibility) : null;
+
+    try {
+      const post = await Post.findById(postId).populate('userId', 'username profilePic');
+      if (!post) return res.status(404).json({ message: 'Post not found' });
+      if (post.userId._id.toString() !== req.user.id) {
+        return res.status(403).json({ message: 'Unauthorized' });
+      }
+      if (post.repostOf) return res.status(400).json({ message: 'Reposts cannot be edited' });
+      if (!isPublished(post)) {
+        return res.status(400).json({ message: 'Drafts and scheduled posts are edited through /api/drafts' });
+      }
+
+      const previousMentions = post.mentions.map((mention) => mention.toObject());
+      post.content = content || post.content;
+      post.hashtags = extractHashtags(post.content);
+      post.mentions = await resolveMentions(post.content);
+      post.visibility = visibility || post.visibility;
+      const previousPhotos = post.photos;
+      if (req.files && req.files.length > 0) {
+        const media = await storeImages(req.files, post.userId._id, 'post');
+        post.photos = media.map((item) => item.key);
+        post.photoThumbnails = media.map((item) => variantKey(item, 'thumbnail'));
+      }
+      await post.save();
+
+      await releaseMedia(previousPhotos.filter((photo) => !post.photos.includes(photo)));
+
+      const author = post.userId;
+      await notifyMentions({ mentions: post.mentions, previousMentions, actor: author, post, authorId: author._id });
+      await retractMentions({ mentions: post.mentions, previousMentions, actorId: author._id, postId: post._id });
+
+      res.json({ post: post.toObject() });
+    } catch (error) {
+      if (error instanceof MediaError) return res.status(error.status).json({ message: error.message });
+      console.error('Error updating post:', error);
+      res.status(500).json({ message: 'Error updating post' });
+    }
+  });
+
+  // Delete a Post
+  router.delete('/api/posts/:postId', authenticateToken, validate(schemas.postAction), async (req, res) => {
+    console.log('Delete post endpoint hit for post:', req.params.postId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { postId } = req.params;
+
+    try {
+      const post = await Post.findById(postId);
+      if (!post) return res.status(404).json({ message: 'Post not found' });
+      if (post.userId.toString() !== req.user.id) {
+        return res.status(403).json({ message: 'Unauthorized' });
+      }
+
+      await deletePost(post);
+
+      res.json({ message: 'Post deleted' });
+    } catch (error) {
+      console.error('Error deleting post:', error);
+      res.status(500).json({ message: 'Error deleting post' });
+    }
+  });
+
+  // List the User's Drafts and Scheduled Posts (`status` narrows it to one kind), newest first
+  router.get('/api/drafts', authenticateToken, validate(schemas.listDrafts), async (req, res) => {
+    console.log('Drafts endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const page = parsePageParams(req.query);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    try {
+      const filter = { userId: req.user.id, status: req.query.status || { $in: ['draft', 'scheduled'] } };
+      const docs = await Post.find(withPageFilter(filter, page))
+        .populate('userId', 'username profilePic')
+        .sort(page.sort)
+        .limit(page.fetchLimit);
+      const { items: drafts, nextCursor, prevCursor } = page.finish(docs);
+
+      res.json({ posts: await withViewerState(drafts, req.user.id), nextCursor, prevCursor });
+    } catch (error) {
+      console.error('Error fetching drafts:', error);
+      res.status(500).json({ message: 'Error fetching drafts' });
+    }
+  });
+
+  // Update a Draft or Scheduled Post (Support multiple images). `publishAt` schedules or
+  // reschedules it and an empty `publishAt` makes it a draft again.
+  router.put('/api/drafts/:postId', authenticateToken, rateLimit('post'), upload.array('photos', 10), validate(schemas.updateDraft), async (req, res) => {
+    console.log('Update draft endpoint hit for post:', req.params.postId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { content, publishAt } = req.body;
+    const visibility = req.body.visibility ? normalizeVisibility(req.body.visibility) : null;
+
+    try {
+      const post = await Post.findOne({ _id: req.params.postId, userId: req.user.id, status: { $in: ['draft', 'scheduled'] } });
+      if (!post) return res.status(404).json({ message: 'Draft not found' });
+
+      post.content = content || post.content;
+      post.hashtags = extractHashtags(post.content);
+      post.mentions = await resolveMentions(post.content);
+      post.visibility = visibility || post.visibility;
+      if (publishAt !== undefined) {
+        post.status = publishAt ? 'scheduled' : 'draft';
+        post.publishAt = publishAt || null;
+      }
+      const previousPhotos = post.photos;
+      if (req.files && req.files.length > 0) {
+        const media = await storeImages(req.files, post.userId, 'post');
+        post.photos = media.map((item) => item.key);
+        post.photoThumbnails = media.map((item) => variantKey(item, 'thumbnail'));
+      }
+
+      // Only save while it is unpublished, in case the scheduler got there first
+      post.$where = { status: { $in: ['draft', 'scheduled'] } };
+      try {
+        await post.save();
+      } catch (error) {
+        if (error.name !== 'DocumentNotFoundError') throw error;
+        await releaseMedia(post.photos.filter((photo) => !previousPhotos.includes(photo)));
+        return res.status(409).json({ message: 'Post has already been published' });
+      }
+
+      await releaseMedia(previousPhotos.filter((photo) => !post.photos.includes(photo)));
+
+      const populatedPost = await Post.findById(post._id).populate('userId', 'username profilePic');
+      const [viewed] = await withViewerState([populatedPost], req.user.id);
+      res.json({ post: viewed });
+    } catch (error) {
+      if (error instanceof MediaError) return res.status(error.status).json({ message: error.message });
+      console.error('Error updating draft:', error);
+      res.status(500).json({ message: 'Error updating draft' });
+    }
+  });
+
+  // Publish a Draft or Scheduled Post Now
+  router.post('/api/drafts/:postId/publish', authenticateToken, rateLimit('post'), validate(schemas.postAction), async (req, res) => {
+    console.log('Publish draft endpoint hit for post:', req.params.postId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const post = await publishPost(req.params.postId, { userId: req.user.id });
+      if (!post) return res.status(404).json({ message: 'Draft not found' });
+
+      const populatedPost = await Post.findById(post._id).populate('userId', 'username profilePic');
+      const [viewed] = await withViewerState([populatedPost], req.user.id);
+      res.json({ post: viewed });
+    } catch (error) {
+      console.error('Error publishing draft:', error);
+      res.status(500).json({ message: 'Error publishing draft' });
+    }
+  });
+
+  // Delete a Draft or Cancel a Scheduled Post
+  router.delete('/api/drafts/:postId', authenticateToken, validate(schemas.postAction), async (req, res) => {
+    console.log('Delete draft endpoint hit for post:', req.params.postId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const post = await Post.findOne({ _id: req.params.postId, userId: req.user.id, status: { $in: ['draft', 'scheduled'] } });
+      if (!post) return res.status(404).json({ message: 'Draft not found' });
+
+      await deletePost(post);
+
+      res.json({ message: 'Draft deleted' });
+    } catch (error) {
+      console.error('Error deleting draft:', error);
+      res.status(500).json({ message: 'Error deleting draft' });
+    }
+  });
+
+  // Like a Post
+  router.post('/api/posts/:postId/like', authenticateToken, rateLimit('like'), validate(schemas.postAction), async (req, res) => {
+    console.log('Like post endpoint hit for post:', req.params.postId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { postId } = req.params;
+
+    try {
+      const user = await User.findById(req.user.id);
+      const post = user && await findViewablePost(postId, user);
+      if (!user || !post) return res.status(404).json({ message: 'User or post not found' });
+
+      if (await addLike(post, user._id)) {
+        await notify({ recipientId: post.userId._id, actor: user, type: 'like', postId: post._id });
+      }
+
+      res.json({ post: { ...post.toObject(), liked: true } });
+    } catch (error) {
+      console.error('Error liking post:', error);
+      res.status(500).json({ message: 'Error liking post' });
+    }
+  });
+
+  // Repost a Post (reposting a repost reposts its original)
+  router.post('/api/posts/:postId/repost', authenticateToken, rateLimit('post'), validate(schemas.postAction), async (req, res) => {
+    console.log('Repost endpoint hit for post:', req.params.postId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      const post = user && await findViewablePost(req.params.postId, user);
+      const target = post && await findRepostTarget(post, user);
+      if (!user || !target) return res.status(404).json({ message: 'User or post not found' });
+      if (!target.repostable) return res.status(403).json({ message: 'Only public posts can be reposted' });
+
+      const original = target.post;
+      if (await addRepost(original, user)) {
+        await notify({ recipientId: original.userId._id, actor: user, type: 'repost', postId: original._id });
+      }
+
+      const [viewed] = await withViewerState([original], user._id);
+      res.json({ post: viewed });
+    } catch (error) {
+      console.error('Error reposting post:', error);
+      res.status(500).json({ message: 'Error reposting post' });
+    }
+  });
+
+  // Undo a Repost
+  router.post('/api/posts/:postId/unrepost', authenticateToken, rateLimit('post'), validate(schemas.postAction), async (req, res) => {
+    console.log('Unrepost endpoint hit for post:', req.params.postId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      const post = user && await findViewablePost(req.params.postId, user);
+      const target = post && await findRepostTarget(post, user);
+      if (!user || !target) return res.status(404).json({ message: 'User or post not found' });
+
+      // The repost notification is withdrawn along with the repost
+      await removeRepost(target.post, user._id);
+
+      const [viewed] = await withViewerState([target.post], user._id);
+      res.json({ post: viewed });
+    } catch (error) {
+      console.error('Error undoing repost:', error);
+      res.status(500).json({ message: 'Error undoing repost' });
+    }
+  });
+
+  // Unlike a Post
+  router.post('/api/posts/:postId/unlike', authenticateToken, rateLimit('like'), validate(schemas.postAction), async (req, res) => {
+    console.log('Unlike post endpoint hit for post:', req.params.postId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { postId } = req.params;
+
+    try {
+      const user = await User.findById(req.user.id);
+      const post = user && await findViewablePost(postId, user);
+      if (!user || !post) return res.status(404).json({ message: 'User or post not found' });
+
+      if (await removeLike(post, user._id)) {
+        await retractNotification({
+          recipientId: post.userId._id,
+          actorId: user._id,
+          type: 'like',
+          postId: post._id,
+        });
+      }
+
+      res.json({ post: { ...post.toObject(), liked: false } });
+    } catch (error) {
+      console.error('Error unliking post:', error);
+      res.status(500).json({ message: 'Error unliking post' });
+    }
+  });
+
+  // Get the Users Who Liked a Post (newest first)
+  router.get('/api/posts/:postId/likes', authenticateToken, validate(schemas.postLikes), async (req, res) => {
+    console.log('Post likes endpoint hit for post:', req.params.postId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const page = parsePageParams(req.query);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    try {
+      const user = await User.findById(req.user.id);
+      const post = user && await findViewablePost(req.params.postId, user);
+      if (!user || !post) return res.status(404).json({ message: 'Post not found' });
+
+      const docs = await Like.find(withPageFilter({ postId: post._id }, page))
+        .populate('userId', 'username name profilePic')
+        .sort(page.sort)
+        .limit(page.fetchLimit);
+      const { items: likes, nextCursor, prevCursor } = page.finish(docs);
+
+      const users = likes.map((like) => like.userId).filter(Boolean);
+      res.json({ users, nextCursor, prevCursor });
+    } catch (error) {
+      console.error('Error fetching post likes:', error);
+      res.status(500).json({ message: 'Error fetching post likes' });
+    }
+  });
+
+  // Add a Comment to a Post
+  router.post('/api/posts/:postId/comment', authenticateToken, rateLimit('comment'), validate(schemas.createComment), async (req, res) => {
+    console.log('Comment endpoint hit for post:', req.params.postId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { content, parentId } = req.body;
+    const { postId } = req.params;
+
+    try {
+      const user = await User.findById(req.user.id);
+      const post = user && await findViewablePost(postId, user);
+      if (!user || !post) return res.status(404).json({ message: 'User or post not found' });
+
+      // Replies are kept one level deep: replying to a reply attaches to its top-level comment
+      let parent = null;
+      if (parentId) {
+        parent = await Comment.findOne({ _id: parentId, postId: post._id });
+        if (!parent) return res.status(404).json({ message: 'Parent comment not found' });
+        if (parent.parentId) parent = await Comment.findById(parent.parentId);
+      }
+
+      const comment = new Comment({
+        postId: post._id,
+        userId: user._id,
+        username: user.username,
+        content,
+        mentions: await resolveMentions(content),
+        parentId: parent ? parent._id : null,
+      });
+      await comment.save();
+
+      await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+      post.commentCount += 1;
+      if (parent) {
+        await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+      }
+
+      await notify({ recipientId: post.userId._id, actor: user, type: 'comment', postId: post._id });
+      if (parent && !parent.userId.equals(post.userId._id)) {
+        await notify({ recipientId: parent.userId, actor: user, type: 'reply', postId: post._id });
+      }
+      await notifyMentions({ mentions: comment.mentions, actor: user, post, authorId: post.userId._id });
+
+      const [viewed] = await withViewerState([post], user._id);
+      res.json({ comment: comment.toObject(), post: viewed });
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      res.status(500).json({ message: 'Error adding comment' });
+    }
+  });
+
+  // Get Comments on a Post (top-level, or replies to `parentId`)
+  router.get('/api/posts/:postId/comments', authenticateToken, validate(schemas.listComments), async (req, res) => {
+    console.log('Comments endpoint hit for post:', req.params.postId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { parentId } = req.query;
+
+    const page = parsePageParams(req.query);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    try {
+      const user = await User.findById(req.user.id);
+      const post = user && await findViewablePost(req.params.postId, user);
+      if (!user || !post) return res.status(404).json({ message: 'User or post not found' });
+
+      const filter = { postId: post._id, parentId: parentId || null };
+      const docs = await Comment.find(withPageFilter(filter, page))
+        .populate('userId', 'username profilePic')
+        .sort(page.sort)
+        .limit(page.fetchLimit);
+      const { items: comments, nextCursor, prevCursor } = page.finish(docs);
+
+      res.json({ comments, commentCount: post.commentCount, nextCursor, prevCursor });
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      res.status(500).json({ message: 'Error fetching comments' });
+    }
+  });
+
+  // Edit a Comment (author only)
+  router.put('/api/comments/:commentId', authenticateToken, rateLimit('comment'), validate(schemas.editComment), async (req, res) => {
+    console.log('Edit comment endpoint hit for comment:', req.params.commentId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const { content } = req.body;
+
+    try {
+      const user = await User.findById(req.user.id);
+      const { comment, post } = user ? await findViewableComment(req.params.commentId, user) : {};
+      if (!user || !comment) return res.status(404).json({ message: 'Comment not found' });
+      if (!comment.userId.equals(user._id)) {
+        return res.status(403).json({ message: 'Unauthorized' });
+      }
+
+      const previousMentions = comment.mentions.map((mention) => mention.toObject());
+      comment.content = content;
+      comment.mentions = await resolveMentions(content);
+      comment.editedAt = new Date();
+      await comment.save();
+
+      await notifyMentions({
+        mentions: comment.mentions,
+        previousMentions,
+        actor: user,
+        post,
+        authorId: post.userId._id,
+      });
+
+      res.json({ comment: comment.toObject() });
+    } catch (error) {
+      console.error('Error editing comment:', error);
+      res.status(500).json({ message: 'Error editing comment' });
+    }
+  });
+
+  // Delete a Comment (author or post owner). Deleting a top-level comment deletes its replies.
+  router.delete('/api/comments/:commentId', authenticateToken, validate(schemas.commentAction), async (req, res) => {
+    console.log('Delete comment endpoint hit for comment:', req.params.commentId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      const { comment, post } = user ? await findViewableComment(req.params.commentId, user) : {};
+      if (!user || !comment) return res.status(404).json({ message: 'Comment not found' });
+      if (!comment.userId.equals(user._id) && !post.userId._id.equals(user._id)) {
+        return res.status(403).json({ message: 'Unauthorized' });
+      }
+
+      await deleteComment(comment, post);
+
+      res.json({ message: 'Comment deleted' });
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      res.status(500).json({ message: 'Error deleting comment' });
+    }
+  });
+
+  // Like a Comment
+  router.post('/api/comments/:commentId/like', authenticateToken, rateLimit('like'), validate(schemas.commentAction), async (req, res) => {
+    console.log('Like comment endpoint hit for comment:', req.params.commentId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      const { comment } = user ? await findViewableComment(req.params.commentId, user) : {};
+      if (!user || !comment) return res.status(404).json({ message: 'Comment not found' });
+
+      const updated = await Comment.findOneAndUpdate(
+        { _id: comment._id, likes: { $ne: user._id } },
+        { $push: { likes: user._id }, $inc: { likeCount: 1 } },
+        { new: true }
+      );
+
+      res.json({ comment: (updated || comment).toObject() });
+    } catch (error) {
+      console.error('Error liking comment:', error);
+      res.status(500).json({ message: 'Error liking comment' });
+    }
+  });
+
+  // Unlike a Comment
+  router.post('/api/comments/:commentId/unlike', authenticateToken, rateLimit('like'), validate(schemas.commentAction), async (req, res) => {
+    console.log('Unlike comment endpoint hit for comment:', req.params.commentId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      const { comment } = user ? await findViewableComment(req.params.commentId, user) : {};
+      if (!user || !comment) return res.status(404).json({ message: 'Comment not found' });
+
+      const updated = await Comment.findOneAndUpdate(
+        { _id: comment._id, likes: user._id },
+        { $pull: { likes: user._id }, $inc: { likeCount: -1 } },
+        { new: true }
+      );
+
+      res.json({ comment: (updated || comment).toObject() });
+    } catch (error) {
+      console.error('Error unliking comment:', error);
+      res.status(500).json({ message: 'Error unliking comment' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPostsRouter };
@@ -0,0 +1,668 @@
+// Profiles, follows, follow requests, close friends, blocks, mutes and presence
+const express = require('express');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Follow = require('../models/Follow');
+const FollowRequest = require('../models/FollowRequest');
+const Block = require('../models/Block');
+const Mute = require('../models/Mute');
+const presence = require('../utils/presence');
+const { parsePageParams, withPageFilter } = require('../utils/pagination');
+const { allowedVisibilities } = require('../utils/postAccess');
+const { withViewerState } = require('../services/posts');
+const { publicProfileFields, profileStats } = require('../services/profiles');
+const { MediaError } = require('../utils/media');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+
+// Images `PUT /api/profile` accepts as multipart files
+const PROFILE_IMAGE_FIELDS = [{ name: 'profilePic', maxCount: 1 }, { name: 'coverImage', maxCount: 1 }];
+
+function createUsersRouter({
+  db,
+  authenticateToken,
+  rateLimit,
+  upload,
+  notify,
+  retractNotification,
+  addFollow,
+  removeFollow,
+  approveFollowRequest,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  storeImages,
+  releaseMedia,
+}) {
+  const router = express.Router();
+
+  // Get User Profile by Username
+  router.get('/api/users/:username', authenticateToken, validate(schemas.userProfile), async (req, res) => {
+    console.log('User profile endpoint hit for username:', req.params.username);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const page = parsePageParams(req.query);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    try {
+      const user = await User.findOne({ username: req.params.username });
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      const currentUser = await User.findById(req.user.id);
+      if (!currentUser) return res.status(404).json({ message: 'User not found' });
+
+      // Users who blocked the viewer look like they do not exist
+      if (await Block.exists({ blockerId: user._id, blockedId: currentUser._id })) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      const isBlocked = Boolean(await Block.exists({ blockerId: currentUser._id, blockedId: user._id }));
+
+      const isFollowing = await Follow.isFollowing(currentUser._id, user._id);
+      const visibilities = isBlocked ? [] : allowedVisibilities(currentUser, user, isFollowing);
+
+      const stats = await profileStats(user);
+      const profile = {
+        ...publicProfileFields(user),
+        followerCount: stats.followerCount,
+        followingCount: stats.followingCount,
+        stats,
+        isFollowing,
+        isBlocked,
+        isMuted: Boolean(await Mute.exists({ muterId: currentUser._id, mutedId: user._id })),
+      };
+
+      // Private accounts only show their profile header to viewers who are not approved followers,
+      // and blocked accounts only show it to the blocker
+      if (visibilities.length === 0) {
+        const followRequested = await FollowRequest.exists({ requesterId: currentUser._id, targetId: user._id });
+        return res.json({
+          user: { ...profile, followRequested: Boolean(followRequested) },
+          pinnedPost: null,
+          posts: [],
+          nextCursor: null,
+          prevCursor: null,
+        });
+      }
+
+      const postFilter = { userId: user._id, status: 'published', visibility: { $in: visibilities } };
+      // Authors still see their own posts after a moderator hides them
+      if (!user._id.equals(currentUser._id)) postFilter.hiddenAt = null;
+      const docs = await Post.find(withPageFilter(postFilter, page))
+        .populate('userId', 'username profilePic')
+        .sort(page.sort)
+        .limit(page.fetchLimit);
+      const { items: posts, nextCursor, prevCursor } = page.finish(docs);
+
+      const pinned = user.pinnedPostId && await Post.findOne({ ...postFilter, _id: user.pinnedPostId })
+        .populate('userId', 'username profilePic');
+
+      res.json({
+        user: profile,
+        pinnedPost: pinned ? (await withViewerState([pinned], currentUser._id))[0] || null : null,
+        posts: await withViewerState(posts, currentUser._id),
+        nextCursor,
+        prevCursor,
+      });
+    } catch (error) {
+      console.error('Error fetching user profile:', error);
+      res.status(500).json({ message: 'Error fetching user profile' });
+    }
+  });
+
+  // Public Profile (no sign-in needed): public fields, stats and public posts only.
+  // Private accounts show just their header.
+  router.get('/api/public/users/:username', rateLimit('publicProfile'), validate(schemas.publicProfile), async (req, res) => {
+    console.log('Public profile endpoint hit for username:', req.params.username);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const page = parsePageParams(req.query);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    try {
+      const user = await User.findOne({ username: req.params.username });
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      const profile = { ...publicProfileFields(user), stats: await profileStats(user) };
+      if (user.isPrivate) {
+        return res.json({ user: profile, pinnedPost: null, posts: [], nextCursor: null, prevCursor: null });
+      }
+
+      const postFilter = { userId: user._id, status: 'published', visibility: 'public', hiddenAt: null };
+      const docs = await Post.find(withPageFilter(postFilter, page))
+        .populate('userId', 'username profilePic')
+        .sort(page.sort)
+        .limit(page.fetchLimit);
+      const { items: posts, nextCursor, prevCursor } = page.finish(docs);
+
+      const pinned = user.pinnedPostId && await Post.findOne({ ...postFilter, _id: user.pinnedPostId })
+        .populate('userId', 'username profilePic');
+
+      res.json({
+        user: profile,
+        pinnedPost: pinned ? (await withViewerState([pinned], null))[0] || null : null,
+        posts: await withViewerState(posts, null),
+        nextCursor,
+        prevCursor,
+      });
+    } catch (error) {
+      console.error('Error fetching public profile:', error);
+      res.status(500).json({ message: 'Error fetching public profile' });
+    }
+  });
+
+  // Update User Profile
+  router.put('/api/profile', authenticateToken, upload.fields(PROFILE_IMAGE_FIELDS), validate(schemas.updateProfile), async (req, res) => {
+    console.log('Profile update endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (req.body.email && await User.exists({ email: req.body.email, _id: { $ne: user._id } })) {
+        return res.status(400).json({ message: 'Email already in use' });
+      }
+
+      const { bio, links, location, pinnedPostId } = req.body;
+      if (pinnedPostId && !await Post.exists({ _id: pinnedPostId, userId: user._id, status: 'published' })) {
+        return res.status(400).json({ message: 'You can only pin your own published posts' });
+      }
+
+      const previousImages = [user.profilePic, user.coverImage];
+      user.name = req.body.name || user.name;
+      if (req.body.email !== undefined) user.email = req.body.email || undefined;
+      if (bio !== undefined) user.bio = bio;
+      if (links !== undefined) user.links = links;
+      if (location !== undefined) user.location = location;
+      if (pinnedPostId !== undefined) user.pinnedPostId = pinnedPostId || null;
+
+      const files = req.files || {};
+      if (files.profilePic) {
+        const [media] = await storeImages(files.profilePic, user._id, 'profile');
+        user.profilePic = media.key;
+      }
+      if (files.coverImage) {
+        const [media] = await storeImages(files.coverImage, user._id, 'cover');
+        user.coverImage = media.key;
+      } else if (req.body.removeCoverImage) {
+        user.coverImage = undefined;
+      }
+
+      const wasPrivate = user.isPrivate;
+      if (req.body.isPrivate !== undefined) user.isPrivate = req.body.isPrivate;
+
+      await user.save();
+
+      await releaseMedia(previousImages.filter((key) => key && key !== user.profilePic && key !== user.coverImage));
+
+      // Going public approves everyone who was waiting
+      if (wasPrivate && !user.isPrivate) {
+        const pendingRequests = await FollowRequest.find({ targetId: user._id });
+        for (const request of pendingRequests) {
+          await approveFollowRequest(request);
+        }
+      }
+
+      res.json({
+        ...publicProfileFields(user),
+        email: user.email,
+        pinnedPostId: user.pinnedPostId,
+      });
+    } catch (error) {
+      if (error instanceof MediaError) return res.status(error.status).json({ message: error.message });
+      console.error('Error updating profile:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Get All Users (ranked follow suggestions are at /api/suggestions)
+  router.get('/api/users', authenticateToken, async (req, res) => {
+    console.log('Users endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const currentUser = await User.findById(req.user.id);
+      if (!currentUser) return res.status(404).json({ message: 'User not found' });
+
+      const blockedIds = await Block.relatedIds(currentUser._id);
+      const users = await User.find(
+        { _id: { $nin: blockedIds } },
+        'username name profilePic isPrivate followerCount followingCount'
+      );
+      const followingIds = await Follow.followingIds(currentUser._id);
+      const usersWithFollowingStatus = users.map((user) => {
+        const userObj = user.toObject();
+        userObj.following = followingIds.some((id) => id.equals(user._id));
+        return userObj;
+      });
+
+      res.json(usersWithFollowingStatus);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      res.status(500).json({ message: 'Error fetching users' });
+    }
+  });
+
+  // Follow a User
+  router.post('/api/follow/:userId', authenticateToken, rateLimit('follow'), validate(schemas.userAction), async (req, res) => {
+    console.log('Follow endpoint hit for user:', req.user.id, 'to follow:', req.params.userId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      const userToFollow = await User.findById(req.params.userId);
+
+      if (!user || !userToFollow) return res.status(404).json({ message: 'User not found' });
+      if (user._id.toString() === req.params.userId) {
+        return res.status(400).json({ message: 'Cannot follow yourself' });
+      }
+      if (await Block.isBlockedEitherWay(user._id, userToFollow._id)) {
+        return res.status(403).json({ message: 'Cannot follow this user' });
+      }
+
+      if (await Follow.isFollowing(user._id, userToFollow._id)) {
+        return res.json({ message: 'Followed user', status: 'following' });
+      }
+
+      if (userToFollow.isPrivate) {
+        const existingRequest = await FollowRequest.findOne({ requesterId: user._id, targetId: userToFollow._id });
+        if (!existingRequest) {
+          await new FollowRequest({ requesterId: user._id, targetId: userToFollow._id }).save();
+          await notify({ recipientId: userToFollow._id, actor: user, type: 'follow_request' });
+        }
+        return res.json({ message: 'Follow request sent', status: 'requested' });
+      }
+
+      if (await addFollow(user._id, userToFollow._id)) {
+        await notify({ recipientId: userToFollow._id, actor: user, type: 'follow' });
+      }
+
+      res.json({ message: 'Followed user', status: 'following' });
+    } catch (error) {
+      console.error('Error following user:', error);
+      res.status(500).json({ message: 'Error following user' });
+    }
+  });
+
+  // Get a User's Followers or the Users They Follow (newest first). Private accounts only
+  // list them to approved followers.
+  router.get('/api/users/:username/:relation', authenticateToken, validate(schemas.followList), async (req, res) => {
+    console.log('Follow list endpoint hit for username:', req.params.username, 'relation:', req.params.relation);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const page = parsePageParams(req.query);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    try {
+      const user = await User.findOne({ username: req.params.username }, 'isPrivate');
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      if (await Block.exists({ blockerId: user._id, blockedId: req.user.id })) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const isSelf = user._id.toString() === req.user.id;
+      if (user.isPrivate && !isSelf && !(await Follow.isFollowing(req.user.id, user._id))) {
+        return res.status(403).json({ message: 'This account is private' });
+      }
+
+      // Followers are the edges pointing at the user; following are the edges leaving them
+      const [ownField, otherField] = req.params.relation === 'followers'
+        ? ['followingId', 'followerId']
+        : ['followerId', 'followingId'];
+
+      const docs = await Follow.find(withPageFilter({ [ownField]: user._id }, page))
+        .populate(otherField, 'username name profilePic')
+        .sort(page.sort)
+        .limit(page.fetchLimit);
+      const { items: follows, nextCursor, prevCursor } = page.finish(docs);
+
+      const users = follows.map((follow) => follow[otherField]).filter(Boolean);
+      res.json({ users, nextCursor, prevCursor });
+    } catch (error) {
+      console.error('Error fetching follow list:', error);
+      res.status(500).json({ message: 'Error fetching follow list' });
+    }
+  });
+
+  // Unfollow a User
+  router.post('/api/unfollow/:userId', authenticateToken, rateLimit('follow'), validate(schemas.userAction), async (req, res) => {
+    console.log('Unfollow endpoint hit for user:', req.user.id, 'to unfollow:', req.params.userId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      const userToUnfollow = await User.findById(req.params.userId);
+
+      if (!user || !userToUnfollow) return res.status(404).json({ message: 'User not found' });
+
+      if (await removeFollow(user._id, userToUnfollow._id)) {
+        await retractNotification({ recipientId: userToUnfollow._id, actorId: user._id, type: 'follow' });
+      }
+
+      // Unfollowing also cancels a pending follow request
+      const request = await FollowRequest.findOneAndDelete({ requesterId: user._id, targetId: userToUnfollow._id });
+      if (request) {
+        await retractNotification({ recipientId: userToUnfollow._id, actorId: user._id, type: 'follow_request' });
+      }
+
+      res.json({ message: 'Unfollowed user' });
+    } catch (error) {
+      console.error('Error unfollowing user:', error);
+      res.status(500).json({ message: 'Error unfollowing user' });
+    }
+  });
+
+  // List Follow Requests (`direction=incoming` (default) or `outgoing`)
+  router.get('/api/follow-requests', authenticateToken, validate(schemas.listFollowRequests), async (req, res) => {
+    console.log('Follow requests endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const direction = req.query.direction || 'incoming';
+
+    const page = parsePageParams(req.query);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    const filter = direction === 'incoming' ? { targetId: req.user.id } : { requesterId: req.user.id };
+    const otherUserField = direction === 'incoming' ? 'requesterId' : 'targetId';
+
+    try {
+      const docs = await FollowRequest.find(withPageFilter(filter, page))
+        .populate(otherUserField, 'username name profilePic')
+        .sort(page.sort)
+        .limit(page.fetchLimit);
+      const { items: requests, nextCursor, prevCursor } = page.finish(docs);
+
+      res.json({ requests, nextCursor, prevCursor });
+    } catch (error) {
+      console.error('Error fetching follow requests:', error);
+      res.status(500).json({ message: 'Error fetching follow requests' });
+    }
+  });
+
+  // Approve a Follow Request
+  router.post('/api/follow-requests/:requestId/approve', authenticateToken, validate(schemas.followRequestAction), async (req, res) => {
+    console.log('Approve follow request endpoint hit for request:', req.params.requestId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const request = await FollowRequest.findOne({ _id: req.params.requestId, targetId: req.user.id });
+      if (!request) return res.status(404).json({ message: 'Follow request not found' });
+
+      await approveFollowRequest(request);
+
+      res.json({ message: 'Follow request approved' });
+    } catch (error) {
+      console.error('Error approving follow request:', error);
+      res.status(500).json({ message: 'Error approving follow request' });
+    }
+  });
+
+  // Reject a Follow Request
+  router.post('/api/follow-requests/:requestId/reject', authenticateToken, validate(schemas.followRequestAction), async (req, res) => {
+    console.log('Reject follow request endpoint hit for request:', req.params.requestId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const request = await FollowRequest.findOneAndDelete({ _id: req.params.requestId, targetId: req.user.id });
+      if (!request) return res.status(404).json({ message: 'Follow request not found' });
+
+      await retractNotification({
+        recipientId: request.targetId,
+        actorId: request.requesterId,
+        type: 'follow_request',
+      });
+
+      res.json({ message: 'Follow request rejected' });
+    } catch (error) {
+      console.error('Error rejecting follow request:', error);
+      res.status(500).json({ message: 'Error rejecting follow request' });
+    }
+  });
+
+  // Get Close Friends
+  router.get('/api/close-friends', authenticateToken, async (req, res) => {
+    console.log('Close friends endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id).populate('closeFriends', 'username name profilePic');
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      res.json(user.closeFriends);
+    } catch (error) {
+      console.error('Error fetching close friends:', error);
+      res.status(500).json({ message: 'Error fetching close friends' });
+    }
+  });
+
+  // Add a Close Friend
+  router.post('/api/close-friends/:userId', authenticateToken, validate(schemas.userAction), async (req, res) => {
+    console.log('Add close friend endpoint hit for user:', req.user.id, 'friend:', req.params.userId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ message: 'Cannot add yourself as a close friend' });
+    }
+
+    try {
+      const friend = await User.findById(req.params.userId, '_id');
+      if (!friend) return res.status(404).json({ message: 'User not found' });
+
+      await User.updateOne({ _id: req.user.id }, { $addToSet: { closeFriends: friend._id } });
+      res.json({ message: 'Added to close friends' });
+    } catch (error) {
+      console.error('Error adding close friend:', error);
+      res.status(500).json({ message: 'Error adding close friend' });
+    }
+  });
+
+  // Remove a Close Friend
+  router.delete('/api/close-friends/:userId', authenticateToken, validate(schemas.userAction), async (req, res) => {
+    console.log('Remove close friend endpoint hit for user:', req.user.id, 'friend:', req.params.userId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      await User.updateOne({ _id: req.user.id }, { $pull: { closeFriends: req.params.userId } });
+      res.json({ message: 'Removed from close friends' });
+    } catch (error) {
+      console.error('Error removing close friend:', error);
+      res.status(500).json({ message: 'Error removing close friend' });
+    }
+  });
+
+  // Get Blocked Users
+  router.get('/api/blocks', authenticateToken, validate(schemas.listBlocks), async (req, res) => {
+    console.log('Blocks endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const page = parsePageParams(req.query);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    try {
+      const docs = await Block.find(withPageFilter({ blockerId: req.user.id }, page))
+        .populate('blockedId', 'username name profilePic')
+        .sort(page.sort)
+        .limit(page.fetchLimit);
+      const { items: blocks, nextCursor, prevCursor } = page.finish(docs);
+
+      const users = blocks.map((block) => block.blockedId).filter(Boolean);
+      res.json({ users, nextCursor, prevCursor });
+    } catch (error) {
+      console.error('Error fetching blocked users:', error);
+      res.status(500).json({ message: 'Error fetching blocked users' });
+    }
+  });
+
+  // Block a User (also removes follows between the two users in both directions)
+  router.post('/api/blocks/:userId', authenticateToken, rateLimit('follow'), validate(schemas.userAction), async (req, res) => {
+    console.log('Block endpoint hit for user:', req.user.id, 'to block:', req.params.userId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ message: 'Cannot block yourself' });
+    }
+
+    try {
+      const userToBlock = await User.findById(req.params.userId, '_id');
+      if (!userToBlock) return res.status(404).json({ message: 'User not found' });
+
+      await blockUser(req.user.id, userToBlock._id);
+      res.json({ message: 'Blocked user' });
+    } catch (error) {
+      console.error('Error blocking user:', error);
+      res.status(500).json({ message: 'Error blocking user' });
+    }
+  });
+
+  // Unblock a User
+  router.delete('/api/blocks/:userId', authenticateToken, rateLimit('follow'), validate(schemas.userAction), async (req, res) => {
+    console.log('Unblock endpoint hit for user:', req.user.id, 'to unblock:', req.params.userId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      await unblockUser(req.user.id, req.params.userId);
+      res.json({ message: 'Unblocked user' });
+    } catch (error) {
+      console.error('Error unblocking user:', error);
+      res.status(500).json({ message: 'Error unblocking user' });
+    }
+  });
+
+  // Get Muted Users
+  router.get('/api/mutes', authenticateToken, validate(schemas.listMutes), async (req, res) => {
+    console.log('Mutes endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const page = parsePageParams(req.query);
+    if (!page) return res.status(400).json({ message: 'Invalid cursor' });
+
+    try {
+      const docs = await Mute.find(withPageFilter({ muterId: req.user.id }, page))
+        .populate('mutedId', 'username name profilePic')
+        .sort(page.sort)
+        .limit(page.fetchLimit);
+      const { items: mutes, nextCursor, prevCursor } = page.finish(docs);
+
+      const users = mutes.map((mute) => mute.mutedId).filter(Boolean);
+      res.json({ users, nextCursor, prevCursor });
+    } catch (error) {
+      console.error('Error fetching muted users:', error);
+      res.status(500).json({ message: 'Error fetching muted users' });
+    }
+  });
+
+  // Mute a User (hides their posts from the feed and their notifications; they are not told)
+  router.post('/api/mutes/:userId', authenticateToken, rateLimit('follow'), validate(schemas.userAction), async (req, res) => {
+    console.log('Mute endpoint hit for user:', req.user.id, 'to mute:', req.params.userId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ message: 'Cannot mute yourself' });
+    }
+
+    try {
+      const userToMute = await User.findById(req.params.userId, '_id');
+      if (!userToMute) return res.status(404).json({ message: 'User not found' });
+
+      await muteUser(req.user.id, userToMute._id);
+      res.json({ message: 'Muted user' });
+    } catch (error) {
+      console.error('Error muting user:', error);
+      res.status(500).json({ message: 'Error muting user' });
+    }
+  });
+
+  // Unmute a User
+  router.delete('/api/mutes/:userId', authenticateToken, rateLimit('follow'), validate(schemas.userAction), async (req, res) => {
+    console.log('Unmute endpoint hit for user:', req.user.id, 'to unmute:', req.params.userId);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    try {
+      await unmuteUser(req.user.id, req.params.userId);
+      res.json({ message: 'Unmuted user' });
+    } catch (error) {
+      console.error('Error unmuting user:', error);
+      res.status(500).json({ message: 'Error unmuting user' });
+    }
+  });
+
+  // Get Presence (online/offline and last seen) for up to 100 users. Like the socket
+  // `presence` event, it only covers users the caller follows (or public accounts), and
+  // users on either side of a block with the caller are left out. Online status comes from
+  // this process's sockets (see utils/presence.js); last seen is stored on the user.
+  router.get('/api/presence', authenticateToken, validate(schemas.presence), async (req, res) => {
+    console.log('Presence endpoint hit for user:', req.user.id);
+    if (db.readyState !== 1) {
+      return res.status(503).json({ message: 'Service unavailable: MongoDB not connected' });
+    }
+
+    const userIds = req.query.userIds.split(',').filter(Boolean);
+
+    try {
+      const [followingIds, blockedIds] = await Promise.all([
+        Follow.distinct('followingId', { followerId: req.user.id, followingId: { $in: userIds } }),
+        Block.relatedIds(req.user.id),
+      ]);
+      const users = await User.find({
+        _id: { $in: userIds, $nin: blockedIds },
+        $or: [{ isPrivate: { $ne: true } }, { _id: { $in: [req.user.id, ...followingIds] } }],
+      }, 'lastSeenAt');
+      const statuses = users.map((user) => ({
+        userId: user._id,
+        status: presence.isOnline(user._id) ? 'online' : 'offline',
+        lastSeenAt: user.lastSeenAt || null,
+      }));
+
+      res.json(statuses);
+    } catch (error) {
+      console.error('Error fetching presence:', error);
+      res.status(500).json({ message: 'Error fetching presence' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createUsersRouter };
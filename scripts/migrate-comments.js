@@ -0,0 +1,61 @@
+// One-time migration: moves comments embedded in posts into the `comments` collection.
+// Safe to run more than once; embedded comments keep their _id, so re-runs skip them.
+//
+//   MONGO_URI=mongodb://... npm run migrate:comments
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/connectsphere';
+
+async function migrate() {
+  await mongoose.connect(MONGO_URI);
+  console.log('Connected to MongoDB');
+
+  const posts = mongoose.connection.collection('posts');
+  const cursor = posts.find({ comments: { $exists: true } }, { projection: { comments: 1 } });
+
+  let migratedPosts = 0;
+  let migratedComments = 0;
+
+  for await (const post of cursor) {
+    const embedded = (post.comments || []).filter((comment) => comment.userId && comment.content);
+
+    if (embedded.length > 0) {
+      const docs = embedded.map((comment) => ({
+        _id: comment._id || new mongoose.Types.ObjectId(),
+        postId: post._id,
+        userId: comment.userId,
+        username: comment.username || '',
+        content: comment.content,
+        parentId: null,
+        replyCount: 0,
+        likes: [],
+        likeCount: 0,
+        createdAt: comment.createdAt || new Date(),
+        updatedAt: comment.createdAt || new Date(),
+      }));
+
+      try {
+        const result = await Comment.collection.insertMany(docs, { ordered: false });
+        migratedComments += result.insertedCount;
+      } catch (error) {
+        // Duplicate keys mean an earlier run already moved these comments
+        if (error.code !== 11000) throw error;
+        migratedComments += error.result ? error.result.insertedCount : 0;
+      }
+    }
+
+    const commentCount = await Comment.countDocuments({ postId: post._id });
+    await posts.updateOne({ _id: post._id }, { $set: { commentCount }, $unset: { comments: '' } });
+    migratedPosts++;
+  }
+
+  console.log(`Migrated ${migratedComments} comments from ${migratedPosts} posts`);
+}
+
+migrate()
+  .catch((error) => {
+    console.error('Comment migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,101 @@
+// One-time migration: moves the `followers`/`following` arrays on users and the `likes`
+// array on posts into the `follows` and `likes` collections, and fills in the counters.
+// Safe to run more than once; the unique indexes make re-runs skip existing edges.
+//
+//   MONGO_URI=mongodb://... npm run migrate:follows-likes
+const mongoose = require('mongoose');
+const Follow = require('../models/Follow');
+const Like = require('../models/Like');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/connectsphere';
+
+// Inserts edges, ignoring the ones an earlier run (or the other side's array) already created
+async function insertEdges(Model, docs) {
+  if (docs.length === 0) return 0;
+  try {
+    const result = await Model.collection.insertMany(docs, { ordered: false });
+    return result.insertedCount;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return error.result ? error.result.insertedCount : 0;
+  }
+}
+
+async function migrateFollows() {
+  const users = mongoose.connection.collection('users');
+  const cursor = users.find(
+    { $or: [{ followers: { $exists: true } }, { following: { $exists: true } }] },
+    { projection: { followers: 1, following: 1 } }
+  );
+
+  let migratedEdges = 0;
+  for await (const user of cursor) {
+    // Either side of an edge may be the only record of it, so take both
+    const now = new Date();
+    const docs = [
+      ...(user.following || []).filter(Boolean).map((id) => ({ followerId: user._id, followingId: id })),
+      ...(user.followers || []).filter(Boolean).map((id) => ({ followerId: id, followingId: user._id })),
+    ]
+      .filter((edge) => !edge.followerId.equals(edge.followingId))
+      .map((edge) => ({ ...edge, createdAt: now, updatedAt: now }));
+    migratedEdges += await insertEdges(Follow, docs);
+  }
+
+  // Counts come from the edges, once every user's arrays have been moved
+  const recount = users.find({}, { projection: { _id: 1 } });
+  let migratedUsers = 0;
+  for await (const user of recount) {
+    const followerCount = await Follow.countDocuments({ followingId: user._id });
+    const followingCount = await Follow.countDocuments({ followerId: user._id });
+    await users.updateOne(
+      { _id: user._id },
+      { $set: { followerCount, followingCount }, $unset: { followers: '', following: '' } }
+    );
+    migratedUsers++;
+  }
+
+  console.log(`Migrated ${migratedEdges} follows for ${migratedUsers} users`);
+}
+
+async function migrateLikes() {
+  const posts = mongoose.connection.collection('posts');
+  const cursor = posts.find({ likes: { $exists: true } }, { projection: { likes: 1, createdAt: 1 } });
+
+  let migratedPosts = 0;
+  let migratedLikes = 0;
+  for await (const post of cursor) {
+    const userIds = (post.likes || []).filter(Boolean);
+    const likedAt = post.createdAt || new Date();
+    migratedLikes += await insertEdges(Like, userIds.map((userId) => ({
+      postId: post._id,
+      userId,
+      createdAt: likedAt,
+      updatedAt: likedAt,
+    })));
+
+    const likeCount = await Like.countDocuments({ postId: post._id });
+    await posts.updateOne({ _id: post._id }, { $set: { likeCount }, $unset: { likes: '' } });
+    migratedPosts++;
+  }
+
+  console.log(`Migrated ${migratedLikes} likes from ${migratedPosts} posts`);
+}
+
+async function migrate() {
+  await mongoose.connect(MONGO_URI);
+  console.log('Connected to MongoDB');
+
+  // The unique indexes must exist before inserting so duplicates are rejected
+  await Follow.init();
+  await Like.init();
+
+  await migrateFollows();
+  await migrateLikes();
+}
+
+migrate()
+  .catch((error) => {
+    console.error('Follow and like migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
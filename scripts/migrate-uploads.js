@@ -0,0 +1,76 @@
+// Moves uploads into the configured storage backend and rewrites legacy `/uploads/<file>`
+// paths on posts, users and messages to storage keys. Safe to run more than once.
+//
+//   STORAGE_DRIVER=s3 S3_BUCKET=... MONGO_URI=mongodb://... npm run migrate:uploads [-- --dry-run]
+const mongoose = require('mongoose');
+const config = require('../config');
+const { createStorage, isLegacyPath, legacyPathToKey } = require('../storage');
+const { createLocalStorage } = require('../storage/local');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/connectsphere';
+const dryRun = process.argv.includes('--dry-run');
+
+function toKey(value) {
+  return isLegacyPath(value) ? legacyPathToKey(value) : value;
+}
+
+// Copies every file in the local uploads directory to the target backend
+async function copyFiles(source, target) {
+  const keys = await source.list();
+  for (const key of keys) {
+    if (!dryRun) await target.put(key, await source.get(key));
+  }
+  console.log(`${dryRun ? 'Would copy' : 'Copied'} ${keys.length} files to ${target.driver} storage`);
+}
+
+async function rewriteField(collectionName, field) {
+  const collection = mongoose.connection.collection(collectionName);
+  const cursor = collection.find({ [field]: { $regex: '^/uploads/' } }, { projection: { [field]: 1 } });
+
+  let count = 0;
+  for await (const doc of cursor) {
+    const value = Array.isArray(doc[field]) ? doc[field].map(toKey) : toKey(doc[field]);
+    if (!dryRun) await collection.updateOne({ _id: doc._id }, { $set: { [field]: value } });
+    count++;
+  }
+  console.log(`${dryRun ? 'Would rewrite' : 'Rewrote'} ${collectionName}.${field} on ${count} documents`);
+}
+
+// Media records written before storage keys existed stored public paths instead
+async function rewriteMediaRecords() {
+  const collection = mongoose.connection.collection('media');
+  const cursor = collection.find({ key: { $exists: false }, path: { $exists: true } });
+
+  let count = 0;
+  for await (const doc of cursor) {
+    const variants = (doc.variants || []).map(({ path, ...variant }) => ({ ...variant, key: toKey(path) }));
+    if (!dryRun) {
+      await collection.updateOne({ _id: doc._id }, { $set: { key: toKey(doc.path), variants }, $unset: { path: '' } });
+    }
+    count++;
+  }
+  console.log(`${dryRun ? 'Would rewrite' : 'Rewrote'} ${count} media records`);
+}
+
+async function migrate() {
+  await mongoose.connect(MONGO_URI);
+  console.log('Connected to MongoDB');
+
+  const target = createStorage(config.storage);
+  if (target.driver !== 'local') {
+    await copyFiles(createLocalStorage(config.storage.local), target);
+  }
+
+  await rewriteField('posts', 'photos');
+  await rewriteField('posts', 'photoThumbnails');
+  await rewriteField('users', 'profilePic');
+  await rewriteField('messages', 'photo');
+  await rewriteMediaRecords();
+}
+
+migrate()
+  .catch((error) => {
+    console.error('Upload migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,45 @@
+// Gives a user a role from the command line, e.g. to create the first admin, who can then
+// manage roles through the API. The change is written to the moderation audit log as
+// made by the user themselves.
+//
+//   MONGO_URI=mongodb://... npm run set-role -- <username> <user|moderator|admin>
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ModerationLog = require('../models/ModerationLog');
+const { USER_ROLES } = require('../utils/moderation');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/connectsphere';
+
+async function setRole(username, role) {
+  if (!username || !USER_ROLES.includes(role)) {
+    throw new Error(`Usage: npm run set-role -- <username> <${USER_ROLES.join('|')}>`);
+  }
+
+  await mongoose.connect(MONGO_URI);
+  console.log('Connected to MongoDB');
+
+  const user = await User.findOne({ username });
+  if (!user) throw new Error(`No user named ${username}`);
+
+  const previousRole = user.role;
+  user.role = role;
+  await user.save();
+
+  await ModerationLog.create({
+    moderatorId: user._id,
+    action: 'set_role',
+    targetType: 'user',
+    targetId: user._id,
+    reason: 'Set from the command line',
+    details: { from: previousRole, to: role },
+  });
+
+  console.log(`${username} is now ${role} (was ${previousRole})`);
+}
+
+setRole(process.argv[2], process.argv[3])
+  .catch((error) => {
+    console.error('Setting role failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,194 @@
+// Account lifecycle: password changes and resets, username changes and account deletion
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const FollowRequest = require('../models/FollowRequest');
+const Block = require('../models/Block');
+const Mute = require('../models/Mute');
+const DismissedSuggestion = require('../models/DismissedSuggestion');
+const Notification = require('../models/Notification');
+const Message = require('../models/Message');
+const Session = require('../models/Session');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { generateRefreshToken, hashToken } = require('../utils/tokens');
+
+const DUPLICATE_KEY = 11000;
+
+function createAccountService({ mailer, passwordReset, sessions, notifications, follows, posts, media, dataExports }) {
+  // Revokes the user's sessions, except `keepSessionId` when given, and drops their sockets.
+  // Resolves to the number of sessions revoked.
+  async function revokeSessions(userId, keepSessionId) {
+    const filter = { userId, revokedAt: null };
+    if (keepSessionId) filter._id = { $ne: keepSessionId };
+
+    const revoked = await Session.find(filter, '_id');
+    const sessionIds = revoked.map((session) => session._id);
+    await Session.updateMany({ _id: { $in: sessionIds } }, { revokedAt: new Date() });
+    await sessions.disconnectSessions(userId, sessionIds.map(String));
+    return sessionIds.length;
+  }
+
+  async function setPassword(user, password) {
+    user.password = await bcrypt.hash(password, 10);
+    await user.save();
+    await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+  }
+
+  // Sets a new password and signs out every other device. Resolves to the number of sessions revoked.
+  async function changePassword(user, newPassword, currentSessionId) {
+    await setPassword(user, newPassword);
+    return revokeSessions(user._id, currentSessionId);
+  }
+
+  // Emails a single-use reset link to the account using `email`. Does nothing when there is
+  // no such account, so callers can answer the same either way. Resolves to false, before
+  // looking anything up, when no mail transport is configured.
+  async function requestPasswordReset(email) {
+    if (!mailer.canSend) return false;
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) return true;
+
+    const token = generateRefreshToken();
+    await PasswordResetToken.create({
+      userId: user._id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + passwordReset.tokenTtlMinutes * 60 * 1000),
+    });
+
+    await mailer.send({
+      to: user.email,
+      subject: 'Reset your ConnectSphere password',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Someone asked to reset the password for your account. If it was you, open this link:',
+        '',
+        `${passwordReset.url}?token=${token}`,
+        '',
+        `The link works once and expires in ${passwordReset.tokenTtlMinutes} minutes.`,
+        'If you did not ask for it, you can ignore this email.',
+      ].join('\n'),
+    });
+    return true;
+  }
+
+  // Uses up a reset token and sets the new password, signing out every device. Resolves to
+  // the user, or null when the token is unknown, used or expired.
+  async function resetPassword(token, newPassword) {
+    // Claiming the token atomically means two requests racing with it cannot both succeed
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() }
+    );
+    if (!resetToken) return null;
+
+    const user = await User.findById(resetToken.userId);
+    if (!user) return null;
+
+    await setPassword(user, newPassword);
+    await revokeSessions(user._id);
+    return user;
+  }
+
+  // Renames the user and rewrites the copies of their username stored on their posts,
+  // comments and messages and on mentions of them. Resolves to false when the name is taken.
+  async function changeUsername(user, username) {
+    if (user.username === username) return true;
+    if (await User.exists({ username })) return false;
+
+    user.username = username;
+    try {
+      await user.save();
+    } catch (error) {
+      // Someone else took the name between the check and the save
+      if (error.code === DUPLICATE_KEY) return false;
+      throw error;
+    }
+
+    const mentionUpdate = [
+      { $set: { 'mentions.$[mention].username': username } },
+      { arrayFilters: [{ 'mention.userId': user._id }] },
+    ];
+    await Post.updateMany({ userId: user._id }, { username });
+    await Comment.updateMany({ userId: user._id }, { username });
+    await Message.updateMany({ senderId: user._id }, { senderUsername: username });
+    await Post.updateMany({ 'mentions.userId': user._id }, ...mentionUpdate);
+    await Comment.updateMany({ 'mentions.userId': user._id }, ...mentionUpdate);
+    return true;
+  }
+
+  // Deletes the user and everything that belongs to them: posts (with their uploads, comments
+  // and likes), comments and likes elsewhere, follow edges, notifications to and from them,
+  // sessions, data exports and the profile and cover images. Conversations stay with the other participants.
+  async function deleteAccount(user) {
+    const userId = user._id;
+
+    await revokeSessions(userId);
+    await Session.deleteMany({ userId });
+    await PasswordResetToken.deleteMany({ userId });
+    await dataExports.removeUserExports(userId);
+
+    for (const post of await Post.find({ userId })) {
+      await posts.deletePost(post);
+    }
+
+    // Top-level comments first, since deleting one also deletes its replies
+    const comments = await Comment.find({ userId }).sort({ parentId: 1 });
+    for (const comment of comments) {
+      if (!await Comment.exists({ _id: comment._id })) continue;
+      const post = await Post.findById(comment.postId, 'userId');
+      if (post) await posts.deleteComment(comment, post);
+    }
+    await Comment.updateMany({ likes: userId }, { $pull: { likes: userId }, $inc: { likeCount: -1 } });
+
+    for (const like of await Like.find({ userId }, 'postId')) {
+      await Post.updateOne({ _id: like.postId }, { $inc: { likeCount: -1 } });
+    }
+    await Like.deleteMany({ userId });
+
+    for (const edge of await Follow.find({ followerId: userId })) {
+      await follows.removeFollow(userId, edge.followingId);
+    }
+    for (const edge of await Follow.find({ followingId: userId })) {
+      await follows.removeFollow(edge.followerId, userId);
+    }
+
+    await FollowRequest.deleteMany({ $or: [{ requesterId: userId }, { targetId: userId }] });
+    await Block.deleteMany({ $or: [{ blockerId: userId }, { blockedId: userId }] });
+    await Mute.deleteMany({ $or: [{ muterId: userId }, { mutedId: userId }] });
+    await DismissedSuggestion.deleteMany({ $or: [{ userId }, { dismissedUserId: userId }] });
+    await User.updateMany({ closeFriends: userId }, { $pull: { closeFriends: userId } });
+    // Other users' posts and comments stop linking @mentions to the deleted account
+    await Post.updateMany({ 'mentions.userId': userId }, { $pull: { mentions: { userId } } });
+    await Comment.updateMany({ 'mentions.userId': userId }, { $pull: { mentions: { userId } } });
+
+    // Take the user out of grouped notifications, dropping groups they were alone in
+    await Notification.deleteMany({ userId });
+    const recipientIds = new Set();
+    for (const notification of await Notification.find({ actors: userId })) {
+      notification.actors = notification.actors.filter((id) => !id.equals(userId));
+      if (notification.actors.length === 0) {
+        await notification.deleteOne();
+      } else {
+        notification.fromUserId = notification.actors[0];
+        notification.actorCount = notification.actors.length;
+        await notification.save();
+      }
+      recipientIds.add(notification.userId.toString());
+    }
+    for (const recipientId of recipientIds) {
+      await notifications.emitUnreadCount(recipientId);
+    }
+
+    await user.deleteOne();
+    await media.releaseMedia([user.profilePic, user.coverImage]);
+  }
+
+  return { changePassword, requestPasswordReset, resetPassword, changeUsername, deleteAccount };
+}
+
+module.exports = { createAccountService };
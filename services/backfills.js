@@ -0,0 +1,67 @@
+// Brings documents saved by older versions up to date. Run once after connecting;
+// each backfill only touches documents that still need it.
+const Post = require('../models/Post');
+const Notification = require('../models/Notification');
+const Media = require('../models/Media');
+const { normalizeVisibility } = require('../utils/postAccess');
+const { extractHashtags } = require('../utils/text');
+
+// Posts saved before audiences existed may still say `private`
+async function backfillPostVisibility() {
+  const result = await Post.updateMany({ visibility: 'private' }, { visibility: normalizeVisibility('private') });
+  if (result.modifiedCount > 0) {
+    console.log('Backfilled post visibility:', result.modifiedCount);
+  }
+}
+
+// Posts saved before hashtag extraction existed have no `hashtags`
+async function backfillPostHashtags() {
+  let count = 0;
+  const cursor = Post.find({ hashtags: { $exists: false } }, 'content').cursor();
+  for await (const post of cursor) {
+    await Post.updateOne({ _id: post._id }, { hashtags: extractHashtags(post.content) });
+    count++;
+  }
+  if (count > 0) {
+    console.log('Backfilled post hashtags:', count);
+  }
+}
+
+// Posts saved before drafts and scheduling existed were all published
+async function backfillPostStatus() {
+  const result = await Post.updateMany({ status: { $exists: false } }, { status: 'published' });
+  if (result.modifiedCount > 0) {
+    console.log('Backfilled post status:', result.modifiedCount);
+  }
+}
+
+// Uploads recorded before the orphan sweep tracked status get checked by it once
+async function backfillMediaStatus() {
+  const result = await Media.updateMany({ status: { $exists: false } }, { status: 'pending' });
+  if (result.modifiedCount > 0) {
+    console.log('Backfilled media status:', result.modifiedCount);
+  }
+}
+
+// Notifications created before grouping existed have no actors or activity time
+async function backfillNotificationGroups() {
+  const result = await Notification.updateMany(
+    { actors: { $exists: false } },
+    [{ $set: { actors: ['$fromUserId'], actorCount: 1, read: false, lastActivityAt: '$createdAt' } }]
+  );
+  if (result.modifiedCount > 0) {
+    console.log('Backfilled notification groups:', result.modifiedCount);
+  }
+}
+
+function runBackfills() {
+  return Promise.all([
+    backfillNotificationGroups(),
+    backfillPostVisibility(),
+    backfillPostHashtags(),
+    backfillPostStatus(),
+    backfillMediaStatus(),
+  ]);
+}
+
+module.exports = { runBackfills };
@@ -0,0 +1,67 @@
+// Blocking and muting other users
+const User = require('../models/User');
+const Block = require('../models/Block');
+const Mute = require('../models/Mute');
+const FollowRequest = require('../models/FollowRequest');
+
+const DUPLICATE_KEY = 11000;
+
+// Creates a `Model` edge from `filter`, returning false when it already existed
+async function upsertEdge(Model, filter) {
+  try {
+    const result = await Model.updateOne(filter, { $setOnInsert: filter }, { upsert: true });
+    return result.upsertedCount > 0;
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY) return false;
+    throw error;
+  }
+}
+
+function createBlockService({ follows, notifications }) {
+  // Blocks `blockedId` and cuts every tie between the two users: follows both ways,
+  // pending follow requests and close friends lists
+  async function blockUser(blockerId, blockedId) {
+    const created = await upsertEdge(Block, { blockerId, blockedId });
+
+    for (const [followerId, followingId] of [[blockerId, blockedId], [blockedId, blockerId]]) {
+      if (await follows.removeFollow(followerId, followingId)) {
+        await notifications.retractNotification({ recipientId: followingId, actorId: followerId, type: 'follow' });
+      }
+      const request = await FollowRequest.findOneAndDelete({ requesterId: followerId, targetId: followingId });
+      if (request) {
+        await notifications.retractNotification({ recipientId: followingId, actorId: followerId, type: 'follow_request' });
+      }
+    }
+
+    await User.updateOne({ _id: blockerId }, { $pull: { closeFriends: blockedId } });
+    await User.updateOne({ _id: blockedId }, { $pull: { closeFriends: blockerId } });
+
+    // Each side's notifications from the other are hidden from now on
+    await notifications.emitUnreadCount(blockerId);
+    await notifications.emitUnreadCount(blockedId);
+    return created;
+  }
+
+  async function unblockUser(blockerId, blockedId) {
+    const result = await Block.deleteOne({ blockerId, blockedId });
+    await notifications.emitUnreadCount(blockerId);
+    await notifications.emitUnreadCount(blockedId);
+    return result.deletedCount > 0;
+  }
+
+  async function muteUser(muterId, mutedId) {
+    const created = await upsertEdge(Mute, { muterId, mutedId });
+    await notifications.emitUnreadCount(muterId);
+    return created;
+  }
+
+  async function unmuteUser(muterId, mutedId) {
+    const result = await Mute.deleteOne({ muterId, mutedId });
+    await notifications.emitUnreadCount(muterId);
+    return result.deletedCount > 0;
+  }
+
+  return { blockUser, unblockUser, muteUser, unmuteUser };
+}
+
+module.exports = { createBlockService };
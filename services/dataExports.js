@@ -0,0 +1,280 @@
+// Personal data exports (built in the background, then downloaded) and imports of those
+// archives, which may come from another instance
+const { z } = require('zod');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const Notification = require('../models/Notification');
+const DataExport = require('../models/DataExport');
+const { isLegacyPath, legacyPathToKey } = require('../storage');
+const { ArchiveError, createTarGz, readTarGz } = require('../utils/archive');
+const { MediaError, generateFilename } = require('../utils/media');
+const { VISIBILITIES, POST_STATUSES, normalizeVisibility } = require('../utils/postAccess');
+const { extractHashtags } = require('../utils/text');
+
+const ARCHIVE_FORMAT = 'connectsphere-export';
+const ARCHIVE_VERSION = 1;
+const DATA_ENTRY = 'data.json';
+
+// Jobs still `processing` after this long were cut off (e.g. by a restart) and are retried
+const STALE_JOB_MS = 60 * 60 * 1000;
+
+// The parts of an archive an import reads; everything else in data.json is ignored
+const importedData = z.object({
+  format: z.literal(ARCHIVE_FORMAT),
+  version: z.number().int().max(ARCHIVE_VERSION),
+  posts: z.array(z.object({
+    content: z.string().trim().max(5000).default(''), // Empty for plain reposts
+    repostOf: z.string().nullish(),
+    photos: z.array(z.string()).max(10).default([]),
+    visibility: z.enum([...VISIBILITIES, 'private']).default('public'),
+    status: z.enum(POST_STATUSES).default('published'),
+    createdAt: z.coerce.date(),
+  })).default([]),
+});
+
+function mediaEntryName(key) {
+  return `media/${key}`;
+}
+
+function createDataExportService({ storage, exportStorage, dataExport, media, mentions }) {
+  // Reads every upload the user's profile and posts reference. Missing files are left out.
+  async function collectMedia(keys) {
+    const entries = [];
+    for (const value of new Set(keys.filter(Boolean))) {
+      const key = isLegacyPath(value) ? legacyPathToKey(value) : value;
+      try {
+        entries.push({ name: mediaEntryName(key), data: await storage.get(key) });
+      } catch (error) {
+        console.error('Skipping missing upload in data export:', key, error.message);
+      }
+    }
+    return entries;
+  }
+
+  async function buildArchive(userId, now) {
+    const user = await User.findById(userId);
+    if (!user) throw new Error('User no longer exists');
+
+    const [posts, comments, likes, followers, following, notifications] = await Promise.all([
+      Post.find({ userId }).sort({ createdAt: 1 }),
+      Comment.find({ userId }).sort({ createdAt: 1 }),
+      Like.find({ userId }).sort({ createdAt: 1 }),
+      Follow.find({ followingId: userId }).populate('followerId', 'username').sort({ createdAt: 1 }),
+      Follow.find({ followerId: userId }).populate('followingId', 'username').sort({ createdAt: 1 }),
+      Notification.find({ userId }).populate('actors', 'username').sort({ lastActivityAt: -1 }),
+    ]);
+
+    const mediaPath = (value) => mediaEntryName(isLegacyPath(value) ? legacyPathToKey(value) : value);
+    const data = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: now,
+      profile: {
+        _id: user._id,
+        username: user.username,
+        name: user.name,
+        email: user.email,
+        bio: user.bio,
+        links: user.links.map((link) => ({ label: link.label, url: link.url })),
+        location: user.location,
+        profilePic: user.profilePic ? mediaPath(user.profilePic) : null,
+        coverImage: user.coverImage ? mediaPath(user.coverImage) : null,
+        pinnedPostId: user.pinnedPostId,
+        isPrivate: user.isPrivate,
+        followerCount: user.followerCount,
+        followingCount: user.followingCount,
+      },
+      posts: posts.map((post) => ({
+        _id: post._id,
+        content: post.content,
+        photos: post.photos.map(mediaPath),
+        visibility: post.visibility,
+        status: post.status,
+        publishAt: post.publishAt,
+        repostOf: post.repostOf,
+        quoteOf: post.quoteOf,
+        hashtags: post.hashtags,
+        likeCount: post.likeCount,
+        commentCount: post.commentCount,
+        createdAt: post.createdAt,
+      })),
+      comments: comments.map((comment) => ({
+        _id: comment._id,
+        postId: comment.postId,
+        parentId: comment.parentId,
+        content: comment.content,
+        createdAt: comment.createdAt,
+      })),
+      likes: likes.map((like) => ({ postId: like.postId, createdAt: like.createdAt })),
+      followers: followers
+        .filter((edge) => edge.followerId)
+        .map((edge) => ({ username: edge.followerId.username, since: edge.createdAt })),
+      following: following
+        .filter((edge) => edge.followingId)
+        .map((edge) => ({ username: edge.followingId.username, since: edge.createdAt })),
+      notifications: notifications.map((notification) => ({
+        type: notification.type,
+        actors: notification.actors.filter(Boolean).map((actor) => actor.username),
+        actorCount: notification.actorCount,
+        postId: notification.postId,
+        read: notification.read,
+        createdAt: notification.createdAt,
+        lastActivityAt: notification.lastActivityAt,
+      })),
+    };
+
+    const media = await collectMedia([user.profilePic, user.coverImage, ...posts.flatMap((post) => post.photos)]);
+    return createTarGz([{ name: DATA_ENTRY, data: JSON.stringify(data, null, 2) }, ...media], now);
+  }
+
+  // Claims the oldest waiting job, or one whose worker went away. Claims are atomic, so
+  // several instances can run jobs side by side.
+  function claimNextExport(now) {
+    return DataExport.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending' },
+          { status: 'processing', startedAt: { $lt: new Date(now.getTime() - STALE_JOB_MS) } },
+        ],
+      },
+      { status: 'processing', startedAt: now },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  // Builds archives for every waiting export job
+  async function runPendingExports() {
+    for (let job = await claimNextExport(new Date()); job; job = await claimNextExport(new Date())) {
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + dataExport.ttlHours * 60 * 60 * 1000);
+      try {
+        const archive = await buildArchive(job.userId, now);
+        const key = generateFilename('.tar.gz', '_export');
+        await exportStorage.put(key, archive, { contentType: 'application/gzip' });
+        await DataExport.updateOne(
+          { _id: job._id },
+          { status: 'ready', key, size: archive.length, completedAt: new Date(), expiresAt }
+        );
+      } catch (error) {
+        console.error('Error building data export:', job._id, error);
+        await DataExport.updateOne(
+          { _id: job._id },
+          { status: 'failed', error: 'Export failed', completedAt: new Date(), expiresAt }
+        );
+      }
+    }
+  }
+
+  // Queues an export for the user, or returns the one already waiting or in progress,
+  // and starts working through the queue without waiting for it
+  async function requestExport(userId) {
+    let job = await DataExport.findOne({ userId, status: { $in: ['pending', 'processing'] } });
+    if (!job) {
+      job = new DataExport({ userId });
+      await job.save();
+    }
+
+    runPendingExports().catch((error) => {
+      console.error('Error running data exports:', error);
+    });
+    return job;
+  }
+
+  function readExport(job) {
+    return exportStorage.get(job.key);
+  }
+
+  async function removeExport(job) {
+    if (job.key) await exportStorage.delete(job.key);
+    await job.deleteOne();
+  }
+
+  // Deletes expired jobs and their archives
+  async function removeExpiredExports(now = new Date()) {
+    for (const job of await DataExport.find({ expiresAt: { $lt: now } })) {
+      await removeExport(job);
+    }
+  }
+
+  async function removeUserExports(userId) {
+    for (const job of await DataExport.find({ userId })) {
+      await removeExport(job);
+    }
+  }
+
+  // Recreates the posts in an export archive, with their photos, as posts by `user`.
+  // Posts already imported (same content and creation time) and plain reposts, whose
+  // originals live on the other instance, are skipped, and so are photos that are not valid
+  // images. Quote posts come back as ordinary posts, and drafts and scheduled posts as drafts
+  // so nothing goes out without the user choosing to. Throws ArchiveError for archives that cannot be read.
+  async function importArchive(user, buffer) {
+    const entries = new Map(
+      readTarGz(buffer, { maxBytes: dataExport.maxImportBytes })
+        .map((entry) => [entry.name.replace(/^\.\//, ''), entry.data])
+    );
+    if (!entries.has(DATA_ENTRY)) throw new ArchiveError(`Archive has no ${DATA_ENTRY}`);
+
+    let data;
+    try {
+      data = importedData.parse(JSON.parse(entries.get(DATA_ENTRY).toString('utf8')));
+    } catch (error) {
+      throw new ArchiveError('Archive is not a ConnectSphere data export');
+    }
+
+    const now = new Date();
+    const result = { importedPosts: 0, skippedPosts: 0, importedPhotos: 0, skippedPhotos: 0 };
+    for (const item of data.posts) {
+      if (item.repostOf || !item.content) {
+        result.skippedPosts++;
+        continue;
+      }
+      if (await Post.exists({ userId: user._id, content: item.content, createdAt: item.createdAt })) {
+        result.skippedPosts++;
+        continue;
+      }
+
+      const photos = [];
+      for (const path of item.photos) {
+        const file = entries.get(path);
+        try {
+          if (!file) throw new MediaError('Photo missing from archive');
+          photos.push(...await media.storeImages([{ buffer: file }], user._id, 'post'));
+          result.importedPhotos++;
+        } catch (error) {
+          if (!(error instanceof MediaError)) throw error;
+          result.skippedPhotos++;
+        }
+      }
+
+      const post = new Post({
+        content: item.content,
+        userId: user._id,
+        username: user.username,
+        photos: photos.map((doc) => doc.key),
+        photoThumbnails: photos.map((doc) => media.variantKey(doc, 'thumbnail')),
+        hashtags: extractHashtags(item.content),
+        mentions: await mentions.resolveMentions(item.content),
+        visibility: normalizeVisibility(item.visibility),
+        status: item.status === 'published' ? 'published' : 'draft',
+        createdAt: item.createdAt > now ? now : item.createdAt,
+      });
+      await post.save();
+      result.importedPosts++;
+    }
+    return result;
+  }
+
+  return {
+    requestExport,
+    runPendingExports,
+    readExport,
+    removeExpiredExports,
+    removeUserExports,
+    importArchive,
+  };
+}
+
+module.exports = { createDataExportService };
@@ -0,0 +1,99 @@
+// Candidates and signals for the ranked ("For You") feed
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Follow = require('../models/Follow');
+const Like = require('../models/Like');
+const Mute = require('../models/Mute');
+const { feedVisibilityFilter } = require('../utils/postAccess');
+const { rankPosts } = require('../utils/ranking');
+const { discoverablePostStages, POPULATED_AUTHOR_STAGE } = require('./posts');
+
+const HOUR = 60 * 60 * 1000;
+const IN_NETWORK_WINDOW = 7 * 24 * HOUR;
+const OUT_OF_NETWORK_WINDOW = 48 * HOUR;
+const AFFINITY_WINDOW = 30 * 24 * HOUR;
+const IN_NETWORK_CANDIDATES = 300;
+const OUT_OF_NETWORK_CANDIDATES = 30;
+const AFFINITY_SAMPLE = 500;
+
+// How often `viewerId` liked or commented on each author's posts since `since`, keyed by author id
+async function interactionCounts(viewerId, since) {
+  const [likes, comments] = await Promise.all([
+    Like.find({ userId: viewerId, createdAt: { $gte: since } }, 'postId').sort({ createdAt: -1 }).limit(AFFINITY_SAMPLE),
+    Comment.find({ userId: viewerId, createdAt: { $gte: since } }, 'postId').sort({ createdAt: -1 }).limit(AFFINITY_SAMPLE),
+  ]);
+
+  const interactedPostIds = [...likes, ...comments].map((doc) => doc.postId);
+  const posts = await Post.find({ _id: { $in: interactedPostIds } }, 'userId');
+  const authorByPost = new Map(posts.map((post) => [post._id.toString(), post.userId.toString()]));
+
+  const counts = new Map();
+  for (const postId of interactedPostIds) {
+    const authorId = authorByPost.get(postId.toString());
+    if (!authorId || authorId === viewerId.toString()) continue;
+    counts.set(authorId, (counts.get(authorId) || 0) + 1);
+  }
+  return counts;
+}
+
+// One page of the ranked feed for `viewer`, without posts by muted users. Every candidate is scored against the same
+// `now`, and `seenIds` (posts shown on earlier pages) are left out, so later pages never
+// repeat a post even when scores shift between requests.
+async function rankedFeed(viewer, { now, seenIds = [], limit }) {
+  const followingIds = await Follow.followingIds(viewer._id);
+  const closeFriendOf = await User.find({ closeFriends: viewer._id }, '_id');
+  const mutedIds = await Mute.mutedIds(viewer._id);
+  const networkIds = [viewer._id, ...followingIds];
+
+  const inNetwork = Post.find({
+    $and: [
+      feedVisibilityFilter(viewer, followingIds, closeFriendOf.map((friend) => friend._id)),
+      {
+        createdAt: { $gte: new Date(now - IN_NETWORK_WINDOW) },
+        userId: { $nin: mutedIds },
+        _id: { $nin: seenIds },
+      },
+    ],
+  })
+    .populate('userId', 'username profilePic')
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(IN_NETWORK_CANDIDATES)
+    .lean();
+
+  // Popular public posts from public accounts the viewer does not follow (or muted).
+  // Strangers' plain reposts are left out; popular originals show up on their own.
+  const outOfNetwork = Post.aggregate([
+    {
+      $match: {
+        visibility: 'public',
+        repostOf: null,
+        createdAt: { $gte: new Date(now - OUT_OF_NETWORK_WINDOW) },
+        userId: { $nin: [...networkIds, ...mutedIds] },
+        _id: { $nin: seenIds },
+      },
+    },
+    ...(await discoverablePostStages(viewer)),
+    { $addFields: { engagement: { $add: [{ $ifNull: ['$likeCount', 0] }, { $ifNull: ['$commentCount', 0] }] } } },
+    { $sort: { engagement: -1, createdAt: -1, _id: -1 } },
+    { $limit: OUT_OF_NETWORK_CANDIDATES },
+    POPULATED_AUTHOR_STAGE,
+    { $project: { author: 0, engagement: 0 } },
+  ]);
+
+  const [inNetworkPosts, outOfNetworkPosts, affinity] = await Promise.all([
+    inNetwork,
+    outOfNetwork,
+    interactionCounts(viewer._id, new Date(now - AFFINITY_WINDOW)),
+  ]);
+
+  const ranked = rankPosts([...inNetworkPosts, ...outOfNetworkPosts], {
+    now,
+    affinity,
+    networkIds: new Set(networkIds.map((id) => id.toString())),
+  });
+
+  return { posts: ranked.slice(0, limit), hasMore: ranked.length > limit };
+}
+
+module.exports = { rankedFeed };
@@ -0,0 +1,53 @@
+// Follow edges and follow requests
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+
+const DUPLICATE_KEY = 11000;
+
+function createFollowService({ notifications }) {
+  // Creates the follow edge and bumps both counters. Returns false when the edge already
+  // existed, so concurrent follows only count once.
+  async function addFollow(followerId, targetId) {
+    try {
+      const result = await Follow.updateOne(
+        { followerId, followingId: targetId },
+        { $setOnInsert: { followerId, followingId: targetId } },
+        { upsert: true }
+      );
+      if (result.upsertedCount === 0) return false;
+    } catch (error) {
+      // Two upserts racing on the unique index: the other one created the edge
+      if (error.code === DUPLICATE_KEY) return false;
+      throw error;
+    }
+
+    await User.updateOne({ _id: followerId }, { $inc: { followingCount: 1 } });
+    await User.updateOne({ _id: targetId }, { $inc: { followerCount: 1 } });
+    return true;
+  }
+
+  // Deletes the follow edge and decrements both counters. Returns false when there was none.
+  async function removeFollow(followerId, targetId) {
+    const edge = await Follow.findOneAndDelete({ followerId, followingId: targetId });
+    if (!edge) return false;
+
+    await User.updateOne({ _id: followerId }, { $inc: { followingCount: -1 } });
+    await User.updateOne({ _id: targetId }, { $inc: { followerCount: -1 } });
+    return true;
+  }
+
+  // Turns a pending follow request into a follow edge
+  async function approveFollowRequest(request) {
+    await addFollow(request.requesterId, request.targetId);
+    await request.deleteOne();
+    await notifications.retractNotification({
+      recipientId: request.targetId,
+      actorId: request.requesterId,
+      type: 'follow_request',
+    });
+  }
+
+  return { addFollow, removeFollow, approveFollowRequest };
+}
+
+module.exports = { createFollowService };
@@ -0,0 +1,101 @@
+// Stored uploads: writing processed images to storage, and deleting them once unused
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Message = require('../models/Message');
+const Media = require('../models/Media');
+const { generateFilename, processImage } = require('../utils/media');
+
+function variantKey(media, name) {
+  const variant = media.variants.find((candidate) => candidate.name === name);
+  return variant ? variant.key : media.key;
+}
+
+async function isMediaReferenced(key) {
+  const [post, user, message] = await Promise.all([
+    Post.exists({ photos: key }),
+    User.exists({ $or: [{ profilePic: key }, { coverImage: key }] }),
+    Message.exists({ photo: key }),
+  ]);
+  return Boolean(post || user || message);
+}
+
+// How many pending uploads the orphan sweep loads at a time
+const ORPHAN_SWEEP_BATCH = 100;
+
+function createMediaService({ storage, maxUploadBytes }) {
+  // Validates and processes every uploaded file before writing any of them, then records
+  // each one in the Media collection. Throws MediaError for files that are not images.
+  async function storeImages(files, ownerId, kind) {
+    const processed = await Promise.all(files.map((file) => processImage(file.buffer, { maxBytes: maxUploadBytes })));
+
+    const media = [];
+    for (const image of processed) {
+      const key = generateFilename(image.ext);
+      await storage.put(key, image.main.buffer, { contentType: image.mimeType });
+
+      const variants = [];
+      for (const variant of image.variants) {
+        const variantKey = generateFilename(image.ext, `_${variant.name}`);
+        await storage.put(variantKey, variant.buffer, { contentType: image.mimeType });
+        variants.push({ name: variant.name, key: variantKey, width: variant.width, height: variant.height });
+      }
+
+      const doc = new Media({
+        ownerId,
+        kind,
+        key,
+        mimeType: image.mimeType,
+        size: image.main.buffer.length,
+        width: image.main.width,
+        height: image.main.height,
+        variants,
+      });
+      await doc.save();
+      media.push(doc);
+    }
+    return media;
+  }
+
+  async function removeMedia(media) {
+    await Promise.all([media.key, ...media.variants.map((variant) => variant.key)].map((k) => storage.delete(k)));
+    await media.deleteOne();
+  }
+
+  // Deletes the files and records of media that nothing references any more
+  async function releaseMedia(keys) {
+    for (const key of keys) {
+      if (!key || await isMediaReferenced(key)) continue;
+
+      const media = await Media.findOne({ key });
+      if (!media) continue; // Uploads from before the Media collection are left alone
+
+      await removeMedia(media);
+    }
+  }
+
+  // Sweeps pending uploads that never got attached to anything (e.g. a failed request) and
+  // marks the rest attached, so each upload is only checked once. Uploads younger than the
+  // grace period are skipped so in-flight requests are not affected.
+  async function collectOrphanMedia(gracePeriodMs = 60 * 60 * 1000) {
+    const cutoff = new Date(Date.now() - gracePeriodMs);
+    for (;;) {
+      // Every upload in a batch leaves the pending set, so the next query picks up where this one ended
+      const batch = await Media.find({ status: 'pending', createdAt: { $lt: cutoff } })
+        .sort({ createdAt: 1 })
+        .limit(ORPHAN_SWEEP_BATCH);
+      if (batch.length === 0) return;
+
+      for (const media of batch) {
+        if (await isMediaReferenced(media.key)) {
+          await Media.updateOne({ _id: media._id }, { status: 'attached' });
+        } else {
+          await removeMedia(media);
+        }
+      }
+    }
+  }
+
+  return { storeImages, variantKey, releaseMedia, collectOrphanMedia };
+}
+
+module.exports = { variantKey, isMediaReferenced, createMediaService };
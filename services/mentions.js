@@ -0,0 +1,58 @@
+// @mentions in posts and comments
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const { canViewPost } = require('../utils/postAccess');
+const { extractMentions } = require('../utils/text');
+
+// Resolves `@username` mentions in `content` to existing users, keeping their offsets
+async function resolveMentions(content) {
+  const found = extractMentions(content);
+  if (found.length === 0) return [];
+
+  const usernames = [...new Set(found.map((mention) => mention.username))];
+  const users = await User.find({ username: { $in: usernames } }, 'username');
+  const usersByName = new Map(users.map((user) => [user.username, user]));
+
+  return found
+    .filter((mention) => usersByName.has(mention.username))
+    .map((mention) => ({ ...mention, userId: usersByName.get(mention.username)._id }));
+}
+
+function mentionedUserIds(mentions) {
+  return [...new Set((mentions || []).map((mention) => mention.userId.toString()))];
+}
+
+function createMentionService({ notifications }) {
+  // Sends `mention` notifications to mentioned users who are allowed to see the post.
+  // `previousMentions` are skipped so edits only notify newly mentioned users.
+  async function notifyMentions({ mentions, previousMentions = [], actor, post, authorId }) {
+    const alreadyMentioned = mentionedUserIds(previousMentions);
+    const userIds = mentionedUserIds(mentions).filter((id) => !alreadyMentioned.includes(id));
+    if (userIds.length === 0) return;
+
+    const author = await User.findById(authorId, 'isPrivate closeFriends');
+    if (!author) return;
+
+    const viewers = await User.find({ _id: { $in: userIds } }, '_id');
+    const followers = await Follow.distinct('followerId', { followerId: { $in: userIds }, followingId: author._id });
+    for (const viewer of viewers) {
+      const follows = followers.some((id) => id.equals(viewer._id));
+      if (canViewPost(viewer, post, author, follows)) {
+        await notifications.notify({ recipientId: viewer._id, actor, type: 'mention', postId: post._id });
+      }
+    }
+  }
+
+  // Withdraws `mention` notifications from users an edit no longer mentions
+  async function retractMentions({ mentions, previousMentions, actorId, postId }) {
+    const stillMentioned = mentionedUserIds(mentions);
+    const removed = mentionedUserIds(previousMentions).filter((id) => !stillMentioned.includes(id));
+    for (const userId of removed) {
+      await notifications.retractNotification({ recipientId: userId, actorId, type: 'mention', postId });
+    }
+  }
+
+  return { resolveMentions, notifyMentions, retractMentions };
+}
+
+module.exports = { resolveMentions, createMentionService };
@@ -0,0 +1,47 @@
+// Direct message read state and blocks between participants
+const Message = require('../models/Message');
+const Block = require('../models/Block');
+
+// Whether a block either way stands between `userId` and the other side of a one-to-one
+// conversation. Messages, typing indicators and read receipts do not cross it; group
+// members can still talk.
+async function isBlockedConversation(conversation, userId) {
+  if (conversation.isGroup) return false;
+  const otherId = conversation.participants.find((id) => id.toString() !== userId.toString());
+  return Boolean(otherId) && Block.isBlockedEitherWay(userId, otherId);
+}
+
+function createMessageService({ io }) {
+  // Records that a user has read a conversation up to now and tells the other participants,
+  // unless a block stands between them
+  async function markConversationRead(conversation, userId) {
+    const readAt = new Date();
+    const entry = conversation.readState.find((state) => state.userId.toString() === userId.toString());
+    if (entry) {
+      entry.lastReadAt = readAt;
+    } else {
+      conversation.readState.push({ userId, lastReadAt: readAt });
+    }
+    await conversation.save();
+
+    await Message.updateMany(
+      { conversationId: conversation._id, readBy: { $ne: userId } },
+      { $addToSet: { readBy: userId } }
+    );
+
+    const recipients = await isBlockedConversation(conversation, userId) ? [userId] : conversation.participants;
+    recipients.forEach((participantId) => {
+      io.to(participantId.toString()).emit('read', {
+        conversationId: conversation._id,
+        userId,
+        readAt,
+      });
+    });
+
+    return readAt;
+  }
+
+  return { markConversationRead };
+}
+
+module.exports = { isBlockedConversation, createMessageService };
@@ -0,0 +1,60 @@
+// Moderator actions: every one closes the open reports it answers and is written to the audit log
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const ModerationLog = require('../models/ModerationLog');
+
+const DUPLICATE_KEY = 11000;
+
+function createModerationService({ sessions }) {
+  // Files a report, or updates the reporter's open report about the same target
+  async function submitReport({ reporterId, targetType, targetId, targetUserId, reason, details }) {
+    const filter = { reporterId, targetType, targetId, status: 'open' };
+    const update = { reason, details: details || '', targetUserId };
+    try {
+      return await Report.findOneAndUpdate(filter, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+    } catch (error) {
+      // Two identical reports racing on the unique index: the other one created it, so update that
+      if (error.code !== DUPLICATE_KEY) throw error;
+      return Report.findOneAndUpdate(filter, update, { new: true });
+    }
+  }
+
+  // Writes an audit log entry and resolves the open reports about the target
+  async function recordModeratorAction({ moderatorId, action, targetType, targetId, reportId, reason, details }) {
+    await ModerationLog.create({ moderatorId, action, targetType, targetId, reportId, reason, details });
+
+    if (targetType === 'report') return;
+    await Report.updateMany(
+      { targetType, targetId, status: 'open' },
+      { status: 'resolved', resolvedBy: moderatorId, resolvedAt: new Date(), action }
+    );
+  }
+
+  // Suspends `user` until `until` and drops their live sockets; signed-in requests are
+  // rejected by authenticateToken until then
+  async function suspendUser(user, { until, reason }) {
+    user.suspendedUntil = until;
+    user.suspensionReason = reason;
+    await user.save();
+    await sessions.disconnectSessions(user._id);
+  }
+
+  return { submitReport, recordModeratorAction, suspendUser };
+}
+
+// The reported post, comment or user of each report, keyed by report id, for the moderation queue
+async function loadReportTargets(reports) {
+  const idsOf = (type) => reports.filter((report) => report.targetType === type).map((report) => report.targetId);
+  const [posts, comments, users] = await Promise.all([
+    Post.find({ _id: { $in: idsOf('post') } }, 'content photos userId username visibility hiddenAt createdAt'),
+    Comment.find({ _id: { $in: idsOf('comment') } }, 'content postId userId username createdAt'),
+    User.find({ _id: { $in: idsOf('user') } }, 'username name profilePic bio role suspendedUntil'),
+  ]);
+
+  const targets = new Map([...posts, ...comments, ...users].map((doc) => [doc._id.toString(), doc]));
+  return new Map(reports.map((report) => [report._id.toString(), targets.get(report.targetId.toString()) || null]));
+}
+
+module.exports = { createModerationService, loadReportTargets };
@@ -0,0 +1,112 @@
+// Creating, grouping and retracting notifications, and keeping clients' unread counts current
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const Block = require('../models/Block');
+const Mute = require('../models/Mute');
+const { describeNotification } = require('../utils/notifications');
+
+// Users whose notifications `userId` does not see: the ones they muted and anyone on either
+// side of a block with them. Their notifications stay stored, so they come back on unmute or unblock.
+async function hiddenActorIds(userId) {
+  const [muted, blocked] = await Promise.all([Mute.mutedIds(userId), Block.relatedIds(userId)]);
+  return [...muted, ...blocked];
+}
+
+// Filter for the notifications `userId` sees: those with at least one actor not in `hiddenIds`
+function visibleNotificationsFilter(userId, hiddenIds) {
+  return { userId, actors: { $elemMatch: { $nin: hiddenIds } } };
+}
+
+// A notification as `userId` sees it: hidden actors left out of `actors` (the first `maxActors`
+// that remain), `fromUserId` and `actorCount`. Populate the result for display.
+function withoutHiddenActors(notification, hiddenIds, maxActors = 3) {
+  const hidden = new Set(hiddenIds.map(String));
+  const actors = notification.actors.filter((id) => !hidden.has(id.toString()));
+  return {
+    ...notification.toObject(),
+    actors: actors.slice(0, maxActors),
+    fromUserId: actors[0],
+    actorCount: actors.length,
+  };
+}
+
+function createNotificationService({ io }) {
+  async function countUnread(userId) {
+    const hiddenIds = await hiddenActorIds(userId);
+    return Notification.countDocuments({ ...visibleNotificationsFilter(userId, hiddenIds), read: false });
+  }
+
+  async function emitUnreadCount(userId) {
+    const count = await countUnread(userId);
+    io.to(userId.toString()).emit('unreadCount', { count });
+  }
+
+  // Creates a notification, or folds it into the recipient's unread notification of the
+  // same type about the same post. Skips self-notifications, types the recipient muted,
+  // and actors the recipient muted or is blocking (or blocked by).
+  async function notify({ recipientId, actor, type, postId }) {
+    if (recipientId.toString() === actor._id.toString()) return null;
+
+    const recipient = await User.findById(recipientId, 'notificationPreferences');
+    if (!recipient || recipient.notificationPreferences.muted.includes(type)) return null;
+    if (await Mute.exists({ muterId: recipientId, mutedId: actor._id })) return null;
+    if (await Block.isBlockedEitherWay(recipientId, actor._id)) return null;
+
+    let notification = await Notification.findOne({
+      userId: recipientId,
+      type,
+      postId: postId || null,
+      read: false,
+    });
+    if (notification) {
+      notification.actors = [
+        actor._id,
+        ...notification.actors.filter((id) => id.toString() !== actor._id.toString()),
+      ];
+    } else {
+      notification = new Notification({ userId: recipientId, type, postId, actors: [actor._id] });
+    }
+    notification.fromUserId = actor._id;
+    notification.actorCount = notification.actors.length;
+    notification.lastActivityAt = new Date();
+    await notification.save();
+
+    io.to(recipientId.toString()).emit('notification', {
+      message: describeNotification(type, actor.username, notification.actorCount),
+      postId,
+      notificationId: notification._id,
+    });
+    await emitUnreadCount(recipientId);
+    return notification;
+  }
+
+  // Removes an actor from notifications when they undo the action (unlike, unfollow, ...)
+  async function retractNotification({ recipientId, actorId, type, postId }) {
+    const notifications = await Notification.find({
+      userId: recipientId,
+      type,
+      postId: postId || null,
+      actors: actorId,
+    });
+    if (notifications.length === 0) return;
+
+    await Promise.all(notifications.map((notification) => {
+      notification.actors = notification.actors.filter((id) => id.toString() !== actorId.toString());
+      if (notification.actors.length === 0) return notification.deleteOne();
+
+      notification.fromUserId = notification.actors[0];
+      notification.actorCount = notification.actors.length;
+      return notification.save();
+    }));
+    await emitUnreadCount(recipientId);
+  }
+
+  return { countUnread, emitUnreadCount, notify, retractNotification };
+}
+
+module.exports = {
+  hiddenActorIds,
+  visibleNotificationsFilter,
+  withoutHiddenActors,
+  createNotificationService,
+};
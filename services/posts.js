@@ -0,0 +1,349 @@
+// Loading posts and comments on behalf of a viewer
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Block = require('../models/Block');
+const Follow = require('../models/Follow');
+const Like = require('../models/Like');
+const Notification = require('../models/Notification');
+const { canViewPost, isPublished, isPubliclyVisible, discoveryVisibilityFilter } = require('../utils/postAccess');
+
+const DUPLICATE_KEY = 11000;
+
+// Loads a post for `viewer` (a user document). Returns null when the post does not exist,
+// the viewer is not in its audience or either user blocked the other, so hidden posts look
+// like missing ones.
+async function findViewablePost(postId, viewer) {
+  if (!mongoose.Types.ObjectId.isValid(postId)) return null;
+
+  const post = await Post.findById(postId).populate('userId', 'username profilePic');
+  if (!post || !post.userId) return null;
+
+  const author = await User.findById(post.userId._id, 'isPrivate closeFriends');
+  if (!author) return null;
+  if (await Block.isBlockedEitherWay(viewer._id, author._id)) return null;
+  const follows = await Follow.isFollowing(viewer._id, author._id);
+  if (!canViewPost(viewer, post, author, follows)) return null;
+  return post;
+}
+
+// Loads a comment together with its post, or nulls when the viewer may not see the post
+async function findViewableComment(commentId, viewer) {
+  if (!mongoose.Types.ObjectId.isValid(commentId)) return { comment: null, post: null };
+
+  const comment = await Comment.findById(commentId);
+  if (!comment) return { comment: null, post: null };
+
+  const post = await findViewablePost(comment.postId, viewer);
+  if (!post) return { comment: null, post: null };
+  return { comment, post };
+}
+
+// Aggregation stages that join each post's author and drop posts `viewer` may not see,
+// including posts by users on either side of a block with the viewer.
+// Used where posts from outside the viewer's network can show up (search, hashtags).
+async function discoverablePostStages(viewer) {
+  const followingIds = await Follow.followingIds(viewer._id);
+  const closeFriendOf = await User.find({ closeFriends: viewer._id }, '_id');
+  const blockedIds = await Block.relatedIds(viewer._id);
+  return [
+    { $match: { userId: { $nin: blockedIds } } },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: 'userId',
+        foreignField: '_id',
+        as: 'author',
+        pipeline: [{ $project: { username: 1, profilePic: 1, isPrivate: 1 } }],
+      },
+    },
+    { $unwind: '$author' },
+    { $match: discoveryVisibilityFilter(viewer, followingIds, closeFriendOf.map((friend) => friend._id)) },
+  ];
+}
+
+// Aggregation stages that drop posts by private accounts, for counts over public posts
+// that do not depend on the viewer (trending and hashtag search)
+const PUBLIC_AUTHOR_STAGES = [
+  {
+    $lookup: {
+      from: User.collection.name,
+      localField: 'userId',
+      foreignField: '_id',
+      as: 'author',
+      pipeline: [{ $project: { isPrivate: 1 } }],
+    },
+  },
+  { $unwind: '$author' },
+  { $match: { 'author.isPrivate': { $ne: true } } },
+];
+
+// Shapes aggregated posts like `populate('userId', 'username profilePic')` would
+const POPULATED_AUTHOR_STAGE = {
+  $addFields: {
+    userId: { _id: '$author._id', username: '$author.username', profilePic: '$author.profilePic' },
+  },
+};
+
+// Records `userId` liking `post` and bumps its count. Returns false when the like already
+// existed, so concurrent likes only count once. `post.likeCount` is updated in place.
+async function addLike(post, userId) {
+  try {
+    const result = await Like.updateOne(
+      { postId: post._id, userId },
+      { $setOnInsert: { postId: post._id, userId } },
+      { upsert: true }
+    );
+    if (result.upsertedCount === 0) return false;
+  } catch (error) {
+    // Two upserts racing on the unique index: the other one created the like
+    if (error.code === DUPLICATE_KEY) return false;
+    throw error;
+  }
+
+  const updated = await Post.findByIdAndUpdate(post._id, { $inc: { likeCount: 1 } }, { new: true, projection: 'likeCount' });
+  if (updated) post.likeCount = updated.likeCount;
+  return true;
+}
+
+// Removes `userId`'s like from `post`. Returns false when there was none.
+async function removeLike(post, userId) {
+  const like = await Like.findOneAndDelete({ postId: post._id, userId });
+  if (!like) return false;
+
+  const updated = await Post.findByIdAndUpdate(post._id, { $inc: { likeCount: -1 } }, { new: true, projection: 'likeCount' });
+  if (updated) post.likeCount = updated.likeCount;
+  return true;
+}
+
+function toPlainPost(post) {
+  return typeof post.toObject === 'function' ? post.toObject() : post;
+}
+
+// Loads the originals that `posts` repost or quote and keeps the ones `viewerId` may see
+// (public posts from public accounts when `viewerId` is null), keyed by id
+async function viewableOriginals(posts, viewerId) {
+  const ids = [...new Set(posts.map((post) => post.repostOf || post.quoteOf).filter(Boolean).map(String))];
+  if (ids.length === 0) return new Map();
+
+  const originals = await Post.find({ _id: { $in: ids } }).populate('userId', 'username profilePic');
+  const authorIds = originals.filter((original) => original.userId).map((original) => original.userId._id);
+  const authors = await User.find({ _id: { $in: authorIds } }, 'isPrivate closeFriends');
+  const followedIds = viewerId
+    ? await Follow.distinct('followingId', { followerId: viewerId, followingId: { $in: authorIds } })
+    : [];
+  const blockedIds = viewerId ? await Block.relatedIds(viewerId) : [];
+
+  const viewable = new Map();
+  for (const original of originals) {
+    const author = original.userId && authors.find((candidate) => candidate._id.equals(original.userId._id));
+    if (!author || blockedIds.some((id) => id.equals(author._id))) continue;
+
+    const visible = viewerId
+      ? canViewPost({ _id: viewerId }, original, author, followedIds.some((id) => id.equals(author._id)))
+      : isPubliclyVisible(original, author);
+    if (visible) viewable.set(original._id.toString(), original.toObject());
+  }
+  return viewable;
+}
+
+// Plain post objects with the viewer's state: `liked` and `reposted` say whether `viewerId`
+// likes or reposted each one, and reposted or quoted originals are embedded in `repostOf` and
+// `quoteOf` when the viewer may see them. Plain reposts of originals the viewer may not see
+// (or that are gone) are left out; quotes of them get `quoteOf: null`. `viewerId` is null for
+// signed-out viewers. Accepts documents or aggregation results.
+async function withViewerState(posts, viewerId) {
+  const objects = posts.map(toPlainPost);
+  const originals = await viewableOriginals(objects, viewerId);
+
+  const ids = [...objects, ...originals.values()].map((post) => post._id);
+  const [likes, reposts] = viewerId
+    ? await Promise.all([
+      Like.find({ userId: viewerId, postId: { $in: ids } }, 'postId'),
+      Post.find({ userId: viewerId, repostOf: { $in: ids } }, 'repostOf'),
+    ])
+    : [[], []];
+  const likedIds = new Set(likes.map((like) => like.postId.toString()));
+  const repostedIds = new Set(reposts.map((repost) => repost.repostOf.toString()));
+  const withState = (post) => ({
+    ...post,
+    liked: likedIds.has(post._id.toString()),
+    reposted: repostedIds.has(post._id.toString()),
+  });
+  const embedded = (id) => (originals.has(id.toString()) ? withState(originals.get(id.toString())) : null);
+
+  return objects
+    .filter((post) => !post.repostOf || originals.has(post.repostOf.toString()))
+    .map((post) => {
+      const viewed = withState(post);
+      if (post.repostOf) viewed.repostOf = embedded(post.repostOf);
+      if (post.quoteOf) viewed.quoteOf = embedded(post.quoteOf);
+      return viewed;
+    });
+}
+
+// Resolves the post a repost or quote of `post` should point at: reposting a repost reposts
+// its original. Returns null when `viewer` may not see it, and `{ post, repostable }` otherwise,
+// where only public posts from public accounts are repostable.
+async function findRepostTarget(post, viewer) {
+  const original = post.repostOf ? await findViewablePost(post.repostOf, viewer) : post;
+  if (!original) return null;
+
+  const author = await User.findById(original.userId._id, 'isPrivate');
+  return { post: original, repostable: Boolean(author) && isPubliclyVisible(original, author) };
+}
+
+function createPostService({ notifications, media, mentions }) {
+  // Takes a deleted repost or quote off its original's counts, and withdraws the `repost`
+  // notification when the user has no other repost or quote of it
+  async function releaseOriginal(post) {
+    const originalId = post.repostOf || post.quoteOf;
+    const counter = post.repostOf ? 'repostCount' : 'quoteCount';
+    const original = await Post.findByIdAndUpdate(originalId, { $inc: { [counter]: -1 } }, { projection: 'userId' });
+    if (!original) return;
+
+    const stillShared = await Post.exists({
+      userId: post.userId,
+      status: 'published',
+      $or: [{ repostOf: originalId }, { quoteOf: originalId }],
+    });
+    if (!stillShared) {
+      await notifications.retractNotification({
+        recipientId: original.userId,
+        actorId: post.userId,
+        type: 'repost',
+        postId: originalId,
+      });
+    }
+  }
+
+  // Sends what a post going out triggers: mention notifications, and for quotes the
+  // original's count and a `repost` notification to its author. `author` needs `username`.
+  async function announcePost(post, author) {
+    await mentions.notifyMentions({ mentions: post.mentions, actor: author, post, authorId: author._id });
+    if (post.quoteOf) {
+      const quoted = await Post.findByIdAndUpdate(post.quoteOf, { $inc: { quoteCount: 1 } }, { projection: 'userId' });
+      if (quoted) await notifications.notify({ recipientId: quoted.userId, actor: author, type: 'repost', postId: quoted._id });
+    }
+  }
+
+  // Publishes a draft or scheduled post matching `filter` now, dated to this moment. Claims are
+  // atomic, so a post the scheduler and its author publish at once only goes out once.
+  // Resolves to the published post, or null when nothing matched.
+  async function publishPost(postId, filter = {}) {
+    const post = await Post.findOneAndUpdate(
+      { _id: postId, status: { $in: ['draft', 'scheduled'] }, ...filter },
+      { status: 'published', publishAt: null, createdAt: new Date() },
+      { new: true }
+    );
+    if (!post) return null;
+
+    const author = await User.findById(post.userId, 'username');
+    if (author) await announcePost(post, author);
+    return post;
+  }
+
+  // Publishes every scheduled post whose time has come, oldest first. Resolves to how many went out.
+  async function publishDuePosts(now = new Date()) {
+    const due = { status: 'scheduled', publishAt: { $lte: now } };
+    let published = 0;
+    for (;;) {
+      const next = await Post.findOne(due, '_id').sort({ publishAt: 1 });
+      if (!next) return published;
+      if (await publishPost(next._id, due)) published++;
+    }
+  }
+
+  // Deletes a post with its uploads, comments, likes and notifications, and unpins it.
+  // Plain reposts of it go too; quotes of it stay and show it as unavailable.
+  async function deletePost(post) {
+    await post.deleteOne();
+    await User.updateOne({ _id: post.userId, pinnedPostId: post._id }, { pinnedPostId: null });
+    await media.releaseMedia(post.photos);
+    await Comment.deleteMany({ postId: post._id });
+    await Like.deleteMany({ postId: post._id });
+    await Notification.deleteMany({ postId: post._id });
+    await notifications.emitUnreadCount(post.userId);
+
+    // Drafts and scheduled quotes were never counted on their original
+    if ((post.repostOf || post.quoteOf) && isPublished(post)) await releaseOriginal(post);
+    for (const repost of await Post.find({ repostOf: post._id })) {
+      await deletePost(repost);
+    }
+  }
+
+  // Reposts `original` as `user` and bumps its count. Returns false when the user had already
+  // reposted it, so concurrent reposts only count once. `original.repostCount` is updated in place.
+  async function addRepost(original, user) {
+    try {
+      const result = await Post.updateOne(
+        { userId: user._id, repostOf: original._id },
+        { $setOnInsert: { userId: user._id, username: user.username, repostOf: original._id, visibility: 'public' } },
+        { upsert: true }
+      );
+      if (result.upsertedCount === 0) return false;
+    } catch (error) {
+      // Two upserts racing on the unique index: the other one created the repost
+      if (error.code === DUPLICATE_KEY) return false;
+      throw error;
+    }
+
+    const updated = await Post.findByIdAndUpdate(original._id, { $inc: { repostCount: 1 } }, { new: true, projection: 'repostCount' });
+    if (updated) original.repostCount = updated.repostCount;
+    return true;
+  }
+
+  // Deletes `userId`'s repost of `original`. Returns false when there was none.
+  async function removeRepost(original, userId) {
+    const repost = await Post.findOne({ userId, repostOf: original._id });
+    if (!repost) return false;
+
+    await deletePost(repost);
+    const updated = await Post.findById(original._id, 'repostCount');
+    if (updated) original.repostCount = updated.repostCount;
+    return true;
+  }
+
+  // Deletes a comment (with its replies, when it is top-level) and keeps the counts and
+  // `comment` notifications on the post in step. `post` needs its author populated.
+  async function deleteComment(comment, post) {
+    const replies = await Comment.find({ parentId: comment._id }, 'userId');
+    await Comment.deleteMany({ parentId: comment._id });
+    await comment.deleteOne();
+
+    await Post.updateOne({ _id: post._id }, { $inc: { commentCount: -(replies.length + 1) } });
+    if (comment.parentId) {
+      await Comment.updateOne({ _id: comment.parentId }, { $inc: { replyCount: -1 } });
+    }
+
+    // Withdraw comment notifications from authors who no longer have any comment on the post
+    const authorIds = [...new Set([comment.userId, ...replies.map((reply) => reply.userId)].map(String))];
+    for (const authorId of authorIds) {
+      const stillCommenting = await Comment.exists({ postId: post._id, userId: authorId });
+      if (!stillCommenting) {
+        await notifications.retractNotification({
+          recipientId: post.userId._id,
+          actorId: authorId,
+          type: 'comment',
+          postId: post._id,
+        });
+      }
+    }
+  }
+
+  return { announcePost, publishPost, publishDuePosts, deletePost, deleteComment, addRepost, removeRepost };
+}
+
+module.exports = {
+  findViewablePost,
+  findViewableComment,
+  discoverablePostStages,
+  PUBLIC_AUTHOR_STAGES,
+  POPULATED_AUTHOR_STAGE,
+  addLike,
+  removeLike,
+  withViewerState,
+  findRepostTarget,
+  createPostService,
+};
@@ -0,0 +1,34 @@
+// Profile fields and stats shared by the signed-in and public profile views
+const Post = require('../models/Post');
+
+// Fields anyone may see, signed in or not
+function publicProfileFields(user) {
+  return {
+    _id: user._id,
+    username: user.username,
+    name: user.name,
+    bio: user.bio,
+    links: user.links.map((link) => ({ label: link.label, url: link.url })),
+    location: user.location,
+    profilePic: user.profilePic,
+    coverImage: user.coverImage,
+    isPrivate: user.isPrivate,
+  };
+}
+
+// Post, follower and following counts and the likes received across the user's posts.
+// Drafts, scheduled posts, plain reposts and posts hidden by moderators are left out.
+async function profileStats(user) {
+  const [totals] = await Post.aggregate([
+    { $match: { userId: user._id, status: 'published', repostOf: null, hiddenAt: null } },
+    { $group: { _id: null, postCount: { $sum: 1 }, likesReceived: { $sum: '$likeCount' } } },
+  ]);
+  return {
+    postCount: totals ? totals.postCount : 0,
+    followerCount: user.followerCount,
+    followingCount: user.followingCount,
+    likesReceived: totals ? totals.likesReceived : 0,
+  };
+}
+
+module.exports = { publicProfileFields, profileStats };
@@ -0,0 +1,82 @@
+// Search over users, posts and hashtags
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Block = require('../models/Block');
+const { escapeRegex, normalizeHashtag } = require('../utils/text');
+const { discoverablePostStages, PUBLIC_AUTHOR_STAGES, POPULATED_AUTHOR_STAGE } = require('./posts');
+
+const MAX_SEARCH_OFFSET = 500;
+
+// Users ranked by where the query matched: exact username, username prefix, name word prefix,
+// bio word prefix. Users on either side of a block with the viewer are left out.
+async function searchUsers(q, viewer, { offset, limit }) {
+  const prefix = escapeRegex(q);
+  const usernamePrefix = new RegExp(`^${prefix}`, 'i');
+  const wordPrefix = new RegExp(`(^|\\s)${prefix}`, 'i');
+  const blockedIds = await Block.relatedIds(viewer._id);
+
+  return User.aggregate([
+    {
+      $match: {
+        _id: { $nin: blockedIds },
+        $or: [{ username: usernamePrefix }, { name: wordPrefix }, { bio: wordPrefix }],
+      },
+    },
+    {
+      $addFields: {
+        score: {
+          $switch: {
+            branches: [
+              { case: { $eq: [{ $toLower: '$username' }, q.toLowerCase()] }, then: 4 },
+              { case: { $regexMatch: { input: '$username', regex: usernamePrefix } }, then: 3 },
+              { case: { $regexMatch: { input: { $ifNull: ['$name', ''] }, regex: wordPrefix } }, then: 2 },
+            ],
+            default: 1,
+          },
+        },
+      },
+    },
+    { $sort: { score: -1, followerCount: -1, _id: 1 } },
+    { $skip: offset },
+    { $limit: limit },
+    { $project: { username: 1, name: 1, profilePic: 1, bio: 1, isPrivate: 1, followerCount: 1 } },
+  ]);
+}
+
+// Posts ranked by MongoDB text score, restricted to what the viewer may see
+async function searchPosts(q, viewer, { offset, limit }) {
+  return Post.aggregate([
+    { $match: { $text: { $search: q } } },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    ...(await discoverablePostStages(viewer)),
+    { $sort: { score: -1, createdAt: -1, _id: -1 } },
+    { $skip: offset },
+    { $limit: limit },
+    POPULATED_AUTHOR_STAGE,
+    { $project: { author: 0, score: 0 } },
+  ]);
+}
+
+// Hashtags starting with the query, ranked by how many public posts from public accounts use them
+async function searchHashtags(q, { offset, limit }) {
+  const tagPrefix = new RegExp(`^${escapeRegex(normalizeHashtag(q))}`);
+
+  return Post.aggregate([
+    { $match: { hashtags: tagPrefix, status: 'published', visibility: 'public', hiddenAt: null } },
+    ...PUBLIC_AUTHOR_STAGES,
+    { $unwind: '$hashtags' },
+    { $match: { hashtags: tagPrefix } },
+    { $group: { _id: '$hashtags', postCount: { $sum: 1 }, lastUsedAt: { $max: '$createdAt' } } },
+    { $sort: { postCount: -1, lastUsedAt: -1, _id: 1 } },
+    { $skip: offset },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', postCount: 1, lastUsedAt: 1 } },
+  ]);
+}
+
+module.exports = {
+  MAX_SEARCH_OFFSET,
+  searchUsers,
+  searchPosts,
+  searchHashtags,
+};
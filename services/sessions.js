@@ -0,0 +1,60 @@
+// Sessions: one per login on one device. Access tokens carry the session id as `sid`,
+// so revoking a session stops its access tokens as well as its refresh token.
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { generateRefreshToken, hashToken } = require('../utils/tokens');
+const { isSuspended } = require('../utils/moderation');
+
+// Thrown by `verifySession` for valid sessions of suspended accounts
+class AccountSuspendedError extends Error {
+  constructor(suspendedUntil) {
+    super(`Account suspended until ${suspendedUntil.toISOString()}`);
+    this.name = 'AccountSuspendedError';
+    this.suspendedUntil = suspendedUntil;
+  }
+}
+
+function createSessionService({ tokens, io }) {
+  // Verifies an access token and checks that the session it belongs to is still active and
+  // its account is not suspended. Resolves to the token payload plus the account's `role`.
+  async function verifySession(token) {
+    const payload = await tokens.verifyAccessToken(token);
+    if (!payload.sid) throw new Error('Token is not bound to a session');
+
+    const session = await Session.findById(payload.sid);
+    if (!session || !session.isActive()) throw new Error('Session has been revoked');
+
+    const user = await User.findById(payload.id, 'role suspendedUntil');
+    if (!user) throw new Error('Account no longer exists');
+    if (isSuspended(user)) throw new AccountSuspendedError(user.suspendedUntil);
+    return { ...payload, role: user.role };
+  }
+
+  // Starts a new session and returns its short-lived access token and long-lived refresh token
+  async function createSession(user, req) {
+    const refreshToken = generateRefreshToken();
+    const session = new Session({
+      userId: user._id,
+      tokenHash: hashToken(refreshToken),
+      userAgent: req.get('User-Agent') || '',
+      ip: req.ip,
+      expiresAt: tokens.refreshTokenExpiry(),
+    });
+    await session.save();
+
+    const token = tokens.signAccessToken({ id: user._id.toString(), sid: session._id.toString() });
+    return { token, refreshToken };
+  }
+
+  // Drops live sockets that belong to revoked sessions (all of the user's sockets when no ids are given)
+  async function disconnectSessions(userId, sessionIds) {
+    const sockets = await io.in(userId.toString()).fetchSockets();
+    sockets
+      .filter((socket) => !sessionIds || sessionIds.includes(socket.data.sessionId))
+      .forEach((socket) => socket.disconnect(true));
+  }
+
+  return { verifySession, createSession, disconnectSessions };
+}
+
+module.exports = { AccountSuspendedError, createSessionService };
@@ -0,0 +1,162 @@
+// Follow suggestions from the viewer's social graph
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Follow = require('../models/Follow');
+const FollowRequest = require('../models/FollowRequest');
+const Like = require('../models/Like');
+const DismissedSuggestion = require('../models/DismissedSuggestion');
+const Block = require('../models/Block');
+const Mute = require('../models/Mute');
+const { scoreSuggestion } = require('../utils/ranking');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_SUGGESTIONS = 100;
+const ENGAGEMENT_WINDOW = 30 * DAY;
+const ACTIVITY_WINDOW = 30 * DAY;
+const ENGAGEMENT_SAMPLE = 200;
+
+// Users who are never suggested: the viewer, anyone they follow or asked to follow,
+// anyone they dismissed or muted, and anyone on either side of a block with them
+async function excludedUserIds(viewerId, followingIds) {
+  const [requested, dismissed, blocked, muted] = await Promise.all([
+    FollowRequest.distinct('targetId', { requesterId: viewerId }),
+    DismissedSuggestion.distinct('dismissedUserId', { userId: viewerId }),
+    Block.relatedIds(viewerId),
+    Mute.mutedIds(viewerId),
+  ]);
+  return [viewerId, ...followingIds, ...requested, ...dismissed, ...blocked, ...muted];
+}
+
+// Users followed by people the viewer follows, with the two most recent of those mutuals
+function mutualFollowCandidates(followingIds, excluded) {
+  if (followingIds.length === 0) return [];
+  return Follow.aggregate([
+    { $match: { followerId: { $in: followingIds }, followingId: { $nin: excluded } } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $group: { _id: '$followingId', mutualCount: { $sum: 1 }, mutualIds: { $push: '$followerId' } } },
+    { $sort: { mutualCount: -1, _id: 1 } },
+    { $limit: MAX_SUGGESTIONS },
+    { $project: { mutualCount: 1, mutualIds: { $slice: ['$mutualIds', 2] } } },
+  ]);
+}
+
+// How often each user liked or commented on posts the viewer recently liked or commented on
+async function sharedEngagementCounts(viewerId, excluded, since) {
+  const [likes, comments] = await Promise.all([
+    Like.find({ userId: viewerId, createdAt: { $gte: since } }, 'postId').sort({ createdAt: -1 }).limit(ENGAGEMENT_SAMPLE),
+    Comment.find({ userId: viewerId, createdAt: { $gte: since } }, 'postId').sort({ createdAt: -1 }).limit(ENGAGEMENT_SAMPLE),
+  ]);
+  const postIds = [...likes, ...comments].map((doc) => doc.postId);
+  if (postIds.length === 0) return new Map();
+
+  const engagedWith = (Model) => Model.aggregate([
+    { $match: { postId: { $in: postIds }, userId: { $nin: excluded } } },
+    { $group: { _id: '$userId', count: { $sum: 1 } } },
+  ]);
+  const [likers, commenters] = await Promise.all([engagedWith(Like), engagedWith(Comment)]);
+
+  const counts = new Map();
+  for (const { _id, count } of [...likers, ...commenters]) {
+    counts.set(_id.toString(), (counts.get(_id.toString()) || 0) + count);
+  }
+  return counts;
+}
+
+// When each candidate last posted within the activity window, keyed by user id
+async function lastPostedAt(userIds, since) {
+  const latest = await Post.aggregate([
+    { $match: { userId: { $in: userIds }, status: 'published', createdAt: { $gte: since } } },
+    { $group: { _id: '$userId', lastPostedAt: { $max: '$createdAt' } } },
+  ]);
+  return new Map(latest.map((entry) => [entry._id.toString(), entry.lastPostedAt]));
+}
+
+function latestDate(...dates) {
+  const times = dates.filter(Boolean).map((date) => new Date(date).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+// "Followed by bob", "Followed by bob and carol", "Followed by bob and 3 others"
+function explainSuggestion({ mutualCount, mutuals, sharedEngagement }) {
+  if (mutualCount > 0 && mutuals.length > 0) {
+    const [first, second] = mutuals.map((user) => user.username);
+    let text = `Followed by ${first}`;
+    if (mutualCount === 2 && second) text += ` and ${second}`;
+    if (mutualCount > 2) text += ` and ${mutualCount - 1} others`;
+    return { type: 'mutual_follows', text };
+  }
+  if (sharedEngagement > 0) {
+    return { type: 'shared_engagement', text: 'Interacts with the same posts as you' };
+  }
+  return { type: 'popular', text: 'Popular with other people' };
+}
+
+// Ranked follow suggestions for `viewer`. Returns one page and whether more follow.
+async function suggestUsers(viewer, { offset, limit, now = Date.now() }) {
+  const followingIds = await Follow.followingIds(viewer._id);
+  const excluded = await excludedUserIds(viewer._id, followingIds);
+
+  const [mutualCandidates, sharedEngagement, popular] = await Promise.all([
+    mutualFollowCandidates(followingIds, excluded),
+    sharedEngagementCounts(viewer._id, excluded, new Date(now - ENGAGEMENT_WINDOW)),
+    // Keeps suggestions coming for users with no network yet
+    User.find({ _id: { $nin: excluded } }, '_id').sort({ followerCount: -1, _id: 1 }).limit(MAX_SUGGESTIONS),
+  ]);
+
+  const mutualsByCandidate = new Map(mutualCandidates.map((candidate) => [candidate._id.toString(), candidate]));
+  const candidateIds = [...new Set([
+    ...mutualsByCandidate.keys(),
+    ...sharedEngagement.keys(),
+    ...popular.map((user) => user._id.toString()),
+  ])];
+
+  const mutualIds = mutualCandidates.flatMap((candidate) => candidate.mutualIds);
+  const [users, mutualUsers] = await Promise.all([
+    User.find({ _id: { $in: candidateIds } }, 'username name profilePic isPrivate followerCount lastSeenAt'),
+    User.find({ _id: { $in: mutualIds } }, 'username'),
+  ]);
+  const postedAt = await lastPostedAt(users.map((user) => user._id), new Date(now - ACTIVITY_WINDOW));
+  const mutualUsersById = new Map(mutualUsers.map((user) => [user._id.toString(), user]));
+
+  const suggestions = users
+    .map((user) => {
+      const id = user._id.toString();
+      const mutual = mutualsByCandidate.get(id);
+      const mutualCount = mutual ? mutual.mutualCount : 0;
+      const mutuals = mutual ? mutual.mutualIds.map((mutualId) => mutualUsersById.get(mutualId.toString())).filter(Boolean) : [];
+      const engagement = sharedEngagement.get(id) || 0;
+      const score = scoreSuggestion({
+        mutualCount,
+        sharedEngagement: engagement,
+        lastActiveAt: latestDate(user.lastSeenAt, postedAt.get(id)),
+        followerCount: user.followerCount,
+        now,
+      });
+
+      return {
+        score,
+        user: {
+          _id: user._id,
+          username: user.username,
+          name: user.name,
+          profilePic: user.profilePic,
+          isPrivate: user.isPrivate,
+          followerCount: user.followerCount,
+        },
+        mutualCount,
+        reason: explainSuggestion({ mutualCount, mutuals, sharedEngagement: engagement }),
+      };
+    })
+    .sort((a, b) => b.score - a.score
+      || b.user.followerCount - a.user.followerCount
+      || a.user._id.toString().localeCompare(b.user._id.toString()))
+    .map(({ score, ...suggestion }) => suggestion);
+
+  return {
+    suggestions: suggestions.slice(offset, offset + limit),
+    hasMore: suggestions.length > offset + limit,
+  };
+}
+
+module.exports = { MAX_SUGGESTIONS, suggestUsers };
@@ -0,0 +1,124 @@
+// Socket.IO: authentication, presence, typing indicators and read receipts
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Conversation = require('../models/Conversation');
+const presence = require('../utils/presence');
+const { isBlockedConversation } = require('../services/messages');
+
+function attachSocketHandlers(io, {
+  maxConnectionsPerUser,
+  verifySession,
+  emitUnreadCount,
+  markConversationRead,
+}) {
+  // Tell a user's followers that they came online or went offline
+  async function broadcastPresence(userId, status, lastSeenAt) {
+    const user = await User.findByIdAndUpdate(userId, { lastSeenAt }, { projection: '_id' });
+    if (!user) return;
+
+    const followers = Follow.find({ followingId: user._id }, 'followerId').lean().cursor();
+    for await (const follow of followers) {
+      io.to(follow.followerId.toString()).emit('presence', { userId, status, lastSeenAt });
+    }
+  }
+
+  // Sockets authenticate with the same JWT as the REST API, sent as `auth.token` in the handshake
+  io.use((socket, next) => {
+    const token = (socket.handshake.auth && socket.handshake.auth.token)
+      || socket.handshake.headers.authorization;
+    if (!token) return next(new Error('Access Denied'));
+
+    verifySession(token)
+      .then((user) => {
+        if (socket.conn.readyState !== 'open') return next(new Error('Connection closed'));
+        // Counted in this process only; see utils/presence.js
+        if (presence.connectionCount(user.id) >= maxConnectionsPerUser) {
+          console.log('Max connections reached for user, rejecting:', user.id);
+          return next(new Error('Too many connections'));
+        }
+
+        // Take the slot in the same tick as the check so parallel handshakes cannot all get
+        // under the limit. It is given back if the client leaves before the connection completes.
+        socket.data.cameOnline = presence.addConnection(user.id, socket.id);
+        socket.conn.once('close', () => {
+          if (!socket.data.connected) presence.removeConnection(user.id, socket.id);
+        });
+
+        socket.data.userId = user.id;
+        socket.data.sessionId = user.sid;
+        next();
+      })
+      .catch(() => next(new Error('Invalid Token')));
+  });
+
+  io.on('connection', (socket) => {
+    const { userId, cameOnline } = socket.data;
+    socket.data.connected = true;
+
+    // Each user's room is named after their id; notifications and messages are emitted there
+    socket.join(userId);
+    console.log('A user connected:', socket.id, 'User:', userId, 'Online users:', presence.onlineUserCount());
+
+    emitUnreadCount(userId).catch((error) => {
+      console.error('Error sending unread count:', error);
+    });
+
+    if (cameOnline) {
+      broadcastPresence(userId, 'online', new Date()).catch((error) => {
+        console.error('Error broadcasting presence:', error);
+      });
+    }
+
+    // Relay typing indicators to the other participants of a conversation
+    socket.on('typing', async (payload) => {
+      try {
+        const { conversationId, isTyping } = payload || {};
+        if (!mongoose.Types.ObjectId.isValid(conversationId)) return;
+
+        const conversation = await Conversation.findById(conversationId);
+        if (!conversation || !conversation.hasParticipant(userId)) return;
+        if (await isBlockedConversation(conversation, userId)) return;
+
+        conversation.participants
+          .filter((id) => id.toString() !== userId)
+          .forEach((participantId) => {
+            io.to(participantId.toString()).emit('typing', {
+              conversationId,
+              userId,
+              isTyping: isTyping !== false,
+            });
+          });
+      } catch (error) {
+        console.error('Error relaying typing event:', error);
+      }
+    });
+
+    socket.on('read', async (payload) => {
+      try {
+        const { conversationId } = payload || {};
+        if (!mongoose.Types.ObjectId.isValid(conversationId)) return;
+
+        const conversation = await Conversation.findById(conversationId);
+        if (!conversation || !conversation.hasParticipant(userId)) return;
+
+        await markConversationRead(conversation, userId);
+      } catch (error) {
+        console.error('Error marking conversation as read:', error);
+      }
+    });
+
+    socket.on('disconnect', () => {
+      const wentOffline = presence.removeConnection(userId, socket.id);
+      console.log('A user disconnected:', socket.id, 'User:', userId, 'Online users:', presence.onlineUserCount());
+
+      if (wentOffline) {
+        broadcastPresence(userId, 'offline', new Date()).catch((error) => {
+          console.error('Error broadcasting presence:', error);
+        });
+      }
+    });
+  });
+}
+
+module.exports = { attachSocketHandlers };
@@ -0,0 +1,75 @@
+// Upload storage. Documents store storage keys (e.g. `3f2c...e1.jpg`); URLs are only
+// produced when a response is sent, so they can be signed and the backend can change.
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+// Paths saved before the storage layer existed look like `/uploads/<file>`
+const LEGACY_PREFIX = '/uploads/';
+
+// Response fields that hold storage keys
+const MEDIA_URL_FIELDS = ['profilePic', 'coverImage', 'photo', 'photos', 'photoThumbnails'];
+
+function createStorage(config) {
+  switch (config.driver) {
+    case 'local': return createLocalStorage(config.local);
+    case 's3': return createS3Storage(config.s3);
+    default: throw new Error(`Unknown storage driver: ${config.driver}`);
+  }
+}
+
+function isLegacyPath(value) {
+  return typeof value === 'string' && value.startsWith(LEGACY_PREFIX);
+}
+
+function legacyPathToKey(value) {
+  return value.slice(LEGACY_PREFIX.length);
+}
+
+// Turns a stored value into a URL. Legacy paths and absolute URLs are passed through.
+function resolveUrl(storage, value) {
+  if (!value || typeof value !== 'string') return value;
+  if (isLegacyPath(value) || /^https?:\/\//.test(value)) return value;
+  return storage.url(value);
+}
+
+// Rewrites every media field in a JSON-serializable payload to a URL
+function resolveMediaUrls(storage, payload) {
+  const plain = JSON.parse(JSON.stringify(payload));
+
+  const walk = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+    } else if (node && typeof node === 'object') {
+      Object.keys(node).forEach((field) => {
+        if (MEDIA_URL_FIELDS.includes(field)) {
+          node[field] = Array.isArray(node[field])
+            ? node[field].map((value) => resolveUrl(storage, value))
+            : resolveUrl(storage, node[field]);
+        } else {
+          walk(node[field]);
+        }
+      });
+    }
+  };
+
+  walk(plain);
+  return plain;
+}
+
+// Express middleware applying resolveMediaUrls to every JSON response
+function mediaUrlMiddleware(storage) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => json(body === undefined ? body : resolveMediaUrls(storage, body));
+    next();
+  };
+}
+
+module.exports = {
+  createStorage,
+  isLegacyPath,
+  legacyPathToKey,
+  resolveUrl,
+  resolveMediaUrls,
+  mediaUrlMiddleware,
+};
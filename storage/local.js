@@ -0,0 +1,51 @@
+// Stores uploads on the local disk; express serves them from `baseUrl`
+const fs = require('fs');
+const path = require('path');
+
+function assertSafeKey(key) {
+  if (!key || path.basename(key) !== key || key.startsWith('.')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+}
+
+function createLocalStorage({ dir, baseUrl }) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+    console.log('Created uploads directory');
+  }
+
+  return {
+    driver: 'local',
+    dir,
+
+    async put(key, buffer) {
+      assertSafeKey(key);
+      await fs.promises.writeFile(path.join(dir, key), buffer);
+    },
+
+    async get(key) {
+      assertSafeKey(key);
+      return fs.promises.readFile(path.join(dir, key));
+    },
+
+    async delete(key) {
+      assertSafeKey(key);
+      try {
+        await fs.promises.unlink(path.join(dir, key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    async list() {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      return entries.filter((entry) => entry.isFile()).map((entry) => entry.name);
+    },
+
+    url(key) {
+      return `${baseUrl}/${encodeURIComponent(key)}`;
+    },
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,112 @@
+// Stores uploads in an S3-compatible bucket (AWS S3, MinIO, ...). Every request is a
+// SigV4 presigned URL, so no SDK is needed and read URLs can be generated synchronously.
+const crypto = require('crypto');
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function toAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+function createS3Storage({
+  endpoint,
+  region,
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl,
+  forcePathStyle,
+  signedUrlTtl,
+}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  function objectUrl(key) {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    if (forcePathStyle) {
+      return { host: base.host, pathname: `/${bucket}/${encodedKey}` };
+    }
+    return { host: `${bucket}.${base.host}`, pathname: `/${encodedKey}` };
+  }
+
+  // https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-query-string-auth.html
+  function presign(method, key, expiresIn, now = new Date()) {
+    const { host, pathname } = objectUrl(key);
+    const amzDate = toAmzDate(now);
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${accessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host',
+    };
+    const canonicalQuery = Object.keys(query)
+      .sort()
+      .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+
+    const canonicalRequest = [method, pathname, canonicalQuery, `host:${host}`, '', 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (keySoFar, part) => hmac(keySoFar, part),
+      hmac(hmac(`AWS4${secretAccessKey}`, date), region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return `${base.protocol}//${host}${pathname}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+  }
+
+  async function send(method, key, options = {}) {
+    const response = await fetch(presign(method, key, 300), { method, ...options });
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      throw new Error(`S3 ${method} ${key} failed with status ${response.status}`);
+    }
+    return response;
+  }
+
+  return {
+    driver: 's3',
+    presign,
+
+    async put(key, buffer, { contentType } = {}) {
+      await send('PUT', key, {
+        body: buffer,
+        headers: contentType ? { 'Content-Type': contentType } : {},
+      });
+    },
+
+    async get(key) {
+      const response = await send('GET', key);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async delete(key) {
+      await send('DELETE', key);
+    },
+
+    // Public buckets (or a CDN in front of one) get plain URLs, private buckets get signed ones
+    url(key) {
+      if (publicUrl) return `${publicUrl.replace(/\/$/, '')}/${key.split('/').map(encodeRfc3986).join('/')}`;
+      return presign('GET', key, signedUrlTtl);
+    },
+  };
+}
+
+module.exports = { createS3Storage };
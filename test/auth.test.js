@@ -0,0 +1,318 @@
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { PASSWORD, startTestApp, createUser, as, follow, createPost } = require('./helpers');
+
+describe('auth and sessions', () => {
+  let ctx;
+  let app;
+
+  before(async () => {
+    ctx = await startTestApp();
+    app = ctx.app;
+  });
+  after(() => ctx.stop());
+  beforeEach(() => ctx.reset());
+
+  it('reports health', async () => {
+    const res = await request(app).get('/api/health').expect(200);
+    assert.equal(res.body.mongodbConnected, true);
+  });
+
+  it('registers a user and rejects a taken username', async () => {
+    const res = await request(app)
+      .post('/api/register')
+      .send({ username: 'alice', password: PASSWORD })
+      .expect(200);
+    assert.equal(res.body.username, 'alice');
+    assert.ok(res.body.token);
+    assert.ok(res.body.refreshToken);
+
+    const duplicate = await request(app)
+      .post('/api/register')
+      .send({ username: 'alice', password: PASSWORD })
+      .expect(400);
+    assert.equal(duplicate.body.message, 'Username already exists');
+  });
+
+  it('lets only one of two racing registrations take a username', async () => {
+    const responses = await Promise.all([1, 2].map(() => request(app)
+      .post('/api/register')
+      .send({ username: 'racer', password: PASSWORD })));
+    assert.deepEqual(responses.map((res) => res.status).sort(), [200, 400]);
+    assert.equal(responses.find((res) => res.status === 400).body.message, 'Username already exists');
+  });
+
+  it('rejects invalid registrations with field errors', async () => {
+    const res = await request(app).post('/api/register').send({ username: 'a' }).expect(400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    const fields = res.body.errors.map((error) => error.field);
+    assert.ok(fields.includes('body.username'));
+    assert.ok(fields.includes('body.password'));
+  });
+
+  it('rejects malformed JSON', async () => {
+    const res = await request(app)
+      .post('/api/login')
+      .set('Content-Type', 'application/json')
+      .send('{"username":')
+      .expect(400);
+    assert.equal(res.body.code, 'INVALID_JSON');
+  });
+
+  it('logs in with the right password only', async () => {
+    await createUser(app, 'alice');
+
+    const res = await request(app).post('/api/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+    assert.equal(res.body.username, 'alice');
+    assert.ok(res.body.token);
+
+    const wrong = await request(app).post('/api/login').send({ username: 'alice', password: 'nope' }).expect(400);
+    assert.equal(wrong.body.message, 'Invalid credentials');
+  });
+
+  it('locks an account out after repeated failed logins', async () => {
+    await createUser(app, 'alice');
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await request(app).post('/api/login').send({ username: 'alice', password: 'nope' }).expect(400);
+    }
+    const res = await request(app).post('/api/login').send({ username: 'alice', password: PASSWORD }).expect(429);
+    assert.equal(res.body.code, 'RATE_LIMITED');
+    assert.ok(res.headers['retry-after']);
+  });
+
+  it('rotates refresh tokens and revokes the session when an old one is reused', async () => {
+    const alice = await createUser(app, 'alice');
+
+    const refreshed = await request(app)
+      .post('/api/token/refresh')
+      .send({ refreshToken: alice.refreshToken })
+      .expect(200);
+    assert.notEqual(refreshed.body.refreshToken, alice.refreshToken);
+    await request(app).get('/api/main').set('Authorization', refreshed.body.token).expect(200);
+
+    await request(app).post('/api/token/refresh').send({ refreshToken: alice.refreshToken }).expect(401);
+    await request(app).get('/api/main').set('Authorization', refreshed.body.token).expect(403);
+    await request(app).post('/api/token/refresh').send({ refreshToken: refreshed.body.refreshToken }).expect(401);
+  });
+
+  it('requires a token on protected routes', async () => {
+    const missing = await request(app).get('/api/main').expect(401);
+    assert.equal(missing.body.code, 'UNAUTHORIZED');
+    await request(app).get('/api/main').set('Authorization', 'not-a-token').expect(403);
+  });
+
+  it('returns the current user', async () => {
+    const alice = await createUser(app, 'alice');
+    const res = await as(app, alice).get('/api/main').expect(200);
+    assert.equal(res.body.userId, alice.id);
+    assert.equal(res.body.username, 'alice');
+    assert.equal(res.body.isPrivate, false);
+  });
+
+  it('logs out the current session', async () => {
+    const alice = await createUser(app, 'alice');
+    await as(app, alice).post('/api/logout').expect(200);
+    await as(app, alice).get('/api/main').expect(403);
+  });
+
+  it('logs out of all devices', async () => {
+    const alice = await createUser(app, 'alice');
+    const login = await request(app).post('/api/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+
+    const res = await as(app, alice).post('/api/logout/all').expect(200);
+    assert.equal(res.body.revokedSessions, 2);
+    await request(app).get('/api/main').set('Authorization', login.body.token).expect(403);
+  });
+
+  it('lists and revokes sessions', async () => {
+    const alice = await createUser(app, 'alice');
+    const login = await request(app).post('/api/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+
+    const list = await as(app, alice).get('/api/sessions').expect(200);
+    assert.equal(list.body.length, 2);
+    const other = list.body.find((session) => !session.current);
+    assert.ok(other);
+
+    await as(app, alice).delete(`/api/sessions/${other._id}`).expect(200);
+    await request(app).get('/api/main').set('Authorization', login.body.token).expect(403);
+    await as(app, alice).get('/api/main').expect(200);
+
+    await as(app, alice).delete('/api/sessions/000000000000000000000000').expect(404);
+    const invalid = await as(app, alice).delete('/api/sessions/nope').expect(400);
+    assert.equal(invalid.body.errors[0].field, 'params.sessionId');
+  });
+
+  it('changes the password only with the current one and signs out other devices', async () => {
+    const alice = await createUser(app, 'alice');
+    const login = await request(app).post('/api/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+
+    const wrong = await as(app, alice)
+      .put('/api/account/password')
+      .send({ currentPassword: 'nope', newPassword: 'new password 1' })
+      .expect(400);
+    assert.equal(wrong.body.message, 'Current password is incorrect');
+
+    const res = await as(app, alice)
+      .put('/api/account/password')
+      .send({ currentPassword: PASSWORD, newPassword: 'new password 1' })
+      .expect(200);
+    assert.equal(res.body.revokedSessions, 1);
+    await request(app).get('/api/main').set('Authorization', login.body.token).expect(403);
+    await as(app, alice).get('/api/main').expect(200);
+
+    await request(app).post('/api/login').send({ username: 'alice', password: PASSWORD }).expect(400);
+    await request(app).post('/api/login').send({ username: 'alice', password: 'new password 1' }).expect(200);
+  });
+
+  it('resets a password with a single-use emailed token', async () => {
+    const register = await request(app)
+      .post('/api/register')
+      .send({ username: 'alice', email: 'Alice@Example.com', password: PASSWORD })
+      .expect(200);
+
+    const unknown = await request(app).post('/api/password-reset').send({ email: 'nobody@example.com' }).expect(200);
+    assert.equal(ctx.sentMail().length, 0);
+
+    const res = await request(app).post('/api/password-reset').send({ email: 'alice@example.com' }).expect(200);
+    assert.equal(res.body.message, unknown.body.message);
+    const [mail] = ctx.sentMail();
+    assert.match(mail, /^To: alice@example\.com$/m);
+    const token = mail.match(/\?token=([\w-]+)/)[1];
+
+    await request(app)
+      .post('/api/password-reset/confirm')
+      .send({ token, newPassword: 'new password 1' })
+      .expect(200);
+    await request(app).get('/api/main').set('Authorization', register.body.token).expect(403);
+    await request(app).post('/api/login').send({ username: 'alice', password: 'new password 1' }).expect(200);
+
+    const reused = await request(app)
+      .post('/api/password-reset/confirm')
+      .send({ token, newPassword: 'new password 2' })
+      .expect(400);
+    assert.equal(reused.body.message, 'Invalid or expired reset token');
+  });
+
+  it('rejects expired reset tokens', async () => {
+    await request(app)
+      .post('/api/register')
+      .send({ username: 'alice', email: 'alice@example.com', password: PASSWORD })
+      .expect(200);
+    await request(app).post('/api/password-reset').send({ email: 'alice@example.com' }).expect(200);
+    const token = ctx.sentMail()[0].match(/\?token=([\w-]+)/)[1];
+
+    await mongoose.model('PasswordResetToken').updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+    await request(app)
+      .post('/api/password-reset/confirm')
+      .send({ token, newPassword: 'new password 1' })
+      .expect(400);
+  });
+
+  it('changes the username everywhere it is copied', async () => {
+    const alice = await createUser(app, 'alice');
+    const bob = await createUser(app, 'bob');
+    const post = await createPost(app, alice, { content: 'Hello' });
+    await as(app, bob).post(`/api/posts/${post._id}/comment`).send({ content: 'Hi @alice' }).expect(200);
+    await as(app, alice).post(`/api/posts/${post._id}/comment`).send({ content: 'Thanks' }).expect(200);
+
+    const taken = await as(app, alice).put('/api/account/username').send({ username: 'bob' }).expect(400);
+    assert.equal(taken.body.message, 'Username already exists');
+
+    const res = await as(app, alice).put('/api/account/username').send({ username: 'alicia' }).expect(200);
+    assert.equal(res.body.username, 'alicia');
+
+    await as(app, bob).get('/api/users/alice').expect(404);
+    const profile = await as(app, bob).get('/api/users/alicia').expect(200);
+    assert.equal(profile.body.posts[0].username, 'alicia');
+
+    const comments = await as(app, bob).get(`/api/posts/${post._id}/comments`).expect(200);
+    const own = comments.body.comments.find((comment) => comment.content === 'Thanks');
+    const mention = comments.body.comments.find((comment) => comment.content === 'Hi @alice');
+    assert.equal(own.username, 'alicia');
+    assert.equal(mention.mentions[0].username, 'alicia');
+
+    await request(app).post('/api/login').send({ username: 'alicia', password: PASSWORD }).expect(200);
+  });
+
+  it('deletes an account and everything that belongs to it', async () => {
+    const alice = await createUser(app, 'alice');
+    const bob = await createUser(app, 'bob');
+    await follow(app, alice, bob);
+    await follow(app, bob, alice);
+    const alicePost = await createPost(app, alice, { content: 'Mine, cc @bob' });
+    const bobPost = await createPost(app, bob, { content: 'Theirs, thanks @alice' });
+    await as(app, bob).post(`/api/posts/${alicePost._id}/like`).expect(200);
+    await as(app, alice).post(`/api/posts/${bobPost._id}/like`).expect(200);
+    await as(app, alice).post(`/api/posts/${bobPost._id}/comment`).send({ content: 'Nice @bob' }).expect(200);
+    await as(app, bob).post(`/api/posts/${bobPost._id}/comment`).send({ content: 'Glad you like it @alice' }).expect(200);
+    assert.ok(await mongoose.model('Notification').exists({ userId: bob.id, type: 'mention' }));
+
+    const wrong = await as(app, alice).delete('/api/account').send({ password: 'nope' }).expect(400);
+    assert.equal(wrong.body.message, 'Password is incorrect');
+
+    await as(app, alice).delete('/api/account').send({ password: PASSWORD }).expect(200);
+
+    await as(app, alice).get('/api/main').expect(403);
+    await request(app).post('/api/login').send({ username: 'alice', password: PASSWORD }).expect(400);
+    await as(app, bob).get(`/api/posts/${alicePost._id}`).expect(404);
+
+    const post = await as(app, bob).get(`/api/posts/${bobPost._id}`).expect(200);
+    assert.equal(post.body.post.likeCount, 0);
+    assert.equal(post.body.post.commentCount, 1);
+    assert.deepEqual(post.body.post.mentions, []);
+
+    const comments = await as(app, bob).get(`/api/posts/${bobPost._id}/comments`).expect(200);
+    assert.equal(comments.body.comments.length, 1);
+    assert.deepEqual(comments.body.comments[0].mentions, []);
+
+    const profile = await as(app, bob).get('/api/users/bob').expect(200);
+    assert.equal(profile.body.user.followerCount, 0);
+    assert.equal(profile.body.user.followingCount, 0);
+
+    const notifications = await as(app, bob).get('/api/notifications').expect(200);
+    assert.equal(notifications.body.notifications.length, 0);
+
+    for (const model of ['Post', 'Comment', 'Like', 'Session']) {
+      assert.equal(await mongoose.model(model).countDocuments({ userId: alice.id }), 0);
+    }
+    assert.equal(await mongoose.model('Follow').countDocuments(), 0);
+    assert.equal(await mongoose.model('Notification').countDocuments({ actors: alice.id }), 0);
+    for (const model of ['Post', 'Comment']) {
+      assert.equal(await mongoose.model(model).countDocuments({ 'mentions.userId': alice.id }), 0);
+    }
+  });
+});
+
+describe('password reset without a mail transport', () => {
+  let ctx;
+  let app;
+
+  before(async () => {
+    ctx = await startTestApp((config) => ({ ...config, mailer: { ...config.mailer, driver: 'none' } }));
+    app = ctx.app;
+  });
+  after(() => ctx.stop());
+  beforeEach(() => ctx.reset());
+
+  it('defaults to no transport in production', () => {
+    const driver = execFileSync(process.execPath, ['-e', "process.stdout.write(require('./config').mailer.driver)"], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, NODE_ENV: 'production', MAILER_DRIVER: '' },
+    }).toString();
+    assert.equal(driver, 'none');
+  });
+
+  it('refuses to send reset links', async () => {
+    await request(app).post('/api/register').send({ username: 'alice', email: 'alice@example.com', password: PASSWORD }).expect(200);
+
+    const res = await request(app).post('/api/password-reset').send({ email: 'alice@example.com' }).expect(503);
+    assert.equal(res.body.message, 'Password reset by email is not available');
+    assert.equal(await mongoose.model('PasswordResetToken').countDocuments(), 0);
+    assert.deepEqual(ctx.sentMail(), []);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createUser, as, follow, createPost, testImage } = require('./helpers');
+const { createTarGz, readTarGz } = require('../utils/archive');
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('data export and import', () => {
+  let ctx;
+  let app;
+  let alice;
+  let bob;
+
+  before(async () => {
+    ctx = await startTestApp();
+    app = ctx.app;
+  });
+  after(() => ctx.stop());
+  beforeEach(async () => {
+    await ctx.reset();
+    alice = await createUser(app, 'alice');
+    bob = await createUser(app, 'bob');
+  });
+
+  // Starts an export, waits for the background job and downloads the archive
+  async function exportArchive(user) {
+    const started = await as(app, user).post('/api/me/export').expect(202);
+    const exportId = started.body.export._id;
+
+    let job = started.body.export;
+    for (let attempt = 0; job.status !== 'ready' && attempt < 100; attempt++) {
+      assert.notEqual(job.status, 'failed');
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      job = (await as(app, user).get(`/api/me/exports/${exportId}`).expect(200)).body.export;
+    }
+    assert.equal(job.status, 'ready');
+
+    const res = await as(app, user).get(job.downloadUrl).buffer(true).parse(binaryParser).expect(200);
+    assert.equal(res.headers['content-type'], 'application/gzip');
+    return res.body;
+  }
+
+  it('exports profile, posts, comments, likes, follows and notifications with photos', async () => {
+    await follow(app, bob, alice);
+    await follow(app, alice, bob);
+    await as(app, alice)
+      .post('/api/posts')
+      .field('content', 'Sunny day')
+      .attach('photos', await testImage(), 'beach.png')
+      .expect(200);
+    const bobPost = await createPost(app, bob, { content: 'Hello' });
+    await as(app, alice).post(`/api/posts/${bobPost._id}/like`).expect(200);
+    await as(app, alice).post(`/api/posts/${bobPost._id}/comment`).send({ content: 'Nice' }).expect(200);
+
+    const entries = readTarGz(await exportArchive(alice), { maxBytes: 10 * 1024 * 1024 });
+    const data = JSON.parse(entries.find((entry) => entry.name === 'data.json').data);
+
+    assert.equal(data.profile.username, 'alice');
+    assert.equal(data.posts.length, 1);
+    assert.equal(data.posts[0].content, 'Sunny day');
+    assert.equal(data.comments[0].content, 'Nice');
+    assert.equal(data.likes[0].postId, bobPost._id);
+    assert.deepEqual(data.followers.map((edge) => edge.username), ['bob']);
+    assert.deepEqual(data.following.map((edge) => edge.username), ['bob']);
+    assert.deepEqual(data.notifications.map((notification) => notification.type), ['follow']);
+
+    const [photo] = data.posts[0].photos;
+    assert.ok(entries.some((entry) => entry.name === photo && entry.data.length > 0));
+  });
+
+  it('keeps exports private to their owner', async () => {
+    const started = await as(app, alice).post('/api/me/export').expect(202);
+    await as(app, bob).get(`/api/me/exports/${started.body.export._id}`).expect(404);
+    await as(app, bob).get(`/api/me/exports/${started.body.export._id}/download`).expect(404);
+
+    const list = await as(app, alice).get('/api/me/exports').expect(200);
+    assert.equal(list.body.exports.length, 1);
+  });
+
+  it('imports posts and photos from an export once', async () => {
+    await as(app, alice)
+      .post('/api/posts')
+      .field('content', 'Sunny day #beach')
+      .attach('photos', await testImage(), 'beach.png')
+      .expect(200);
+    await createPost(app, alice, { content: 'Just friends', visibility: 'followers' });
+    const archive = await exportArchive(alice);
+
+    const carol = await createUser(app, 'carol');
+    const res = await as(app, carol).post('/api/me/import').attach('archive', archive, 'export.tar.gz').expect(200);
+    assert.equal(res.body.importedPosts, 2);
+    assert.equal(res.body.importedPhotos, 1);
+
+    const profile = await as(app, carol).get('/api/users/carol').expect(200);
+    const imported = profile.body.posts.find((post) => post.content === 'Sunny day #beach');
+    assert.equal(imported.username, 'carol');
+    assert.deepEqual(imported.hashtags, ['beach']);
+    assert.equal(imported.photos.length, 1);
+    assert.equal(imported.photoThumbnails.length, 1);
+    assert.equal(profile.body.posts.find((post) => post.content === 'Just friends').visibility, 'followers');
+
+    const again = await as(app, carol).post('/api/me/import').attach('archive', archive, 'export.tar.gz').expect(200);
+    assert.equal(again.body.importedPosts, 0);
+    assert.equal(again.body.skippedPosts, 2);
+  });
+
+  it('rejects archives that are not data exports', async () => {
+    await as(app, alice).post('/api/me/import').expect(400);
+
+    const garbage = await as(app, alice)
+      .post('/api/me/import')
+      .attach('archive', Buffer.from('not an archive'), 'export.tar.gz')
+      .expect(400);
+    assert.equal(garbage.body.message, 'Archive is not a gzipped tar file');
+
+    const foreign = createTarGz([{ name: 'data.json', data: JSON.stringify({ posts: [] }) }]);
+    const res = await as(app, alice).post('/api/me/import').attach('archive', foreign, 'export.tar.gz').expect(400);
+    assert.equal(res.body.message, 'Archive is not a ConnectSphere data export');
+  });
+});
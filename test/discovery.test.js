@@ -0,0 +1,174 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createUser, as, follow, createPost } = require('./helpers');
+
+describe('mentions, search and hashtags', () => {
+  let ctx;
+  let app;
+  let alice;
+  let bob;
+  let carol;
+
+  before(async () => {
+    ctx = await startTestApp();
+    app = ctx.app;
+  });
+  after(() => ctx.stop());
+  beforeEach(async () => {
+    await ctx.reset();
+    alice = await createUser(app, 'alice');
+    bob = await createUser(app, 'bob');
+    carol = await createUser(app, 'carol');
+  });
+
+  it('records mentions and notifies users who can see the post', async () => {
+    const post = await createPost(app, alice, { content: 'hi @bob and @nobody' });
+    assert.deepEqual(post.mentions.map((mention) => mention.username), ['bob']);
+    assert.equal(post.mentions[0].start, 3);
+
+    await createPost(app, alice, { content: 'psst @carol', visibility: 'followers' });
+
+    const bobMentions = await as(app, bob).get('/api/mentions').expect(200);
+    assert.deepEqual(bobMentions.body.posts.map((mentioned) => mentioned.content), ['hi @bob and @nobody']);
+    assert.equal(bobMentions.body.posts[0].userId.username, 'alice');
+
+    const bobNotifications = await as(app, bob).get('/api/notifications').expect(200);
+    assert.equal(bobNotifications.body.notifications[0].type, 'mention');
+
+    // Carol does not follow alice, so the followers-only mention stays hidden
+    const carolMentions = await as(app, carol).get('/api/mentions').expect(200);
+    assert.deepEqual(carolMentions.body.posts, []);
+    const carolNotifications = await as(app, carol).get('/api/notifications').expect(200);
+    assert.deepEqual(carolNotifications.body.notifications, []);
+  });
+
+  it('searches users, posts and hashtags', async () => {
+    await createPost(app, alice, { content: 'Sunny afternoon at the #beach' });
+    await createPost(app, bob, { content: 'Rainy day #beachlife' });
+    await createPost(app, carol, { content: 'Evening walk on the #beach' });
+    await createPost(app, carol, { content: 'Sunny but hidden #beach', visibility: 'only_me' });
+
+    const users = await as(app, alice).get('/api/search?q=ali&type=users').expect(200);
+    assert.deepEqual(users.body.users.map((user) => user.username), ['alice']);
+    assert.deepEqual(users.body.posts, []);
+
+    await as(app, carol).post(`/api/blocks/${alice.id}`).expect(200);
+    const blocked = await as(app, alice).get('/api/search?q=carol&type=users').expect(200);
+    assert.deepEqual(blocked.body.users, []);
+
+    const posts = await as(app, alice).get('/api/search?q=sunny&type=posts').expect(200);
+    assert.deepEqual(posts.body.posts.map((post) => post.content), ['Sunny afternoon at the #beach']);
+
+    const tags = await as(app, alice).get('/api/search?q=%23beach').expect(200);
+    assert.deepEqual(tags.body.hashtags.map((tag) => tag.tag), ['beach', 'beachlife']);
+    assert.deepEqual(tags.body.users, []);
+    assert.equal(tags.body.nextOffset, null);
+  });
+
+  it('pages single-type searches by offset', async () => {
+    await createUser(app, 'alina');
+    await createUser(app, 'alicia');
+
+    const first = await as(app, alice).get('/api/search?q=ali&type=users&limit=2').expect(200);
+    assert.equal(first.body.users.length, 2);
+    assert.equal(first.body.nextOffset, 2);
+
+    const second = await as(app, alice).get('/api/search?q=ali&type=users&limit=2&offset=2').expect(200);
+    assert.equal(second.body.users.length, 1);
+    assert.equal(second.body.nextOffset, null);
+  });
+
+  it('validates search queries', async () => {
+    await as(app, alice).get('/api/search').expect(400);
+    await as(app, alice).get('/api/search?q=x&type=places').expect(400);
+  });
+
+  it('ranks trending hashtags by distinct authors', async () => {
+    await createPost(app, alice, { content: '#solo #shared' });
+    await createPost(app, alice, { content: '#solo again' });
+    await createPost(app, bob, { content: '#shared too' });
+    await createPost(app, carol, { content: '#secret', visibility: 'only_me' });
+    await as(app, carol).put('/api/profile').send({ isPrivate: true }).expect(200);
+    await createPost(app, carol, { content: '#solitude for followers' });
+
+    const res = await as(app, alice).get('/api/hashtags/trending').expect(200);
+    assert.deepEqual(res.body.hashtags.map((tag) => tag.tag), ['shared', 'solo']);
+    assert.equal(res.body.hashtags[0].authorCount, 2);
+    assert.equal(res.body.hashtags[1].postCount, 2);
+
+    const search = await as(app, alice).get('/api/search?q=%23sol&type=hashtags').expect(200);
+    assert.deepEqual(search.body.hashtags.map((tag) => tag.tag), ['solo']);
+  });
+
+  it('lists posts with a hashtag that the viewer may see', async () => {
+    await createPost(app, alice, { content: 'First #Travel post' });
+    await createPost(app, bob, { content: 'Followers only #travel', visibility: 'followers' });
+
+    const res = await as(app, carol).get('/api/hashtags/%23TRAVEL').expect(200);
+    assert.equal(res.body.tag, 'travel');
+    assert.deepEqual(res.body.posts.map((post) => post.content), ['First #Travel post']);
+  });
+
+  it('suggests friends of friends first and explains why', async () => {
+    const dave = await createUser(app, 'dave');
+    const erin = await createUser(app, 'erin');
+    await follow(app, alice, bob);
+    await follow(app, bob, carol);
+    await follow(app, bob, dave);
+    await follow(app, erin, carol);
+    await createPost(app, carol, { content: 'still here' });
+
+    // Erin liked the same post as alice
+    const post = await createPost(app, dave, { content: 'likeable' });
+    await as(app, alice).post(`/api/posts/${post._id}/like`).expect(200);
+    await as(app, erin).post(`/api/posts/${post._id}/like`).expect(200);
+
+    const res = await as(app, alice).get('/api/suggestions').expect(200);
+    assert.deepEqual(res.body.suggestions.map((entry) => entry.user.username), ['carol', 'dave', 'erin']);
+    assert.equal(res.body.suggestions[0].mutualCount, 1);
+    assert.deepEqual(res.body.suggestions[0].reason, { type: 'mutual_follows', text: 'Followed by bob' });
+    assert.equal(res.body.suggestions[2].reason.type, 'shared_engagement');
+    assert.equal(res.body.nextOffset, null);
+
+    const first = await as(app, alice).get('/api/suggestions?limit=2').expect(200);
+    assert.equal(first.body.nextOffset, 2);
+    const second = await as(app, alice).get('/api/suggestions?limit=2&offset=2').expect(200);
+    assert.deepEqual(second.body.suggestions.map((entry) => entry.user.username), ['erin']);
+  });
+
+  it('pages through suggestions by offset', async () => {
+    for (const username of ['dave', 'erin', 'frank', 'grace']) {
+      await createUser(app, username);
+    }
+
+    const first = await as(app, alice).get('/api/suggestions?limit=2').expect(200);
+    assert.equal(first.body.suggestions.length, 2);
+    assert.equal(first.body.nextOffset, 2);
+
+    const second = await as(app, alice).get(`/api/suggestions?limit=2&offset=${first.body.nextOffset}`).expect(200);
+    assert.equal(second.body.suggestions.length, 2);
+    assert.equal(second.body.nextOffset, 4);
+
+    const third = await as(app, alice).get(`/api/suggestions?limit=2&offset=${second.body.nextOffset}`).expect(200);
+    assert.equal(third.body.suggestions.length, 2);
+    assert.equal(third.body.nextOffset, null);
+
+    const seen = [...first.body.suggestions, ...second.body.suggestions, ...third.body.suggestions];
+    assert.equal(new Set(seen.map((entry) => entry.user.username)).size, 6);
+
+    await as(app, alice).get('/api/suggestions?offset=abc').expect(400);
+    await as(app, alice).get('/api/suggestions?offset=-1').expect(400);
+  });
+
+  it('leaves out followed and dismissed users', async () => {
+    await follow(app, alice, bob);
+
+    await as(app, alice).post(`/api/suggestions/${carol.id}/dismiss`).expect(200);
+    await as(app, alice).post(`/api/suggestions/${carol.id}/dismiss`).expect(200);
+    await as(app, alice).post(`/api/suggestions/${alice.id}/dismiss`).expect(400);
+    await as(app, alice).post('/api/suggestions/000000000000000000000000/dismiss').expect(404);
+
+    const res = await as(app, alice).get('/api/suggestions').expect(200);
+    assert.deepEqual(res.body.suggestions, []);
+  });
+});
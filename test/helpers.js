@@ -0,0 +1,119 @@
+// Shared setup for the integration tests: an in-memory MongoDB, an app built from a test
+// config, and shortcuts for creating users and sending authenticated requests.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const sharp = require('sharp');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const baseConfig = require('../config');
+const { createApp } = require('../app');
+
+const PASSWORD = 'correct horse battery';
+
+function testConfig(uploadsDir, mailDir, exportsDir) {
+  return {
+    ...baseConfig,
+    jwt: { ...baseConfig.jwt, keys: [{ kid: 'test', secret: 'test-secret' }] },
+    storage: { ...baseConfig.storage, driver: 'local', local: { dir: uploadsDir, baseUrl: '/uploads' } },
+    rateLimit: { ...baseConfig.rateLimit, enabled: false, redisUrl: undefined },
+    mailer: { ...baseConfig.mailer, driver: 'file', file: { dir: mailDir } },
+    dataExport: { ...baseConfig.dataExport, dir: exportsDir },
+  };
+}
+
+// Starts MongoDB and builds the app. Call `reset()` between tests and `stop()` at the end.
+// `configure` can adjust the test config first, e.g. to turn rate limiting back on.
+async function startTestApp(configure = (config) => config) {
+  const mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+
+  const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+  const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+  const exportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+  const { app, io, publishDuePosts } = createApp({
+    config: configure(testConfig(uploadsDir, mailDir, exportsDir)),
+    db: mongoose.connection,
+  });
+
+  // Build indexes up front; search relies on the text index
+  await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()));
+
+  return {
+    app,
+    mongoUri: mongod.getUri(), // For scripts run in a child process
+    uploadsDir,
+    publishDuePosts,
+
+    // Messages sent through the file mailer, oldest first, as their raw .eml text
+    sentMail() {
+      return fs.readdirSync(mailDir).sort().map((file) => fs.readFileSync(path.join(mailDir, file), 'utf8'));
+    },
+
+    async reset() {
+      const collections = Object.values(mongoose.connection.collections);
+      await Promise.all(collections.map((collection) => collection.deleteMany({})));
+      fs.readdirSync(mailDir).forEach((file) => fs.rmSync(path.join(mailDir, file)));
+    },
+
+    async stop() {
+      io.close();
+      await mongoose.disconnect();
+      await mongod.stop();
+      fs.rmSync(uploadsDir, { recursive: true, force: true });
+      fs.rmSync(mailDir, { recursive: true, force: true });
+      fs.rmSync(exportsDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// Registers a user and returns `{ id, username, token, refreshToken }`
+async function createUser(app, username) {
+  const res = await request(app)
+    .post('/api/register')
+    .send({ username, password: PASSWORD })
+    .expect(200);
+  return { id: res.body.userId, username, token: res.body.token, refreshToken: res.body.refreshToken };
+}
+
+// Roles cannot be granted through the API until there is an admin, so tests set them directly
+async function setRole(user, role) {
+  await mongoose.model('User').updateOne({ _id: user.id }, { role });
+}
+
+// supertest agent bound to a user: `as(app, alice).get('/api/feed')`
+function as(app, user) {
+  const agent = request(app);
+  const withAuth = (method) => (url) => agent[method](url).set('Authorization', user.token);
+  return {
+    get: withAuth('get'),
+    post: withAuth('post'),
+    put: withAuth('put'),
+    delete: withAuth('delete'),
+  };
+}
+
+async function follow(app, follower, target) {
+  await as(app, follower).post(`/api/follow/${target.id}`).expect(200);
+}
+
+async function createPost(app, user, fields) {
+  const res = await as(app, user).post('/api/posts').send(fields).expect(200);
+  return res.body.post;
+}
+
+function testImage(width = 64, height = 48) {
+  return sharp({ create: { width, height, channels: 3, background: '#3366ff' } }).png().toBuffer();
+}
+
+module.exports = {
+  PASSWORD,
+  startTestApp,
+  createUser,
+  as,
+  setRole,
+  follow,
+  createPost,
+  testImage,
+};
@@ -0,0 +1,116 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createUser, as, testImage } = require('./helpers');
+
+describe('direct messages', () => {
+  let ctx;
+  let app;
+  let alice;
+  let bob;
+  let carol;
+
+  before(async () => {
+    ctx = await startTestApp();
+    app = ctx.app;
+  });
+  after(() => ctx.stop());
+  beforeEach(async () => {
+    await ctx.reset();
+    alice = await createUser(app, 'alice');
+    bob = await createUser(app, 'bob');
+    carol = await createUser(app, 'carol');
+  });
+
+  async function startConversation(from, participants, name) {
+    const res = await as(app, from)
+      .post('/api/conversations')
+      .send({ participantIds: participants.map((user) => user.id), name })
+      .expect(200);
+    return res.body.conversation;
+  }
+
+  it('reuses an existing one-to-one conversation', async () => {
+    const first = await startConversation(alice, [bob]);
+    assert.equal(first.isGroup, false);
+    assert.equal(first.participants.length, 2);
+
+    const second = await startConversation(bob, [alice]);
+    assert.equal(second._id, first._id);
+  });
+
+  it('creates group conversations', async () => {
+    const conversation = await startConversation(alice, [bob, carol], 'Trip');
+    assert.equal(conversation.isGroup, true);
+    assert.equal(conversation.name, 'Trip');
+    assert.equal(conversation.participants.length, 3);
+  });
+
+  it('rejects conversations with yourself or unknown users', async () => {
+    await as(app, alice).post('/api/conversations').send({ participantIds: [alice.id] }).expect(400);
+    await as(app, alice)
+      .post('/api/conversations')
+      .send({ participantIds: ['000000000000000000000000'] })
+      .expect(404);
+    await as(app, alice).post('/api/conversations').send({ participantIds: [] }).expect(400);
+  });
+
+  it('sends and lists messages', async () => {
+    const conversation = await startConversation(alice, [bob]);
+
+    const sent = await as(app, alice)
+      .post(`/api/conversations/${conversation._id}/messages`)
+      .send({ content: 'hey bob' })
+      .expect(200);
+    assert.equal(sent.body.message.content, 'hey bob');
+
+    const photo = await as(app, bob)
+      .post(`/api/conversations/${conversation._id}/messages`)
+      .attach('photo', await testImage(), 'pic.png')
+      .expect(200);
+    assert.match(photo.body.message.photo, /^\/uploads\//);
+
+    const res = await as(app, alice).get(`/api/conversations/${conversation._id}/messages`).expect(200);
+    assert.equal(res.body.messages.length, 2);
+    assert.equal(res.body.messages[1].content, 'hey bob');
+  });
+
+  it('rejects empty messages and outsiders', async () => {
+    const conversation = await startConversation(alice, [bob]);
+
+    await as(app, alice).post(`/api/conversations/${conversation._id}/messages`).send({ content: '  ' }).expect(400);
+    await as(app, carol).post(`/api/conversations/${conversation._id}/messages`).send({ content: 'hi' }).expect(403);
+    await as(app, carol).get(`/api/conversations/${conversation._id}/messages`).expect(403);
+    await as(app, carol).post(`/api/conversations/${conversation._id}/read`).expect(403);
+    await as(app, alice).get('/api/conversations/000000000000000000000000/messages').expect(404);
+  });
+
+  it('does not let users message across a block', async () => {
+    const conversation = await startConversation(alice, [bob]);
+    await as(app, bob).post(`/api/blocks/${alice.id}`).expect(200);
+
+    await as(app, alice).post('/api/conversations').send({ participantIds: [bob.id] }).expect(403);
+    await as(app, alice).post('/api/conversations').send({ participantIds: [bob.id, carol.id] }).expect(403);
+    await as(app, alice).post(`/api/conversations/${conversation._id}/messages`).send({ content: 'hi' }).expect(403);
+    await as(app, bob).post(`/api/conversations/${conversation._id}/messages`).send({ content: 'hi' }).expect(403);
+  });
+
+  it('lists conversations with unread counts and marks them read', async () => {
+    const conversation = await startConversation(alice, [bob]);
+    await as(app, alice).post(`/api/conversations/${conversation._id}/messages`).send({ content: 'one' }).expect(200);
+    await as(app, alice).post(`/api/conversations/${conversation._id}/messages`).send({ content: 'two' }).expect(200);
+
+    const unread = await as(app, bob).get('/api/conversations').expect(200);
+    assert.equal(unread.body.conversations.length, 1);
+    assert.equal(unread.body.conversations[0].unreadCount, 2);
+    assert.equal(unread.body.conversations[0].lastMessage.content, 'two');
+
+    const read = await as(app, bob).post(`/api/conversations/${conversation._id}/read`).expect(200);
+    assert.ok(read.body.readAt);
+
+    const afterRead = await as(app, bob).get('/api/conversations').expect(200);
+    assert.equal(afterRead.body.conversations[0].unreadCount, 0);
+
+    const sender = await as(app, alice).get('/api/conversations').expect(200);
+    assert.equal(sender.body.conversations[0].unreadCount, 0);
+  });
+});
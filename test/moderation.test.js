@@ -0,0 +1,154 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createUser, as, setRole, createPost, PASSWORD } = require('./helpers');
+
+describe('reports and moderation', () => {
+  let ctx;
+  let app;
+  let alice;
+  let bob;
+  let mod;
+
+  before(async () => {
+    ctx = await startTestApp();
+    app = ctx.app;
+  });
+  after(() => ctx.stop());
+  beforeEach(async () => {
+    await ctx.reset();
+    alice = await createUser(app, 'alice');
+    bob = await createUser(app, 'bob');
+    mod = await createUser(app, 'mod');
+    await setRole(mod, 'moderator');
+  });
+
+  async function report(user, fields) {
+    const res = await as(app, user).post('/api/reports').send(fields).expect(200);
+    return res.body.report;
+  }
+
+  it('files reports against posts, comments and users', async () => {
+    const post = await createPost(app, alice, { content: 'buy now!!!' });
+    const comment = await as(app, alice).post(`/api/posts/${post._id}/comment`).send({ content: 'spam' }).expect(200);
+
+    await report(bob, { targetType: 'post', targetId: post._id, reason: 'spam' });
+    await report(bob, { targetType: 'comment', targetId: comment.body.comment._id, reason: 'spam' });
+    await report(bob, { targetType: 'user', targetId: alice.id, reason: 'harassment', details: 'keeps messaging me' });
+
+    // Reporting again updates the open report instead of adding another
+    const again = await report(bob, { targetType: 'post', targetId: post._id, reason: 'misinformation' });
+    assert.equal(again.reason, 'misinformation');
+
+    const queue = await as(app, mod).get('/api/moderation/reports').expect(200);
+    assert.equal(queue.body.reports.length, 3);
+    const postReport = queue.body.reports.find((entry) => entry.targetType === 'post');
+    assert.equal(postReport.target.content, 'buy now!!!');
+    assert.equal(postReport.reporterId.username, 'bob');
+
+    await as(app, bob).post('/api/reports').send({ targetType: 'user', targetId: bob.id, reason: 'spam' }).expect(400);
+    await as(app, bob).post('/api/reports').send({ targetType: 'post', targetId: post._id, reason: 'boring' }).expect(400);
+    const hidden = await createPost(app, alice, { content: 'mine', visibility: 'only_me' });
+    await as(app, bob).post('/api/reports').send({ targetType: 'post', targetId: hidden._id, reason: 'spam' }).expect(404);
+  });
+
+  it('keeps the queue and actions to moderators', async () => {
+    const post = await createPost(app, alice, { content: 'fine' });
+    await as(app, bob).get('/api/moderation/reports').expect(403);
+    await as(app, bob).post(`/api/moderation/posts/${post._id}/hide`).send({}).expect(403);
+    await as(app, mod).get('/api/moderation/audit-log').expect(403);
+    await as(app, mod).put(`/api/admin/users/${bob.id}/role`).send({ role: 'moderator' }).expect(403);
+  });
+
+  it('files one report when the same report arrives twice at once', async () => {
+    const post = await createPost(app, alice, { content: 'Buy now' });
+    const fields = { targetType: 'post', targetId: post._id, reason: 'spam' };
+    const [first, second] = await Promise.all([report(bob, fields), report(bob, fields)]);
+    assert.equal(first._id, second._id);
+
+    const queue = await as(app, mod).get('/api/moderation/reports').expect(200);
+    assert.equal(queue.body.reports.length, 1);
+  });
+
+  it('hides a post from everyone but its author and resolves its reports', async () => {
+    const post = await createPost(app, alice, { content: 'over the line #tag' });
+    const filed = await report(bob, { targetType: 'post', targetId: post._id, reason: 'hate' });
+
+    await as(app, mod)
+      .post(`/api/moderation/posts/${post._id}/hide`)
+      .send({ reason: 'Hate speech', reportId: filed._id })
+      .expect(200);
+
+    await as(app, bob).get(`/api/posts/${post._id}`).expect(404);
+    const hashtag = await as(app, bob).get('/api/hashtags/tag').expect(200);
+    assert.deepEqual(hashtag.body.posts, []);
+    const own = await as(app, alice).get(`/api/posts/${post._id}`).expect(200);
+    assert.ok(own.body.post.hiddenAt);
+
+    const open = await as(app, mod).get('/api/moderation/reports').expect(200);
+    assert.deepEqual(open.body.reports, []);
+    const resolved = await as(app, mod).get('/api/moderation/reports?status=resolved').expect(200);
+    assert.equal(resolved.body.reports[0].action, 'hide_post');
+
+    await as(app, mod).post(`/api/moderation/posts/${post._id}/unhide`).send({}).expect(200);
+    await as(app, bob).get(`/api/posts/${post._id}`).expect(200);
+  });
+
+  it('deletes comments and dismisses reports', async () => {
+    const post = await createPost(app, alice, { content: 'discuss' });
+    const comment = await as(app, bob).post(`/api/posts/${post._id}/comment`).send({ content: 'rude' }).expect(200);
+    const filed = await report(alice, { targetType: 'comment', targetId: comment.body.comment._id, reason: 'harassment' });
+
+    await as(app, mod).post(`/api/moderation/comments/${comment.body.comment._id}/delete`).send({ reason: 'Rude' }).expect(200);
+    const comments = await as(app, alice).get(`/api/posts/${post._id}/comments`).expect(200);
+    assert.deepEqual(comments.body.comments, []);
+    const refreshed = await as(app, alice).get(`/api/posts/${post._id}`).expect(200);
+    assert.equal(refreshed.body.post.commentCount, 0);
+
+    // The comment's report was resolved by the deletion, so it can no longer be dismissed
+    await as(app, mod).post(`/api/moderation/reports/${filed._id}/dismiss`).send({}).expect(409);
+
+    const other = await report(alice, { targetType: 'user', targetId: bob.id, reason: 'other' });
+    await as(app, mod).post(`/api/moderation/reports/${other._id}/dismiss`).send({ reason: 'Not abuse' }).expect(200);
+    const dismissed = await as(app, mod).get('/api/moderation/reports?status=dismissed').expect(200);
+    assert.equal(dismissed.body.reports.length, 1);
+  });
+
+  it('suspends users, who are then rejected until the suspension ends', async () => {
+    await as(app, mod).post(`/api/moderation/users/${bob.id}/suspend`).send({ durationHours: 24, reason: 'Spam' }).expect(200);
+
+    const rejected = await as(app, bob).get('/api/main').expect(403);
+    assert.equal(rejected.body.code, 'ACCOUNT_SUSPENDED');
+    const login = await as(app, bob).post('/api/login').send({ username: 'bob', password: PASSWORD }).expect(403);
+    assert.equal(login.body.code, 'ACCOUNT_SUSPENDED');
+
+    await as(app, mod).post(`/api/moderation/users/${bob.id}/unsuspend`).send({}).expect(200);
+    await as(app, bob).get('/api/main').expect(200);
+
+    // Moderators cannot suspend each other
+    const otherMod = await createUser(app, 'othermod');
+    await setRole(otherMod, 'moderator');
+    await as(app, mod).post(`/api/moderation/users/${otherMod.id}/suspend`).send({ durationHours: 1 }).expect(403);
+    await as(app, mod).post(`/api/moderation/users/${bob.id}/suspend`).send({}).expect(400);
+  });
+
+  it('lets admins manage roles and read the audit log of every action', async () => {
+    const admin = await createUser(app, 'admin');
+    await setRole(admin, 'admin');
+
+    await as(app, admin).put(`/api/admin/users/${bob.id}/role`).send({ role: 'moderator' }).expect(200);
+    await as(app, bob).get('/api/moderation/reports').expect(200);
+    await as(app, admin).put(`/api/admin/users/${admin.id}/role`).send({ role: 'user' }).expect(400);
+
+    const post = await createPost(app, alice, { content: 'questionable' });
+    await as(app, mod).post(`/api/moderation/posts/${post._id}/hide`).send({ reason: 'Checking' }).expect(200);
+
+    const log = await as(app, admin).get('/api/moderation/audit-log').expect(200);
+    assert.deepEqual(log.body.entries.map((entry) => entry.action), ['hide_post', 'set_role']);
+    assert.equal(log.body.entries[0].moderatorId.username, 'mod');
+    assert.equal(log.body.entries[0].reason, 'Checking');
+    assert.deepEqual(log.body.entries[1].details, { from: 'user', to: 'moderator' });
+
+    const byMod = await as(app, admin).get(`/api/moderation/audit-log?moderatorId=${mod.id}`).expect(200);
+    assert.equal(byMod.body.entries.length, 1);
+  });
+});
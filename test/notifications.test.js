@@ -0,0 +1,163 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createUser, as, createPost } = require('./helpers');
+
+describe('notifications', () => {
+  let ctx;
+  let app;
+  let alice;
+  let bob;
+  let carol;
+
+  before(async () => {
+    ctx = await startTestApp();
+    app = ctx.app;
+  });
+  after(() => ctx.stop());
+  beforeEach(async () => {
+    await ctx.reset();
+    alice = await createUser(app, 'alice');
+    bob = await createUser(app, 'bob');
+    carol = await createUser(app, 'carol');
+  });
+
+  it('groups likes on the same post into one notification', async () => {
+    const post = await createPost(app, alice, { content: 'like me' });
+    await as(app, bob).post(`/api/posts/${post._id}/like`).expect(200);
+    await as(app, carol).post(`/api/posts/${post._id}/like`).expect(200);
+
+    const res = await as(app, alice).get('/api/notifications').expect(200);
+    assert.equal(res.body.notifications.length, 1);
+    const [notification] = res.body.notifications;
+    assert.equal(notification.type, 'like');
+    assert.equal(notification.actorCount, 2);
+    assert.equal(notification.message, 'carol and 1 other liked your post');
+  });
+
+  it('hides notifications from muted users, including their place in groups', async () => {
+    const post = await createPost(app, alice, { content: 'like me' });
+    await as(app, bob).post(`/api/posts/${post._id}/like`).expect(200);
+    await as(app, carol).post(`/api/posts/${post._id}/like`).expect(200);
+    await as(app, bob).post(`/api/follow/${alice.id}`).expect(200);
+
+    await as(app, alice).post(`/api/mutes/${carol.id}`).expect(200);
+
+    const res = await as(app, alice).get('/api/notifications').expect(200);
+    const like = res.body.notifications.find((notification) => notification.type === 'like');
+    assert.equal(like.actorCount, 1);
+    assert.deepEqual(like.actors.map((actor) => actor.username), ['bob']);
+    assert.equal(like.message, 'bob liked your post');
+    const count = await as(app, alice).get('/api/notifications/unread-count').expect(200);
+    assert.equal(count.body.count, 2);
+
+    await as(app, alice).delete(`/api/mutes/${carol.id}`).expect(200);
+    const unmuted = await as(app, alice).get('/api/notifications').expect(200);
+    assert.equal(unmuted.body.notifications.find((notification) => notification.type === 'like').actorCount, 2);
+  });
+
+  it('hides notifications from users on either side of a block', async () => {
+    const post = await createPost(app, alice, { content: 'like me' });
+    await as(app, bob).post(`/api/posts/${post._id}/comment`).send({ content: 'hi' }).expect(200);
+    await as(app, carol).post(`/api/posts/${post._id}/like`).expect(200);
+
+    await as(app, bob).post(`/api/blocks/${alice.id}`).expect(200);
+    const res = await as(app, alice).get('/api/notifications').expect(200);
+    assert.deepEqual(res.body.notifications.map((notification) => notification.type), ['like']);
+    const count = await as(app, alice).get('/api/notifications/unread-count').expect(200);
+    assert.equal(count.body.count, 1);
+
+    await as(app, alice).post(`/api/blocks/${carol.id}`).expect(200);
+    const none = await as(app, alice).get('/api/notifications').expect(200);
+    assert.deepEqual(none.body.notifications, []);
+  });
+
+  it('retracts a notification when the action is undone', async () => {
+    const post = await createPost(app, alice, { content: 'like me' });
+    await as(app, bob).post(`/api/posts/${post._id}/like`).expect(200);
+    await as(app, bob).post(`/api/posts/${post._id}/unlike`).expect(200);
+
+    const res = await as(app, alice).get('/api/notifications').expect(200);
+    assert.deepEqual(res.body.notifications, []);
+  });
+
+  it('counts and filters unread notifications', async () => {
+    await as(app, bob).post(`/api/follow/${alice.id}`).expect(200);
+    await as(app, carol).post(`/api/follow/${alice.id}`).expect(200);
+
+    const count = await as(app, alice).get('/api/notifications/unread-count').expect(200);
+    assert.equal(count.body.count, 1); // Follows are grouped too
+
+    const unread = await as(app, alice).get('/api/notifications?unread=true').expect(200);
+    assert.equal(unread.body.notifications.length, 1);
+    assert.equal(unread.body.notifications[0].actorCount, 2);
+  });
+
+  it('marks notifications read by id', async () => {
+    const post = await createPost(app, alice, { content: 'hi' });
+    await as(app, bob).post(`/api/posts/${post._id}/like`).expect(200);
+    await as(app, bob).post(`/api/follow/${alice.id}`).expect(200);
+
+    const list = await as(app, alice).get('/api/notifications').expect(200);
+    const likeNotification = list.body.notifications.find((notification) => notification.type === 'like');
+
+    const res = await as(app, alice).post('/api/notifications/read').send({ ids: [likeNotification._id] }).expect(200);
+    assert.equal(res.body.updated, 1);
+
+    const count = await as(app, alice).get('/api/notifications/unread-count').expect(200);
+    assert.equal(count.body.count, 1);
+
+    await as(app, alice).post('/api/notifications/read').send({ ids: [] }).expect(400);
+  });
+
+  it('marks all notifications read', async () => {
+    const post = await createPost(app, alice, { content: 'hi' });
+    await as(app, bob).post(`/api/posts/${post._id}/like`).expect(200);
+    await as(app, bob).post(`/api/follow/${alice.id}`).expect(200);
+
+    const res = await as(app, alice).post('/api/notifications/read-all').expect(200);
+    assert.equal(res.body.updated, 2);
+
+    const unread = await as(app, alice).get('/api/notifications?unread=true').expect(200);
+    assert.deepEqual(unread.body.notifications, []);
+  });
+
+  it('marks a single notification read', async () => {
+    await as(app, bob).post(`/api/follow/${alice.id}`).expect(200);
+    const list = await as(app, alice).get('/api/notifications').expect(200);
+    const id = list.body.notifications[0]._id;
+
+    await as(app, bob).post(`/api/notifications/${id}/read`).expect(404);
+
+    const res = await as(app, alice).post(`/api/notifications/${id}/read`).expect(200);
+    assert.equal(res.body.notification.read, true);
+    assert.ok(res.body.notification.readAt);
+  });
+
+  it('starts a new group once the previous one was read', async () => {
+    const post = await createPost(app, alice, { content: 'hi' });
+    await as(app, bob).post(`/api/posts/${post._id}/like`).expect(200);
+    await as(app, alice).post('/api/notifications/read-all').expect(200);
+    await as(app, carol).post(`/api/posts/${post._id}/like`).expect(200);
+
+    const res = await as(app, alice).get('/api/notifications').expect(200);
+    assert.equal(res.body.notifications.length, 2);
+    assert.equal(res.body.notifications[0].read, false);
+    assert.equal(res.body.notifications[0].actorCount, 1);
+  });
+
+  it('reads and updates muted notification types', async () => {
+    const initial = await as(app, alice).get('/api/notifications/preferences').expect(200);
+    assert.deepEqual(initial.body.muted, []);
+    assert.ok(initial.body.types.includes('like'));
+
+    const res = await as(app, alice).put('/api/notifications/preferences').send({ muted: ['like', 'like'] }).expect(200);
+    assert.deepEqual(res.body.muted, ['like']);
+
+    const post = await createPost(app, alice, { content: 'quiet' });
+    await as(app, bob).post(`/api/posts/${post._id}/like`).expect(200);
+    const list = await as(app, alice).get('/api/notifications').expect(200);
+    assert.deepEqual(list.body.notifications, []);
+
+    await as(app, alice).put('/api/notifications/preferences').send({ muted: ['shout'] }).expect(400);
+  });
+});
@@ -0,0 +1,397 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createUser, as, follow, createPost, testImage } = require('./helpers');
+
+describe('posts, likes and comments', () => {
+  let ctx;
+  let app;
+  let alice;
+  let bob;
+
+  before(async () => {
+    ctx = await startTestApp();
+    app = ctx.app;
+  });
+  after(() => ctx.stop());
+  beforeEach(async () => {
+    await ctx.reset();
+    alice = await createUser(app, 'alice');
+    bob = await createUser(app, 'bob');
+  });
+
+  it('creates a post with hashtags and photos', async () => {
+    const res = await as(app, alice)
+      .post('/api/posts')
+      .field('content', 'Sunny day at the #Beach')
+      .attach('photos', await testImage(), 'beach.png')
+      .expect(200);
+
+    const { post } = res.body;
+    assert.equal(post.content, 'Sunny day at the #Beach');
+    assert.deepEqual(post.hashtags, ['beach']);
+    assert.equal(post.visibility, 'public');
+    assert.equal(post.userId.username, 'alice');
+    assert.equal(post.photos.length, 1);
+    assert.match(post.photos[0], /^\/uploads\//);
+    assert.equal(post.photoThumbnails.length, 1);
+
+    const key = decodeURIComponent(post.photos[0].slice('/uploads/'.length));
+    assert.ok(fs.existsSync(path.join(ctx.uploadsDir, key)));
+  });
+
+  it('rejects posts without content or with an unknown audience', async () => {
+    const empty = await as(app, alice).post('/api/posts').send({ content: '   ' }).expect(400);
+    assert.equal(empty.body.errors[0].field, 'body.content');
+    await as(app, alice).post('/api/posts').send({ content: 'hi', visibility: 'everyone' }).expect(400);
+  });
+
+  it('builds the feed from followed users, respecting audiences', async () => {
+    await createPost(app, alice, { content: 'for everyone' });
+    await createPost(app, alice, { content: 'for followers', visibility: 'followers' });
+    await createPost(app, alice, { content: 'for me', visibility: 'only_me' });
+    await createPost(app, bob, { content: 'bob here' });
+
+    const notFollowing = await as(app, bob).get('/api/feed').expect(200);
+    assert.deepEqual(notFollowing.body.posts.map((post) => post.content), ['bob here']);
+
+    await follow(app, bob, alice);
+    const res = await as(app, bob).get('/api/feed').expect(200);
+    assert.deepEqual(
+      res.body.posts.map((post) => post.content),
+      ['bob here', 'for followers', 'for everyone']
+    );
+    assert.equal(res.body.nextCursor, null);
+  });
+
+  it('ranks the feed and pages through it without repeats', async () => {
+    const carol = await createUser(app, 'carol');
+    await follow(app, bob, alice);
+    const quiet = await createPost(app, alice, { content: 'quiet' });
+    const busy = await createPost(app, alice, { content: 'busy' });
+    await createPost(app, alice, { content: 'hidden', visibility: 'only_me' });
+    const stranger = await createPost(app, carol, { content: 'popular elsewhere' });
+    await as(app, alice).post(`/api/posts/${quiet._id}/comment`).send({ content: 'hm' }).expect(200);
+    await as(app, carol).post(`/api/posts/${quiet._id}/comment`).send({ content: 'yes' }).expect(200);
+    await as(app, bob).post(`/api/posts/${quiet._id}/comment`).send({ content: 'indeed' }).expect(200);
+    await as(app, carol).post(`/api/posts/${busy._id}/like`).expect(200);
+
+    const first = await as(app, bob).get('/api/feed?mode=ranked&limit=2').expect(200);
+    assert.equal(first.body.mode, 'ranked');
+    assert.deepEqual(first.body.posts.map((post) => post.content), ['quiet', 'busy']);
+    assert.ok(first.body.nextCursor);
+
+    const second = await as(app, bob).get(`/api/feed?mode=ranked&limit=2&cursor=${first.body.nextCursor}`).expect(200);
+    assert.deepEqual(second.body.posts.map((post) => post._id), [stranger._id]);
+    assert.equal(second.body.nextCursor, null);
+
+    await as(app, bob).get('/api/feed?mode=ranked&cursor=garbage').expect(400);
+    await as(app, bob).get('/api/feed?mode=popular').expect(400);
+  });
+
+  it('gets a single post only when the viewer is in its audience', async () => {
+    const post = await createPost(app, alice, { content: 'secret', visibility: 'only_me' });
+
+    const res = await as(app, alice).get(`/api/posts/${post._id}`).expect(200);
+    assert.equal(res.body.post.content, 'secret');
+    await as(app, bob).get(`/api/posts/${post._id}`).expect(404);
+    await as(app, bob).get('/api/posts/not-an-id').expect(400);
+  });
+
+  it('lets only the author update a post', async () => {
+    const post = await createPost(app, alice, { content: 'first #draft' });
+
+    await as(app, bob).put(`/api/posts/${post._id}`).send({ content: 'hacked' }).expect(403);
+
+    const res = await as(app, alice)
+      .put(`/api/posts/${post._id}`)
+      .send({ content: 'second #final', visibility: 'private' })
+      .expect(200);
+    assert.equal(res.body.post.content, 'second #final');
+    assert.deepEqual(res.body.post.hashtags, ['final']);
+    assert.equal(res.body.post.visibility, 'only_me');
+  });
+
+  it('lets only the author delete a post, along with its comments', async () => {
+    const post = await createPost(app, alice, { content: 'short-lived' });
+    await as(app, bob).post(`/api/posts/${post._id}/comment`).send({ content: 'nice' }).expect(200);
+
+    await as(app, bob).delete(`/api/posts/${post._id}`).expect(403);
+    await as(app, alice).delete(`/api/posts/${post._id}`).expect(200);
+    await as(app, alice).get(`/api/posts/${post._id}`).expect(404);
+    await as(app, alice).get(`/api/posts/${post._id}/comments`).expect(404);
+  });
+
+  it('likes and unlikes a post', async () => {
+    const post = await createPost(app, alice, { content: 'like me' });
+
+    const liked = await as(app, bob).post(`/api/posts/${post._id}/like`).expect(200);
+    assert.equal(liked.body.post.likeCount, 1);
+    assert.equal(liked.body.post.liked, true);
+    assert.equal(liked.body.post.likes, undefined);
+
+    // Liking twice is a no-op
+    const again = await as(app, bob).post(`/api/posts/${post._id}/like`).expect(200);
+    assert.equal(again.body.post.likeCount, 1);
+
+    const seen = await as(app, alice).get(`/api/posts/${post._id}`).expect(200);
+    assert.equal(seen.body.post.likeCount, 1);
+    assert.equal(seen.body.post.liked, false);
+
+    const unliked = await as(app, bob).post(`/api/posts/${post._id}/unlike`).expect(200);
+    assert.equal(unliked.body.post.likeCount, 0);
+    assert.equal(unliked.body.post.liked, false);
+
+    // Unliking twice does not go below zero
+    const unlikedAgain = await as(app, bob).post(`/api/posts/${post._id}/unlike`).expect(200);
+    assert.equal(unlikedAgain.body.post.likeCount, 0);
+  });
+
+  it('counts concurrent likes exactly once each', async () => {
+    const post = await createPost(app, alice, { content: 'popular' });
+    const carol = await createUser(app, 'carol');
+
+    await Promise.all([
+      ...[bob, carol, alice].map((user) => as(app, user).post(`/api/posts/${post._id}/like`).expect(200)),
+      as(app, bob).post(`/api/posts/${post._id}/like`).expect(200),
+      as(app, bob).post(`/api/posts/${post._id}/like`).expect(200),
+    ]);
+
+    const res = await as(app, alice).get(`/api/posts/${post._id}`).expect(200);
+    assert.equal(res.body.post.likeCount, 3);
+  });
+
+  it('pages through the users who liked a post', async () => {
+    const post = await createPost(app, alice, { content: 'who likes this' });
+    const carol = await createUser(app, 'carol');
+    await as(app, bob).post(`/api/posts/${post._id}/like`).expect(200);
+    await as(app, carol).post(`/api/posts/${post._id}/like`).expect(200);
+
+    const first = await as(app, alice).get(`/api/posts/${post._id}/likes?limit=1`).expect(200);
+    assert.deepEqual(first.body.users.map((user) => user.username), ['carol']);
+    assert.equal(first.body.users[0].password, undefined);
+    assert.ok(first.body.nextCursor);
+
+    const second = await as(app, alice)
+      .get(`/api/posts/${post._id}/likes?limit=1&before=${first.body.nextCursor}`)
+      .expect(200);
+    assert.deepEqual(second.body.users.map((user) => user.username), ['bob']);
+    assert.equal(second.body.nextCursor, null);
+
+    const hidden = await createPost(app, alice, { content: 'mine', visibility: 'only_me' });
+    await as(app, bob).get(`/api/posts/${hidden._id}/likes`).expect(404);
+  });
+
+  it('does not let users like posts they cannot see', async () => {
+    const post = await createPost(app, alice, { content: 'followers only', visibility: 'followers' });
+    await as(app, bob).post(`/api/posts/${post._id}/like`).expect(404);
+  });
+
+  it('adds comments and one level of replies', async () => {
+    const post = await createPost(app, alice, { content: 'discuss' });
+
+    const first = await as(app, bob).post(`/api/posts/${post._id}/comment`).send({ content: 'first!' }).expect(200);
+    assert.equal(first.body.post.commentCount, 1);
+    const commentId = first.body.comment._id;
+
+    const reply = await as(app, alice)
+      .post(`/api/posts/${post._id}/comment`)
+      .send({ content: 'thanks', parentId: commentId })
+      .expect(200);
+    assert.equal(reply.body.comment.parentId, commentId);
+
+    // Replying to a reply attaches to the top-level comment
+    const nested = await as(app, bob)
+      .post(`/api/posts/${post._id}/comment`)
+      .send({ content: 'welcome', parentId: reply.body.comment._id })
+      .expect(200);
+    assert.equal(nested.body.comment.parentId, commentId);
+
+    const topLevel = await as(app, alice).get(`/api/posts/${post._id}/comments`).expect(200);
+    assert.equal(topLevel.body.comments.length, 1);
+    assert.equal(topLevel.body.comments[0].replyCount, 2);
+    assert.equal(topLevel.body.commentCount, 3);
+
+    const replies = await as(app, alice).get(`/api/posts/${post._id}/comments?parentId=${commentId}`).expect(200);
+    assert.deepEqual(replies.body.comments.map((comment) => comment.content), ['welcome', 'thanks']);
+
+    await as(app, bob)
+      .post(`/api/posts/${post._id}/comment`)
+      .send({ content: 'lost', parentId: '000000000000000000000000' })
+      .expect(404);
+  });
+
+  it('lets only the author edit a comment', async () => {
+    const post = await createPost(app, alice, { content: 'discuss' });
+    const { body } = await as(app, bob).post(`/api/posts/${post._id}/comment`).send({ content: 'typo' }).expect(200);
+
+    await as(app, alice).put(`/api/comments/${body.comment._id}`).send({ content: 'nope' }).expect(403);
+
+    const res = await as(app, bob).put(`/api/comments/${body.comment._id}`).send({ content: 'fixed' }).expect(200);
+    assert.equal(res.body.comment.content, 'fixed');
+    assert.ok(res.body.comment.editedAt);
+  });
+
+  it('lets the comment author or post owner delete a comment and its replies', async () => {
+    const carol = await createUser(app, 'carol');
+    const post = await createPost(app, alice, { content: 'discuss' });
+    const { body } = await as(app, bob).post(`/api/posts/${post._id}/comment`).send({ content: 'hi' }).expect(200);
+    await as(app, alice)
+      .post(`/api/posts/${post._id}/comment`)
+      .send({ content: 'hello', parentId: body.comment._id })
+      .expect(200);
+
+    await as(app, carol).delete(`/api/comments/${body.comment._id}`).expect(403);
+    await as(app, alice).delete(`/api/comments/${body.comment._id}`).expect(200);
+
+    const res = await as(app, alice).get(`/api/posts/${post._id}/comments`).expect(200);
+    assert.deepEqual(res.body.comments, []);
+    assert.equal(res.body.commentCount, 0);
+  });
+
+  it('likes and unlikes a comment', async () => {
+    const post = await createPost(app, alice, { content: 'discuss' });
+    const { body } = await as(app, bob).post(`/api/posts/${post._id}/comment`).send({ content: 'hi' }).expect(200);
+
+    const liked = await as(app, alice).post(`/api/comments/${body.comment._id}/like`).expect(200);
+    assert.equal(liked.body.comment.likeCount, 1);
+    const again = await as(app, alice).post(`/api/comments/${body.comment._id}/like`).expect(200);
+    assert.equal(again.body.comment.likeCount, 1);
+
+    const unliked = await as(app, alice).post(`/api/comments/${body.comment._id}/unlike`).expect(200);
+    assert.equal(unliked.body.comment.likeCount, 0);
+
+    await as(app, alice).post('/api/comments/000000000000000000000000/like').expect(404);
+  });
+
+  it('reposts into followers\' feeds with attribution, once per user, and undoes it', async () => {
+    const carol = await createUser(app, 'carol');
+    await follow(app, carol, bob);
+    const post = await createPost(app, alice, { content: 'Worth sharing' });
+
+    const [first, second] = await Promise.all([
+      as(app, bob).post(`/api/posts/${post._id}/repost`).expect(200),
+      as(app, bob).post(`/api/posts/${post._id}/repost`).expect(200),
+    ]);
+    assert.equal(first.body.post.reposted, true);
+    assert.equal(Math.max(first.body.post.repostCount, second.body.post.repostCount), 1);
+
+    const feed = await as(app, carol).get('/api/feed').expect(200);
+    assert.equal(feed.body.posts.length, 1);
+    const [repost] = feed.body.posts;
+    assert.equal(repost.userId.username, 'bob');
+    assert.equal(repost.repostOf.content, 'Worth sharing');
+    assert.equal(repost.repostOf.userId.username, 'alice');
+    assert.equal(repost.repostOf.repostCount, 1);
+
+    const notifications = await as(app, alice).get('/api/notifications').expect(200);
+    assert.deepEqual(notifications.body.notifications.map((notification) => notification.type), ['repost']);
+
+    const undone = await as(app, bob).post(`/api/posts/${post._id}/unrepost`).expect(200);
+    assert.equal(undone.body.post.repostCount, 0);
+    assert.equal(undone.body.post.reposted, false);
+
+    const after = await as(app, carol).get('/api/feed').expect(200);
+    assert.deepEqual(after.body.posts, []);
+    const cleared = await as(app, alice).get('/api/notifications').expect(200);
+    assert.deepEqual(cleared.body.notifications, []);
+  });
+
+  it('only lets public posts from public accounts be reposted or quoted', async () => {
+    await follow(app, bob, alice);
+    const followersOnly = await createPost(app, alice, { content: 'Just for you', visibility: 'followers' });
+
+    const res = await as(app, bob).post(`/api/posts/${followersOnly._id}/repost`).expect(403);
+    assert.equal(res.body.message, 'Only public posts can be reposted');
+    await as(app, bob).post('/api/posts').send({ content: 'Look', quoteOf: followersOnly._id }).expect(403);
+
+    const post = await createPost(app, alice, { content: 'Public, for now' });
+    await as(app, alice).put('/api/profile').send({ isPrivate: true }).expect(200);
+    await as(app, bob).post(`/api/posts/${post._id}/repost`).expect(403);
+  });
+
+  it('quotes posts and handles the original being deleted', async () => {
+    const carol = await createUser(app, 'carol');
+    const post = await createPost(app, alice, { content: 'Original' });
+    await as(app, carol).post(`/api/posts/${post._id}/repost`).expect(200);
+
+    const quote = await as(app, bob).post('/api/posts').send({ content: 'So true', quoteOf: post._id }).expect(200);
+    assert.equal(quote.body.post.quoteOf.content, 'Original');
+    const original = await as(app, bob).get(`/api/posts/${post._id}`).expect(200);
+    assert.equal(original.body.post.quoteCount, 1);
+    assert.equal(original.body.post.repostCount, 1);
+
+    await as(app, alice).delete(`/api/posts/${post._id}`).expect(200);
+
+    const quoted = await as(app, bob).get(`/api/posts/${quote.body.post._id}`).expect(200);
+    assert.equal(quoted.body.post.content, 'So true');
+    assert.equal(quoted.body.post.quoteOf, null);
+
+    const carolProfile = await as(app, carol).get('/api/users/carol').expect(200);
+    assert.deepEqual(carolProfile.body.posts, []);
+    assert.equal(carolProfile.body.user.stats.postCount, 0);
+  });
+
+  it('keeps drafts out of feeds and profiles until they are published', async () => {
+    await follow(app, bob, alice);
+    const draft = await createPost(app, alice, { content: 'Not yet @bob', status: 'draft' });
+    assert.equal(draft.status, 'draft');
+
+    const feed = await as(app, bob).get('/api/feed').expect(200);
+    assert.deepEqual(feed.body.posts, []);
+    const profile = await as(app, alice).get('/api/users/alice').expect(200);
+    assert.deepEqual(profile.body.posts, []);
+    await as(app, bob).get(`/api/posts/${draft._id}`).expect(404);
+    await as(app, alice).put(`/api/posts/${draft._id}`).send({ content: 'Edited' }).expect(400);
+
+    const updated = await as(app, alice).put(`/api/drafts/${draft._id}`).send({ content: 'Now @bob' }).expect(200);
+    assert.equal(updated.body.post.content, 'Now @bob');
+    const drafts = await as(app, alice).get('/api/drafts').expect(200);
+    assert.deepEqual(drafts.body.posts.map((post) => post.content), ['Now @bob']);
+    const bobDrafts = await as(app, bob).get('/api/drafts').expect(200);
+    assert.deepEqual(bobDrafts.body.posts, []);
+    await as(app, bob).post(`/api/drafts/${draft._id}/publish`).expect(404);
+
+    const empty = await as(app, bob).get('/api/notifications').expect(200);
+    assert.deepEqual(empty.body.notifications, []);
+
+    const published = await as(app, alice).post(`/api/drafts/${draft._id}/publish`).expect(200);
+    assert.equal(published.body.post.status, 'published');
+    const feedAfter = await as(app, bob).get('/api/feed').expect(200);
+    assert.deepEqual(feedAfter.body.posts.map((post) => post.content), ['Now @bob']);
+    const notifications = await as(app, bob).get('/api/notifications').expect(200);
+    assert.equal(notifications.body.notifications[0].type, 'mention');
+    await as(app, alice).post(`/api/drafts/${draft._id}/publish`).expect(404);
+  });
+
+  it('schedules posts, publishes them when due and lets them be rescheduled or cancelled', async () => {
+    const inAnHour = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    await as(app, alice).post('/api/posts').send({ content: 'Too late', publishAt: '2000-01-01' }).expect(400);
+    await as(app, alice).post('/api/posts').send({ content: 'Both', status: 'draft', publishAt: inAnHour }).expect(400);
+
+    const scheduled = await createPost(app, alice, { content: 'Later, @bob', publishAt: inAnHour });
+    assert.equal(scheduled.status, 'scheduled');
+    const cancelled = await createPost(app, alice, { content: 'Never mind', publishAt: inAnHour });
+    const unscheduled = await createPost(app, alice, { content: 'Maybe', publishAt: inAnHour });
+
+    await as(app, alice).put(`/api/drafts/${unscheduled._id}`).send({ publishAt: '' }).expect(200);
+    const onlyScheduled = await as(app, alice).get('/api/drafts?status=scheduled').expect(200);
+    assert.deepEqual(onlyScheduled.body.posts.map((post) => post.content).sort(), ['Later, @bob', 'Never mind']);
+    await as(app, alice).delete(`/api/drafts/${cancelled._id}`).expect(200);
+
+    assert.equal(await ctx.publishDuePosts(), 0);
+    await mongoose.model('Post').updateMany({ status: 'scheduled' }, { publishAt: new Date(Date.now() - 1000) });
+    assert.equal(await ctx.publishDuePosts(), 1);
+
+    const profile = await as(app, bob).get('/api/users/alice').expect(200);
+    assert.deepEqual(profile.body.posts.map((post) => post.content), ['Later, @bob']);
+    assert.ok(new Date(profile.body.posts[0].createdAt) > new Date(scheduled.createdAt));
+    const notifications = await as(app, bob).get('/api/notifications').expect(200);
+    assert.equal(notifications.body.notifications[0].type, 'mention');
+
+    const drafts = await as(app, alice).get('/api/drafts').expect(200);
+    assert.deepEqual(drafts.body.posts.map((post) => post.content), ['Maybe']);
+  });
+});
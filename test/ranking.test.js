@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { RANKING_WEIGHTS, scorePost, rankPosts, scoreSuggestion } = require('../utils/ranking');
+const { encodeSeenCursor, decodeSeenCursor } = require('../utils/pagination');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 0, 1, 12);
+
+function post(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    createdAt: new Date(NOW),
+    likeCount: 0,
+    commentCount: 0,
+    ...fields,
+  };
+}
+
+describe('feed ranking', () => {
+  it('scores a fresh in-network post with no engagement as 1', () => {
+    assert.equal(scorePost(post(), { now: NOW }), 1);
+  });
+
+  it('halves the score every half-life', () => {
+    const old = post({ createdAt: new Date(NOW - RANKING_WEIGHTS.halfLifeHours * HOUR) });
+    assert.equal(scorePost(old, { now: NOW }), 0.5);
+  });
+
+  it('rewards engagement, with comments worth more than likes', () => {
+    const liked = scorePost(post({ likeCount: 3 }), { now: NOW });
+    const commented = scorePost(post({ commentCount: 3 }), { now: NOW });
+    assert.ok(liked > 1);
+    assert.ok(commented > liked);
+  });
+
+  it('rewards authors the viewer interacts with', () => {
+    const stranger = scorePost(post(), { now: NOW, affinity: 0 });
+    const friend = scorePost(post(), { now: NOW, affinity: 5 });
+    assert.ok(friend > stranger);
+  });
+
+  it('down-weights posts from outside the network', () => {
+    const outside = scorePost(post(), { now: NOW, inNetwork: false });
+    assert.equal(outside, RANKING_WEIGHTS.outOfNetwork);
+  });
+
+  it('treats posts dated in the future as brand new', () => {
+    assert.equal(scorePost(post({ createdAt: new Date(NOW + HOUR) }), { now: NOW }), 1);
+  });
+
+  it('ranks by score, then recency, then id', () => {
+    const author = new mongoose.Types.ObjectId();
+    const friend = new mongoose.Types.ObjectId();
+    const popular = post({ userId: author, likeCount: 10, createdAt: new Date(NOW - 2 * HOUR) });
+    const fresh = post({ userId: author });
+    const close = post({ userId: { _id: friend, username: 'friend' }, createdAt: new Date(NOW - HOUR) });
+    const twinA = post({ userId: author, _id: new mongoose.Types.ObjectId('000000000000000000000001'), createdAt: new Date(NOW - 48 * HOUR) });
+    const twinB = post({ userId: author, _id: new mongoose.Types.ObjectId('000000000000000000000002'), createdAt: new Date(NOW - 48 * HOUR) });
+
+    const networkIds = new Set([author.toString(), friend.toString()]);
+    const affinity = new Map([[friend.toString(), 20]]);
+    const ranked = rankPosts([twinA, fresh, twinB, popular, close], { now: NOW, affinity, networkIds });
+
+    assert.deepEqual(ranked, [close, popular, fresh, twinB, twinA]);
+  });
+
+  it('gives the same order for the same inputs', () => {
+    const posts = Array.from({ length: 20 }, (_, i) => post({
+      likeCount: i % 4,
+      commentCount: i % 3,
+      createdAt: new Date(NOW - (i % 5) * HOUR),
+    }));
+    const first = rankPosts(posts, { now: NOW });
+    const second = rankPosts([...posts].reverse(), { now: NOW });
+    assert.deepEqual(first, second);
+  });
+
+  it('scores suggestions by mutual follows over shared engagement and popularity', () => {
+    const mutual = scoreSuggestion({ mutualCount: 1, now: NOW });
+    const engaged = scoreSuggestion({ sharedEngagement: 1, now: NOW });
+    const popular = scoreSuggestion({ followerCount: 100, now: NOW });
+    assert.ok(mutual > engaged);
+    assert.ok(engaged > popular);
+    assert.equal(scoreSuggestion({ now: NOW }), 0);
+  });
+
+  it('doubles a suggestion\'s score for someone active right now', () => {
+    const idle = scoreSuggestion({ mutualCount: 2, now: NOW });
+    const active = scoreSuggestion({ mutualCount: 2, lastActiveAt: new Date(NOW), now: NOW });
+    assert.equal(active, idle * 2);
+  });
+
+  it('round-trips the ranked feed cursor', () => {
+    const seenIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const decoded = decodeSeenCursor(encodeSeenCursor({ now: NOW, seenIds }));
+    assert.equal(decoded.now, NOW);
+    assert.deepEqual(decoded.seenIds.map(String), seenIds.map(String));
+
+    assert.equal(decodeSeenCursor('garbage'), null);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, hitSlidingWindow } = require('../rateLimit');
+const { startTestApp, createUser, as, createPost } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+const WINDOW_START = 1000 * MINUTE; // Any instant on a window boundary
+
+describe('memory rate limit store', () => {
+  it('counts, reads, sets and deletes keys', async () => {
+    const store = createMemoryStore();
+    assert.equal(await store.get('a'), null);
+    assert.equal(await store.incr('a', MINUTE), 1);
+    assert.equal(await store.incr('a', MINUTE), 2);
+    assert.equal(await store.get('a'), 2);
+
+    await store.set('b', 42, MINUTE);
+    assert.equal(await store.get('b'), 42);
+    await store.del('b');
+    assert.equal(await store.get('b'), null);
+  });
+
+  it('forgets keys once their ttl has passed', async () => {
+    const store = createMemoryStore();
+    await store.incr('a', 20);
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    assert.equal(await store.get('a'), null);
+    assert.equal(await store.incr('a', 20), 1);
+  });
+});
+
+describe('sliding window', () => {
+  it('allows `max` hits in a window and limits the next one', async () => {
+    const store = createMemoryStore();
+    const now = WINDOW_START + 15 * 1000;
+    for (let hit = 1; hit <= 3; hit++) {
+      const result = await hitSlidingWindow(store, 'k', MINUTE, 3, now);
+      assert.equal(result.limited, false);
+      assert.equal(result.count, hit);
+    }
+
+    const limited = await hitSlidingWindow(store, 'k', MINUTE, 3, now);
+    assert.equal(limited.limited, true);
+    assert.equal(limited.count, 4);
+  });
+
+  it('weights the previous window by how much of it still overlaps', async () => {
+    const store = createMemoryStore();
+    for (let hit = 0; hit < 4; hit++) {
+      await hitSlidingWindow(store, 'k', MINUTE, 4, WINDOW_START - 10 * 1000);
+    }
+
+    // Half way into the next window half of the previous window's 4 hits still count
+    const halfWay = WINDOW_START + 30 * 1000;
+    assert.deepEqual(await hitSlidingWindow(store, 'k', MINUTE, 4, halfWay), { count: 3, limited: false, retryAfterMs: 0 });
+    assert.equal((await hitSlidingWindow(store, 'k', MINUTE, 4, halfWay)).limited, false);
+    assert.equal((await hitSlidingWindow(store, 'k', MINUTE, 4, halfWay)).limited, true);
+
+    // Two windows later nothing is left
+    const later = await hitSlidingWindow(store, 'k', MINUTE, 4, WINDOW_START + 2 * MINUTE);
+    assert.deepEqual(later, { count: 1, limited: false, retryAfterMs: 0 });
+  });
+
+  it('retries late in the same window once enough of the previous one has slid out', async () => {
+    const store = createMemoryStore();
+    for (let hit = 0; hit < 4; hit++) {
+      await hitSlidingWindow(store, 'k', MINUTE, 3, WINDOW_START - 1);
+    }
+    const now = WINDOW_START + 30 * 1000;
+    await hitSlidingWindow(store, 'k', MINUTE, 3, now);
+    const limited = await hitSlidingWindow(store, 'k', MINUTE, 3, now);
+    assert.equal(limited.limited, true);
+    assert.equal(limited.retryAfterMs, 30 * 1000);
+
+    const early = await hitSlidingWindow(store, 'k', MINUTE, 3, now + limited.retryAfterMs - 1000);
+    assert.equal(early.limited, true);
+  });
+
+  it('retries in the next window when this one alone is over the limit', async () => {
+    const store = createMemoryStore();
+    const now = WINDOW_START + 15 * 1000;
+    let result;
+    for (let hit = 0; hit < 5; hit++) {
+      result = await hitSlidingWindow(store, 'k', MINUTE, 3, now);
+    }
+    assert.equal(result.limited, true);
+    // 45s left in this window, then 5 * (60 - t) / 60 + 1 <= 3 once t >= 36s
+    assert.equal(result.retryAfterMs, 45 * 1000 + 36 * 1000);
+
+    const retry = await hitSlidingWindow(store, 'k', MINUTE, 3, now + result.retryAfterMs);
+    assert.equal(retry.limited, false);
+  });
+});
+
+describe('rate limiting write routes', () => {
+  let ctx;
+  let app;
+
+  before(async () => {
+    ctx = await startTestApp((config) => ({
+      ...config,
+      rateLimit: {
+        ...config.rateLimit,
+        enabled: true,
+        rules: { ...config.rateLimit.rules, like: { windowMs: MINUTE, perUser: 2 } },
+      },
+    }));
+    app = ctx.app;
+  });
+  after(() => ctx.stop());
+  beforeEach(() => ctx.reset());
+
+  it('answers 429 with Retry-After once a user is over the limit', async () => {
+    const alice = await createUser(app, 'alice');
+    const bob = await createUser(app, 'bob');
+    const post = await createPost(app, alice, { content: 'Hello' });
+
+    await as(app, bob).post(`/api/posts/${post._id}/like`).expect(200);
+    await as(app, bob).post(`/api/posts/${post._id}/unlike`).expect(200);
+    const res = await as(app, bob).post(`/api/posts/${post._id}/like`).expect(429);
+    assert.equal(res.body.message, 'Too many requests, please try again later');
+    assert.equal(res.headers['ratelimit-limit'], '2');
+    assert.ok(Number(res.headers['retry-after']) >= 1);
+
+    // The limit is per user
+    await as(app, alice).post(`/api/posts/${post._id}/like`).expect(200);
+  });
+});
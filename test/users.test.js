@@ -0,0 +1,374 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startTestApp, createUser, as, follow, createPost, testImage } = require('./helpers');
+
+describe('users, follows and close friends', () => {
+  let ctx;
+  let app;
+  let alice;
+  let bob;
+
+  before(async () => {
+    ctx = await startTestApp();
+    app = ctx.app;
+  });
+  after(() => ctx.stop());
+  beforeEach(async () => {
+    await ctx.reset();
+    alice = await createUser(app, 'alice');
+    bob = await createUser(app, 'bob');
+  });
+
+  it('shows a profile with the posts the viewer may see', async () => {
+    await createPost(app, alice, { content: 'public post' });
+    await createPost(app, alice, { content: 'followers post', visibility: 'followers' });
+
+    const stranger = await as(app, bob).get('/api/users/alice').expect(200);
+    assert.equal(stranger.body.user.username, 'alice');
+    assert.deepEqual(stranger.body.posts.map((post) => post.content), ['public post']);
+
+    await follow(app, bob, alice);
+    const follower = await as(app, bob).get('/api/users/alice').expect(200);
+    assert.equal(follower.body.user.isFollowing, true);
+    assert.equal(follower.body.posts.length, 2);
+
+    await as(app, bob).get('/api/users/nobody').expect(404);
+  });
+
+  it('pages through profile posts', async () => {
+    for (let i = 0; i < 3; i++) {
+      await createPost(app, alice, { content: `post ${i}` });
+    }
+
+    const first = await as(app, alice).get('/api/users/alice?limit=2').expect(200);
+    assert.equal(first.body.posts.length, 2);
+    assert.ok(first.body.nextCursor);
+
+    const second = await as(app, alice).get(`/api/users/alice?limit=2&before=${first.body.nextCursor}`).expect(200);
+    assert.equal(second.body.posts.length, 1);
+    assert.equal(second.body.posts[0].content, 'post 0');
+
+    await as(app, alice).get('/api/users/alice?before=garbage').expect(400);
+  });
+
+  it('hides a private profile from people who do not follow it', async () => {
+    await as(app, alice).put('/api/profile').send({ isPrivate: true }).expect(200);
+    await createPost(app, alice, { content: 'hidden' });
+
+    const res = await as(app, bob).get('/api/users/alice').expect(200);
+    assert.deepEqual(res.body.posts, []);
+    assert.equal(res.body.user.followRequested, false);
+    assert.equal(res.body.user.followers, undefined);
+  });
+
+  it('updates the profile, including a picture sent as multipart', async () => {
+    const res = await as(app, alice)
+      .put('/api/profile')
+      .field('name', 'Alice A.')
+      .field('isPrivate', 'true')
+      .attach('profilePic', await testImage(), 'me.png')
+      .expect(200);
+    assert.equal(res.body.name, 'Alice A.');
+    assert.equal(res.body.isPrivate, true);
+    assert.match(res.body.profilePic, /^\/uploads\/.+\.png$/);
+
+    const main = await as(app, alice).get('/api/main').expect(200);
+    assert.equal(main.body.profilePic, res.body.profilePic);
+  });
+
+  it('rejects uploads that are not images', async () => {
+    await as(app, alice)
+      .put('/api/profile')
+      .attach('profilePic', Buffer.from('not an image'), 'me.png')
+      .expect(400);
+  });
+
+  it('edits bio, links, location, cover image and pinned post, and shows profile stats', async () => {
+    const pinned = await createPost(app, alice, { content: 'Pin me' });
+    await createPost(app, alice, { content: 'Newer' });
+    await as(app, bob).post(`/api/posts/${pinned._id}/like`).expect(200);
+    await follow(app, bob, alice);
+
+    const res = await as(app, alice)
+      .put('/api/profile')
+      .field('bio', 'Hiker and photographer')
+      .field('location', 'Lisbon')
+      .field('links', JSON.stringify([{ label: 'Blog', url: 'https://alice.example' }]))
+      .field('pinnedPostId', pinned._id)
+      .attach('coverImage', await testImage(1200, 400), 'cover.png')
+      .expect(200);
+    assert.equal(res.body.bio, 'Hiker and photographer');
+    assert.match(res.body.coverImage, /^\/uploads\/.+\.png$/);
+
+    const profile = await as(app, bob).get('/api/users/alice').expect(200);
+    assert.equal(profile.body.user.location, 'Lisbon');
+    assert.deepEqual(profile.body.user.links, [{ label: 'Blog', url: 'https://alice.example' }]);
+    assert.equal(profile.body.user.coverImage, res.body.coverImage);
+    assert.deepEqual(profile.body.user.stats, { postCount: 2, followerCount: 1, followingCount: 0, likesReceived: 1 });
+    assert.equal(profile.body.pinnedPost.content, 'Pin me');
+    assert.equal(profile.body.pinnedPost.liked, true);
+
+    const unpinned = await as(app, alice).put('/api/profile').send({ pinnedPostId: '', removeCoverImage: true }).expect(200);
+    assert.equal(unpinned.body.pinnedPostId, null);
+    assert.equal(unpinned.body.coverImage, undefined);
+  });
+
+  it('rejects unsafe links and pinning other users\' posts', async () => {
+    const bobPost = await createPost(app, bob, { content: 'Not yours' });
+
+    const link = await as(app, alice)
+      .put('/api/profile')
+      .send({ links: [{ url: 'javascript:alert(1)' }] })
+      .expect(400);
+    assert.equal(link.body.errors[0].field, 'body.links.0.url');
+
+    const pin = await as(app, alice).put('/api/profile').send({ pinnedPostId: bobPost._id }).expect(400);
+    assert.equal(pin.body.message, 'You can only pin your own published posts');
+  });
+
+  it('shows public profiles without signing in', async () => {
+    await as(app, alice).put('/api/profile').send({ bio: 'Hello', email: 'alice@example.com' }).expect(200);
+    await createPost(app, alice, { content: 'public post' });
+    await createPost(app, alice, { content: 'followers post', visibility: 'followers' });
+
+    const res = await request(app).get('/api/public/users/alice').expect(200);
+    assert.equal(res.body.user.bio, 'Hello');
+    assert.equal(res.body.user.email, undefined);
+    assert.equal(res.body.user.stats.postCount, 2);
+    assert.deepEqual(res.body.posts.map((post) => post.content), ['public post']);
+
+    await as(app, alice).put('/api/profile').send({ isPrivate: true }).expect(200);
+    const hidden = await request(app).get('/api/public/users/alice').expect(200);
+    assert.deepEqual(hidden.body.posts, []);
+
+    await request(app).get('/api/public/users/nobody').expect(404);
+  });
+
+  it('lists users with whether the viewer follows them', async () => {
+    await follow(app, alice, bob);
+    const res = await as(app, alice).get('/api/users').expect(200);
+    const bobEntry = res.body.find((user) => user.username === 'bob');
+    assert.equal(bobEntry.following, true);
+    assert.equal(bobEntry.password, undefined);
+  });
+
+  it('follows and unfollows a public account', async () => {
+    const res = await as(app, alice).post(`/api/follow/${bob.id}`).expect(200);
+    assert.equal(res.body.status, 'following');
+
+    const profile = await as(app, alice).get('/api/users/bob').expect(200);
+    assert.equal(profile.body.user.followerCount, 1);
+
+    await as(app, alice).post(`/api/unfollow/${bob.id}`).expect(200);
+    const unfollowed = await as(app, alice).get('/api/users/bob').expect(200);
+    assert.equal(unfollowed.body.user.followerCount, 0);
+  });
+
+  it('counts concurrent follows exactly once each', async () => {
+    const carol = await createUser(app, 'carol');
+
+    await Promise.all([
+      as(app, alice).post(`/api/follow/${carol.id}`).expect(200),
+      as(app, alice).post(`/api/follow/${carol.id}`).expect(200),
+      as(app, bob).post(`/api/follow/${carol.id}`).expect(200),
+      as(app, bob).post(`/api/follow/${carol.id}`).expect(200),
+    ]);
+
+    const carolProfile = await as(app, carol).get('/api/users/carol').expect(200);
+    assert.equal(carolProfile.body.user.followerCount, 2);
+    const aliceProfile = await as(app, carol).get('/api/users/alice').expect(200);
+    assert.equal(aliceProfile.body.user.followingCount, 1);
+
+    await Promise.all([
+      as(app, alice).post(`/api/unfollow/${carol.id}`).expect(200),
+      as(app, alice).post(`/api/unfollow/${carol.id}`).expect(200),
+    ]);
+    const unfollowed = await as(app, carol).get('/api/users/carol').expect(200);
+    assert.equal(unfollowed.body.user.followerCount, 1);
+  });
+
+  it('pages through followers and following', async () => {
+    const carol = await createUser(app, 'carol');
+    await follow(app, alice, carol);
+    await follow(app, bob, carol);
+    await follow(app, carol, alice);
+
+    const first = await as(app, alice).get('/api/users/carol/followers?limit=1').expect(200);
+    assert.deepEqual(first.body.users.map((user) => user.username), ['bob']);
+    assert.ok(first.body.nextCursor);
+
+    const second = await as(app, alice)
+      .get(`/api/users/carol/followers?limit=1&before=${first.body.nextCursor}`)
+      .expect(200);
+    assert.deepEqual(second.body.users.map((user) => user.username), ['alice']);
+    assert.equal(second.body.nextCursor, null);
+
+    const following = await as(app, bob).get('/api/users/carol/following').expect(200);
+    assert.deepEqual(following.body.users.map((user) => user.username), ['alice']);
+
+    await as(app, bob).get('/api/users/carol/friends').expect(400);
+    await as(app, bob).get('/api/users/nobody/followers').expect(404);
+  });
+
+  it('lists a private account\'s followers only to its followers', async () => {
+    await as(app, bob).put('/api/profile').send({ isPrivate: true }).expect(200);
+    const carol = await createUser(app, 'carol');
+
+    await as(app, carol).get('/api/users/bob/followers').expect(403);
+    await as(app, bob).get('/api/users/bob/followers').expect(200);
+
+    await as(app, alice).post(`/api/follow/${bob.id}`).expect(200);
+    const incoming = await as(app, bob).get('/api/follow-requests').expect(200);
+    await as(app, bob).post(`/api/follow-requests/${incoming.body.requests[0]._id}/approve`).expect(200);
+
+    const res = await as(app, alice).get('/api/users/bob/followers').expect(200);
+    assert.deepEqual(res.body.users.map((user) => user.username), ['alice']);
+  });
+
+  it('does not let users follow themselves or unknown users', async () => {
+    await as(app, alice).post(`/api/follow/${alice.id}`).expect(400);
+    await as(app, alice).post('/api/follow/000000000000000000000000').expect(404);
+    await as(app, alice).post('/api/follow/not-an-id').expect(400);
+  });
+
+  it('sends follow requests to private accounts and approves them', async () => {
+    await as(app, bob).put('/api/profile').send({ isPrivate: true }).expect(200);
+
+    const res = await as(app, alice).post(`/api/follow/${bob.id}`).expect(200);
+    assert.equal(res.body.status, 'requested');
+
+    const outgoing = await as(app, alice).get('/api/follow-requests?direction=outgoing').expect(200);
+    assert.equal(outgoing.body.requests.length, 1);
+
+    const incoming = await as(app, bob).get('/api/follow-requests').expect(200);
+    assert.equal(incoming.body.requests.length, 1);
+    assert.equal(incoming.body.requests[0].requesterId.username, 'alice');
+
+    await as(app, alice).post(`/api/follow-requests/${incoming.body.requests[0]._id}/approve`).expect(404);
+    await as(app, bob).post(`/api/follow-requests/${incoming.body.requests[0]._id}/approve`).expect(200);
+
+    const profile = await as(app, alice).get('/api/users/bob').expect(200);
+    assert.equal(profile.body.user.isFollowing, true);
+    const left = await as(app, bob).get('/api/follow-requests').expect(200);
+    assert.equal(left.body.requests.length, 0);
+
+    await as(app, bob).get('/api/follow-requests?direction=sideways').expect(400);
+  });
+
+  it('rejects follow requests', async () => {
+    await as(app, bob).put('/api/profile').send({ isPrivate: true }).expect(200);
+    await as(app, alice).post(`/api/follow/${bob.id}`).expect(200);
+
+    const incoming = await as(app, bob).get('/api/follow-requests').expect(200);
+    await as(app, bob).post(`/api/follow-requests/${incoming.body.requests[0]._id}/reject`).expect(200);
+
+    const profile = await as(app, alice).get('/api/users/bob').expect(200);
+    assert.equal(profile.body.user.isFollowing, false);
+    assert.equal(profile.body.user.followRequested, false);
+  });
+
+  it('approves pending requests when an account goes public', async () => {
+    await as(app, bob).put('/api/profile').send({ isPrivate: true }).expect(200);
+    await as(app, alice).post(`/api/follow/${bob.id}`).expect(200);
+
+    await as(app, bob).put('/api/profile').send({ isPrivate: false }).expect(200);
+
+    const profile = await as(app, alice).get('/api/users/bob').expect(200);
+    assert.equal(profile.body.user.isFollowing, true);
+  });
+
+  it('manages close friends', async () => {
+    await as(app, alice).post(`/api/close-friends/${bob.id}`).expect(200);
+    const list = await as(app, alice).get('/api/close-friends').expect(200);
+    assert.deepEqual(list.body.map((user) => user.username), ['bob']);
+
+    await as(app, alice).delete(`/api/close-friends/${bob.id}`).expect(200);
+    const removed = await as(app, alice).get('/api/close-friends').expect(200);
+    assert.deepEqual(removed.body, []);
+
+    await as(app, alice).post(`/api/close-friends/${alice.id}`).expect(400);
+    await as(app, alice).post('/api/close-friends/000000000000000000000000').expect(404);
+  });
+
+  it('blocks a user, cutting follows both ways and shutting them out', async () => {
+    await follow(app, alice, bob);
+    await follow(app, bob, alice);
+    const post = await createPost(app, alice, { content: 'not for bob' });
+
+    await as(app, alice).post(`/api/blocks/${bob.id}`).expect(200);
+
+    const profile = await as(app, alice).get('/api/users/bob').expect(200);
+    assert.equal(profile.body.user.isBlocked, true);
+    assert.equal(profile.body.user.followerCount, 0);
+    assert.equal(profile.body.user.followingCount, 0);
+    assert.deepEqual(profile.body.posts, []);
+
+    await as(app, bob).get('/api/users/alice').expect(404);
+    await as(app, bob).post(`/api/follow/${alice.id}`).expect(403);
+    await as(app, alice).post(`/api/follow/${bob.id}`).expect(403);
+    await as(app, bob).post(`/api/posts/${post._id}/like`).expect(404);
+    await as(app, bob).post(`/api/posts/${post._id}/comment`).send({ content: 'hey' }).expect(404);
+
+    const users = await as(app, bob).get('/api/users').expect(200);
+    assert.ok(!users.body.some((user) => user.username === 'alice'));
+
+    const blocks = await as(app, alice).get('/api/blocks').expect(200);
+    assert.deepEqual(blocks.body.users.map((user) => user.username), ['bob']);
+
+    await as(app, alice).delete(`/api/blocks/${bob.id}`).expect(200);
+    await as(app, bob).post(`/api/follow/${alice.id}`).expect(200);
+    await as(app, alice).post(`/api/blocks/${alice.id}`).expect(400);
+  });
+
+  it('mutes a user without them knowing', async () => {
+    await follow(app, alice, bob);
+    await createPost(app, bob, { content: 'from bob' });
+    const post = await createPost(app, alice, { content: 'from alice' });
+
+    await as(app, alice).post(`/api/mutes/${bob.id}`).expect(200);
+
+    const feed = await as(app, alice).get('/api/feed').expect(200);
+    assert.deepEqual(feed.body.posts.map((item) => item.content), ['from alice']);
+
+    await as(app, bob).post(`/api/posts/${post._id}/like`).expect(200);
+    const unread = await as(app, alice).get('/api/notifications/unread-count').expect(200);
+    assert.equal(unread.body.count, 0);
+
+    // Bob still follows along as before
+    const profile = await as(app, bob).get('/api/users/alice').expect(200);
+    assert.equal(profile.body.user.isMuted, false);
+    assert.equal(profile.body.user.followerCount, 0);
+
+    const mutes = await as(app, alice).get('/api/mutes').expect(200);
+    assert.deepEqual(mutes.body.users.map((user) => user.username), ['bob']);
+
+    await as(app, alice).delete(`/api/mutes/${bob.id}`).expect(200);
+    const unmuted = await as(app, alice).get('/api/feed').expect(200);
+    assert.equal(unmuted.body.posts.length, 2);
+  });
+
+  it('reports presence', async () => {
+    const res = await as(app, alice).get(`/api/presence?userIds=${bob.id}`).expect(200);
+    assert.equal(res.body.length, 1);
+    assert.equal(res.body[0].status, 'offline');
+
+    // Private accounts only to their followers, and nobody across a block
+    const carol = await createUser(app, 'carol');
+    const dave = await createUser(app, 'dave');
+    await as(app, carol).put('/api/profile').send({ isPrivate: true }).expect(200);
+    await as(app, dave).post(`/api/blocks/${alice.id}`).expect(200);
+    const ids = [bob.id, carol.id, dave.id].join(',');
+    const hidden = await as(app, alice).get(`/api/presence?userIds=${ids}`).expect(200);
+    assert.deepEqual(hidden.body.map((status) => status.userId), [bob.id]);
+
+    await follow(app, alice, carol);
+    const requests = await as(app, carol).get('/api/follow-requests').expect(200);
+    await as(app, carol).post(`/api/follow-requests/${requests.body.requests[0]._id}/approve`).expect(200);
+    const following = await as(app, alice).get(`/api/presence?userIds=${ids}`).expect(200);
+    assert.deepEqual(following.body.map((status) => status.userId).sort(), [bob.id, carol.id].sort());
+
+    await as(app, alice).get('/api/presence').expect(400);
+    await as(app, alice).get('/api/presence?userIds=nope').expect(400);
+  });
+});
@@ -0,0 +1,105 @@
+// Minimal gzipped tar archives (ustar, regular files only) for data exports and imports
+const zlib = require('zlib');
+
+const BLOCK = 512;
+const MAX_NAME_LENGTH = 100; // Export entries are short, so the ustar name prefix is never needed
+
+class ArchiveError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ArchiveError';
+    this.status = status;
+  }
+}
+
+function writeString(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function writeOctal(header, value, offset, length) {
+  writeString(header, `${value.toString(8).padStart(length - 1, '0')}\0`, offset, length);
+}
+
+function checksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i]; // The checksum field counts as spaces
+  }
+  return sum;
+}
+
+function entryHeader(name, size, mtime) {
+  if (Buffer.byteLength(name) > MAX_NAME_LENGTH) throw new Error(`Archive entry name too long: ${name}`);
+
+  const header = Buffer.alloc(BLOCK);
+  writeString(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8); // uid
+  writeOctal(header, 0, 116, 8); // gid
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header[156] = 0x30; // Regular file
+  writeString(header, 'ustar\0', 257, 6);
+  writeString(header, '00', 263, 2);
+  writeString(header, `${checksum(header).toString(8).padStart(6, '0')}\0 `, 148, 8);
+  return header;
+}
+
+function padding(size) {
+  const remainder = size % BLOCK;
+  return remainder === 0 ? Buffer.alloc(0) : Buffer.alloc(BLOCK - remainder);
+}
+
+// Packs `[{ name, data }]` (data as a Buffer or string) into a .tar.gz buffer
+function createTarGz(entries, mtime = new Date()) {
+  const chunks = [];
+  for (const { name, data } of entries) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    chunks.push(entryHeader(name, buffer.length, mtime), buffer, padding(buffer.length));
+  }
+  chunks.push(Buffer.alloc(BLOCK * 2));
+  return zlib.gzipSync(Buffer.concat(chunks));
+}
+
+function readString(block, offset, length) {
+  const end = block.indexOf(0, offset);
+  return block.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+// Unpacks a .tar.gz buffer into `[{ name, data }]`, skipping anything that is not a regular
+// file. Throws ArchiveError for corrupt archives or ones that unpack to more than `maxBytes`.
+function readTarGz(buffer, { maxBytes }) {
+  let tar;
+  try {
+    tar = zlib.gunzipSync(buffer, { maxOutputLength: maxBytes });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new ArchiveError('Archive is too large', 413);
+    throw new ArchiveError('Archive is not a gzipped tar file');
+  }
+
+  const entries = [];
+  let offset = 0;
+  while (offset + BLOCK <= tar.length) {
+    const header = tar.subarray(offset, offset + BLOCK);
+    if (header.every((byte) => byte === 0)) break; // End of archive
+
+    if (parseInt(readString(header, 148, 8).trim(), 8) !== checksum(header)) {
+      throw new ArchiveError('Archive is corrupt');
+    }
+
+    const prefix = readString(header, 345, 155);
+    const name = readString(header, 0, 100);
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156]);
+    const dataStart = offset + BLOCK;
+    if (Number.isNaN(size) || dataStart + size > tar.length) throw new ArchiveError('Archive is truncated');
+
+    if (type === '0' || type === '\0') {
+      entries.push({ name: prefix ? `${prefix}/${name}` : name, data: tar.subarray(dataStart, dataStart + size) });
+    }
+    offset = dataStart + Math.ceil(size / BLOCK) * BLOCK;
+  }
+  return entries;
+}
+
+module.exports = { ArchiveError, createTarGz, readTarGz };
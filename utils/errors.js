@@ -0,0 +1,68 @@
+// Every error response has the same shape: `{ code, message, errors? }`, where `errors`
+// lists field problems for validation failures. Nothing else (stack traces, raw error
+// objects) is ever sent to clients.
+const mongoose = require('mongoose');
+const multer = require('multer');
+
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  503: 'SERVICE_UNAVAILABLE',
+};
+
+function errorCode(status) {
+  return ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+function toErrorEnvelope(status, body = {}) {
+  const envelope = {
+    code: body.code || errorCode(status),
+    message: status >= 500 ? body.message || 'Internal server error' : body.message || 'Request failed',
+  };
+  if (status < 500 && Array.isArray(body.errors)) envelope.errors = body.errors;
+  return envelope;
+}
+
+// Normalizes every JSON error response a handler sends into the envelope
+function errorEnvelopeMiddleware(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      return json(toErrorEnvelope(res.statusCode, body));
+    }
+    return json(body);
+  };
+  next();
+}
+
+// Error handling middleware (internal error details are logged, never sent to the client)
+function errorHandler(err, req, res, next) {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ code: 'INVALID_JSON', message: 'Request body is not valid JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ message: 'Request body is too large' });
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ message: `Invalid ${err.path}` });
+  }
+  if (err instanceof multer.MulterError) {
+    const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    return res.status(status).json({ message: err.message });
+  }
+
+  console.error('Unhandled error in route:', err);
+  res.status(500).json({ message: 'Internal server error' });
+}
+
+module.exports = {
+  errorCode,
+  toErrorEnvelope,
+  errorEnvelopeMiddleware,
+  errorHandler,
+};
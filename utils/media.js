@@ -0,0 +1,99 @@
+// Image upload processing: type sniffing, resizing, thumbnails and metadata stripping
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const MAX_DIMENSION = 2048; // Longest side of the stored main image
+const THUMBNAIL_DIMENSION = 320;
+
+// Magic numbers of the image formats we accept. The client-supplied mimetype and
+// file extension are never trusted.
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', ext: '.jpg', matches: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    mimeType: 'image/png',
+    ext: '.png',
+    matches: (b) => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  { mimeType: 'image/gif', ext: '.gif', matches: (b) => b.length > 6 && /^GIF8[79]a$/.test(b.toString('ascii', 0, 6)) },
+  {
+    mimeType: 'image/webp',
+    ext: '.webp',
+    matches: (b) => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP',
+  },
+];
+
+class MediaError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MediaError';
+    this.status = status;
+  }
+}
+
+function sniffImageType(buffer) {
+  return SIGNATURES.find((signature) => signature.matches(buffer)) || null;
+}
+
+// Random names can't collide under concurrent uploads and don't leak the original filename
+function generateFilename(ext, suffix = '') {
+  return `${crypto.randomUUID()}${suffix}${ext}`;
+}
+
+function encode(pipeline, mimeType) {
+  switch (mimeType) {
+    case 'image/png': return pipeline.png();
+    case 'image/gif': return pipeline.gif();
+    case 'image/webp': return pipeline.webp({ quality: 85 });
+    default: return pipeline.jpeg({ quality: 85, mozjpeg: true });
+  }
+}
+
+// Validates an uploaded image and returns the main image and a thumbnail, both
+// auto-rotated and re-encoded without EXIF/GPS metadata (sharp drops it unless asked to keep it).
+// Files over `maxBytes` are rejected.
+async function processImage(buffer, { maxBytes }) {
+  if (!buffer || buffer.length === 0) throw new MediaError('Empty file');
+  if (buffer.length > maxBytes) throw new MediaError('File is too large', 413);
+
+  const type = sniffImageType(buffer);
+  if (!type) throw new MediaError('Unsupported file type, upload a JPEG, PNG, GIF or WebP image');
+
+  const animated = type.mimeType === 'image/gif' || type.mimeType === 'image/webp';
+  const load = () => sharp(buffer, { animated, failOn: 'error' }).rotate();
+
+  let main;
+  let thumbnail;
+  try {
+    main = await encode(
+      load().resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true }),
+      type.mimeType
+    ).toBuffer({ resolveWithObject: true });
+    thumbnail = await encode(
+      load().resize(THUMBNAIL_DIMENSION, THUMBNAIL_DIMENSION, { fit: 'inside', withoutEnlargement: true }),
+      type.mimeType
+    ).toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    throw new MediaError('File is not a valid image');
+  }
+
+  return {
+    mimeType: type.mimeType,
+    ext: type.ext,
+    main: { buffer: main.data, width: main.info.width, height: main.info.pageHeight || main.info.height },
+    variants: [
+      {
+        name: 'thumbnail',
+        buffer: thumbnail.data,
+        width: thumbnail.info.width,
+        height: thumbnail.info.pageHeight || thumbnail.info.height,
+      },
+    ],
+  };
+}
+
+module.exports = {
+  MediaError,
+  sniffImageType,
+  generateFilename,
+  processImage,
+};
@@ -0,0 +1,47 @@
+// Roles, reports and moderator actions
+
+// In increasing order of privilege
+const USER_ROLES = ['user', 'moderator', 'admin'];
+
+const REPORT_TARGET_TYPES = ['post', 'comment', 'user'];
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'violence', 'nudity', 'self_harm', 'misinformation', 'other'];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+const MODERATION_ACTIONS = [
+  'hide_post',
+  'unhide_post',
+  'delete_comment',
+  'suspend_user',
+  'unsuspend_user',
+  'dismiss_report',
+  'set_role',
+];
+
+function roleRank(role) {
+  return USER_ROLES.indexOf(role || 'user');
+}
+
+// Whether `role` is `minimumRole` or more privileged
+function hasRole(role, minimumRole) {
+  return roleRank(role) >= roleRank(minimumRole);
+}
+
+// Moderators can only act on accounts less privileged than their own
+function outranks(role, otherRole) {
+  return roleRank(role) > roleRank(otherRole);
+}
+
+function isSuspended(user, now = new Date()) {
+  return Boolean(user && user.suspendedUntil && user.suspendedUntil > now);
+}
+
+module.exports = {
+  USER_ROLES,
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  MODERATION_ACTIONS,
+  hasRole,
+  outranks,
+  isSuspended,
+};
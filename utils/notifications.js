@@ -0,0 +1,28 @@
+// Notification types and the text shown for them
+
+const NOTIFICATION_TYPES = ['like', 'comment', 'reply', 'mention', 'follow', 'follow_request', 'repost'];
+
+const NOTIFICATION_VERBS = {
+  like: 'liked your post',
+  comment: 'commented on your post',
+  reply: 'replied to your comment',
+  mention: 'mentioned you',
+  follow: 'followed you',
+  follow_request: 'requested to follow you',
+  repost: 'reposted your post',
+};
+
+// "alice liked your post", "alice and 1 other liked your post", "alice and 12 others liked your post"
+function describeNotification(type, username, actorCount = 1) {
+  const others = actorCount - 1;
+  let actors = username || 'Someone';
+  if (others > 0) {
+    actors = `${actors} and ${others} ${others === 1 ? 'other' : 'others'}`;
+  }
+  return `${actors} ${NOTIFICATION_VERBS[type]}`;
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  describeNotification,
+};
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Cursors are opaque to clients: base64url-encoded `createdAt` (or another date field) + `_id` of a document
+function encodeCursor(doc, field = 'createdAt') {
+  if (!doc) return null;
+  const payload = JSON.stringify({ t: new Date(doc[field]).getTime(), id: doc._id.toString() });
+  return Buffer.from(payload).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isFinite(t) || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { date: new Date(t), _id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseLimit(value, defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT) {
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit < 1) return defaultLimit;
+  return Math.min(limit, maxLimit);
+}
+
+// Offsets for ranked lists that page by position. The route's schema rejects anything that is
+// not a non-negative integer; this turns the query string into a number and caps it.
+function parseOffset(value, maxOffset) {
+  const offset = parseInt(value, 10);
+  if (!Number.isFinite(offset) || offset < 0) return 0;
+  return Math.min(offset, maxOffset);
+}
+
+// Builds the filter/sort for a page from `before`, `after` and `limit` query params.
+// Returns null when a cursor cannot be decoded. `options.field` picks the date field to page on.
+//   before: items older than the cursor (default, newest first)
+//   after:  items newer than the cursor, for picking up posts that arrived mid-scroll
+function parsePageParams(query = {}, options = {}) {
+  const field = options.field || 'createdAt';
+  const limit = parseLimit(query.limit, options.defaultLimit, options.maxLimit);
+  const direction = query.after ? 'after' : 'before';
+  const rawCursor = query.after || query.before;
+
+  let filter = {};
+  if (rawCursor) {
+    const cursor = decodeCursor(String(rawCursor));
+    if (!cursor) return null;
+
+    const op = direction === 'after' ? '$gt' : '$lt';
+    filter = {
+      $or: [
+        { [field]: { [op]: cursor.date } },
+        { [field]: cursor.date, _id: { [op]: cursor._id } },
+      ],
+    };
+  }
+
+  // Newer-than queries walk forward from the cursor so no items are skipped, then get reversed
+  const order = direction === 'after' ? 1 : -1;
+
+  return {
+    limit,
+    direction,
+    filter,
+    sort: { [field]: order, _id: order },
+    // Query with `limit + 1` so we know whether another page exists
+    fetchLimit: limit + 1,
+    finish(docs) {
+      const hasMore = docs.length > limit;
+      const items = docs.slice(0, limit);
+      if (direction === 'after') items.reverse();
+
+      return {
+        items,
+        nextCursor: direction === 'before' && hasMore ? encodeCursor(items[items.length - 1], field) : null,
+        prevCursor: items.length > 0 ? encodeCursor(items[0], field) : rawCursor || null,
+      };
+    },
+  };
+}
+
+// Combines a route's own filter with the page filter without clobbering either `$or`
+function withPageFilter(filter, page) {
+  if (!page.filter.$or) return filter;
+  return { $and: [filter, page.filter] };
+}
+
+// Ranked feeds cannot page by date, so their cursor carries the time ranking started at
+// and the ids already shown. Ids are packed as raw bytes to keep the cursor short.
+const MAX_SEEN_IDS = 200;
+
+function encodeSeenCursor({ now, seenIds }) {
+  const header = Buffer.alloc(8);
+  header.writeDoubleBE(now);
+  const ids = seenIds.map((id) => Buffer.from(id.toString(), 'hex'));
+  return Buffer.concat([header, ...ids]).toString('base64url');
+}
+
+function decodeSeenCursor(cursor) {
+  const bytes = Buffer.from(String(cursor), 'base64url');
+  if (bytes.length < 8 || (bytes.length - 8) % 12 !== 0) return null;
+
+  const now = bytes.readDoubleBE(0);
+  if (!Number.isFinite(now)) return null;
+
+  const seenIds = [];
+  for (let offset = 8; offset < bytes.length; offset += 12) {
+    seenIds.push(new mongoose.Types.ObjectId(bytes.subarray(offset, offset + 12).toString('hex')));
+  }
+  return { now, seenIds };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  parseOffset,
+  parsePageParams,
+  withPageFilter,
+  MAX_SEEN_IDS,
+  encodeSeenCursor,
+  decodeSeenCursor,
+};
@@ -0,0 +1,95 @@
+// Who may see a post. Every route that reads or interacts with posts goes through here.
+
+const VISIBILITIES = ['public', 'followers', 'close_friends', 'only_me'];
+
+// Drafts and scheduled posts are seen by nobody, their author included, until they are
+// published; authors manage them through /api/drafts
+const POST_STATUSES = ['draft', 'scheduled', 'published'];
+
+// `private` was the only non-public option before audiences existed
+const VISIBILITY_ALIASES = { private: 'only_me' };
+
+// Returns the canonical visibility, or null when the value is not a known audience
+function normalizeVisibility(value) {
+  const visibility = VISIBILITY_ALIASES[value] || value;
+  return VISIBILITIES.includes(visibility) ? visibility : null;
+}
+
+function includesId(ids, id) {
+  return (ids || []).some((candidate) => candidate.toString() === id.toString());
+}
+
+// The visibilities of `author`'s posts that `viewer` may see. Both are user documents;
+// `author` needs `isPrivate` and `closeFriends`. `follows` says whether viewer follows author.
+function allowedVisibilities(viewer, author, follows) {
+  if (viewer._id.toString() === author._id.toString()) return [...VISIBILITIES];
+
+  // Private accounts show nothing to people they have not approved
+  if (author.isPrivate && !follows) return [];
+
+  const allowed = ['public'];
+  if (follows) allowed.push('followers');
+  if (follows && includesId(author.closeFriends, viewer._id)) allowed.push('close_friends');
+  return allowed;
+}
+
+// Drafts and scheduled posts are visible to nobody, their author included, until they go out.
+// Posts saved before drafts existed have no status and count as published.
+function isPublished(post) {
+  return !post.status || post.status === 'published';
+}
+
+// Posts hidden by a moderator stay visible to their author only
+function canViewPost(viewer, post, author, follows) {
+  if (!isPublished(post)) return false;
+  if (post.hiddenAt && viewer._id.toString() !== author._id.toString()) return false;
+  return allowedVisibilities(viewer, author, follows).includes(post.visibility);
+}
+
+// Public posts from public accounts, which are what signed-out viewers see and the only
+// posts that can be reposted or quoted. `author` needs `isPrivate`.
+function isPubliclyVisible(post, author) {
+  return isPublished(post) && post.visibility === 'public' && !post.hiddenAt && !author.isPrivate;
+}
+
+// Mongo filter for the feed: the viewer's own posts plus what followed users shared with them.
+// `followingIds` are the users the viewer follows; `closeFriendOfIds` are the ids of users
+// who have the viewer on their close friends list.
+function feedVisibilityFilter(viewer, followingIds, closeFriendOfIds) {
+  return {
+    status: 'published',
+    $or: [
+      { userId: viewer._id },
+      { userId: { $in: followingIds }, visibility: { $in: ['public', 'followers'] }, hiddenAt: null },
+      {
+        userId: { $in: followingIds.filter((id) => includesId(closeFriendOfIds, id)) },
+        visibility: 'close_friends',
+        hiddenAt: null,
+      },
+    ],
+  };
+}
+
+// Mongo filter for discovery (search, hashtags): everything in the feed filter plus public
+// posts from public accounts. Expects the author joined in as `author` (with `isPrivate`).
+function discoveryVisibilityFilter(viewer, followingIds, closeFriendOfIds) {
+  return {
+    status: 'published',
+    $or: [
+      ...feedVisibilityFilter(viewer, followingIds, closeFriendOfIds).$or,
+      { visibility: 'public', hiddenAt: null, 'author.isPrivate': { $ne: true } },
+    ],
+  };
+}
+
+module.exports = {
+  VISIBILITIES,
+  POST_STATUSES,
+  normalizeVisibility,
+  allowedVisibilities,
+  isPublished,
+  canViewPost,
+  isPubliclyVisible,
+  feedVisibilityFilter,
+  discoveryVisibilityFilter,
+};
@@ -0,0 +1,51 @@
+// Tracks which users have live Socket.IO connections in this process.
+// Maps userId -> Set of socket ids.
+//
+// This only works with a single instance: a second process would neither see these
+// connections (so users connected there look offline, and the per-user connection limit
+// applies per process) nor receive events emitted to rooms here. Running more than one
+// instance needs this moved to a shared store (and a Socket.IO adapter) first.
+const connections = new Map();
+
+function connectionCount(userId) {
+  const sockets = connections.get(userId.toString());
+  return sockets ? sockets.size : 0;
+}
+
+function isOnline(userId) {
+  return connectionCount(userId) > 0;
+}
+
+// Returns true when this is the user's first connection (they just came online)
+function addConnection(userId, socketId) {
+  const key = userId.toString();
+  if (!connections.has(key)) connections.set(key, new Set());
+  const sockets = connections.get(key);
+  sockets.add(socketId);
+  return sockets.size === 1;
+}
+
+// Returns true when this was the user's last connection (they just went offline)
+function removeConnection(userId, socketId) {
+  const key = userId.toString();
+  const sockets = connections.get(key);
+  if (!sockets) return false;
+
+  sockets.delete(socketId);
+  if (sockets.size > 0) return false;
+
+  connections.delete(key);
+  return true;
+}
+
+function onlineUserCount() {
+  return connections.size;
+}
+
+module.exports = {
+  connectionCount,
+  isOnline,
+  addConnection,
+  removeConnection,
+  onlineUserCount,
+};
@@ -0,0 +1,82 @@
+// Scoring for the ranked ("For You") feed and follow suggestions. Pure functions of
+// their signals and a fixed `now`, so the same inputs always give the same order.
+
+const HOUR = 60 * 60 * 1000;
+
+const RANKING_WEIGHTS = {
+  like: 1,
+  comment: 3, // A comment takes more effort than a like
+  affinity: 2, // Per log-interaction between the viewer and the author
+  halfLifeHours: 12, // A post's score halves every 12 hours
+  outOfNetwork: 0.5, // Posts from accounts the viewer does not follow start at half weight
+};
+
+function authorIdOf(post) {
+  const author = post.userId;
+  return (author && author._id ? author._id : author).toString();
+}
+
+// `affinity` is how many times the viewer recently interacted with the author;
+// `inNetwork` says whether the post comes from the viewer or someone they follow
+function scorePost(post, { now, affinity = 0, inNetwork = true, weights = RANKING_WEIGHTS }) {
+  const ageHours = Math.max(0, (now - new Date(post.createdAt).getTime()) / HOUR);
+  const recency = Math.pow(0.5, ageHours / weights.halfLifeHours);
+  const engagement = Math.log1p(weights.like * (post.likeCount || 0) + weights.comment * (post.commentCount || 0));
+  const relationship = weights.affinity * Math.log1p(affinity);
+  const network = inNetwork ? 1 : weights.outOfNetwork;
+  return recency * (1 + engagement + relationship) * network;
+}
+
+// Highest score first; ties go to the newer post, then the higher id, so the order is total.
+// `affinity` maps author ids to interaction counts; `networkIds` holds the in-network author ids.
+function rankPosts(posts, { now, affinity = new Map(), networkIds = new Set(), weights }) {
+  return posts
+    .map((post) => {
+      const authorId = authorIdOf(post);
+      const score = scorePost(post, {
+        now,
+        affinity: affinity.get(authorId) || 0,
+        inNetwork: networkIds.has(authorId),
+        weights,
+      });
+      return { post, score };
+    })
+    .sort((a, b) => b.score - a.score
+      || new Date(b.post.createdAt) - new Date(a.post.createdAt)
+      || b.post._id.toString().localeCompare(a.post._id.toString()))
+    .map(({ post }) => post);
+}
+
+const SUGGESTION_WEIGHTS = {
+  mutual: 3, // Per log-mutual follow: friends of friends are the strongest signal
+  engagement: 1, // Per log-interaction with the same posts as the viewer
+  activeHalfLifeDays: 7, // The activity bonus halves for every week since the candidate last posted
+  popularity: 0.1, // Per log-follower, mostly to order candidates with no other signal
+};
+
+// `mutualCount` is how many people the viewer follows who follow the candidate;
+// `sharedEngagement` how often the candidate liked or commented on posts the viewer did too
+function scoreSuggestion({
+  mutualCount = 0,
+  sharedEngagement = 0,
+  lastActiveAt = null,
+  followerCount = 0,
+  now,
+  weights = SUGGESTION_WEIGHTS,
+}) {
+  const activeDays = lastActiveAt ? Math.max(0, (now - new Date(lastActiveAt).getTime()) / (24 * HOUR)) : Infinity;
+  const activity = Math.pow(0.5, activeDays / weights.activeHalfLifeDays);
+  const signal = weights.mutual * Math.log1p(mutualCount)
+    + weights.engagement * Math.log1p(sharedEngagement)
+    + weights.popularity * Math.log1p(followerCount);
+  return signal * (1 + activity);
+}
+
+module.exports = {
+  RANKING_WEIGHTS,
+  SUGGESTION_WEIGHTS,
+  authorIdOf,
+  scorePost,
+  rankPosts,
+  scoreSuggestion,
+};
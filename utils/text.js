@@ -0,0 +1,48 @@
+// Helpers for user-written text
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Hashtags are `#` followed by letters, digits or underscores, not preceded by a word
+// character (so `a#b` and `&#39;` are not tags). Stored lowercase without the `#`.
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_]{1,50})/gu;
+
+function normalizeHashtag(tag) {
+  return String(tag || '').replace(/^#/, '').toLowerCase();
+}
+
+function extractHashtags(content) {
+  const tags = new Set();
+  for (const match of String(content || '').matchAll(HASHTAG_PATTERN)) {
+    // Pure numbers (#1) are usually not meant as tags
+    if (!/^\d+$/.test(match[2])) tags.add(normalizeHashtag(match[2]));
+  }
+  return [...tags];
+}
+
+// Mentions are `@username` not preceded by a word character (so emails are skipped).
+// A trailing dot is treated as punctuation rather than part of the username.
+const MENTION_PATTERN = /(^|[^A-Za-z0-9_@.])@([A-Za-z0-9_.]{1,30})/g;
+
+// Returns each mention with its offsets in `content`; `end` is exclusive and both
+// are UTF-16 indexes, so clients can slice the string directly to render links
+function extractMentions(content) {
+  const text = String(content || '');
+  const mentions = [];
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const username = match[2].replace(/\.+$/, '');
+    if (!username) continue;
+
+    const start = match.index + match[1].length;
+    mentions.push({ username, start, end: start + username.length + 1 });
+  }
+  return mentions;
+}
+
+module.exports = {
+  escapeRegex,
+  normalizeHashtag,
+  extractHashtags,
+  extractMentions,
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Access token helpers bound to a JWT config (`config.jwt`)
+function createTokens({ keys, accessTokenTtl, refreshTokenTtlDays }) {
+  function signAccessToken(payload) {
+    const [activeKey] = keys;
+    return jwt.sign(payload, activeKey.secret, {
+      expiresIn: accessTokenTtl,
+      keyid: activeKey.kid,
+    });
+  }
+
+  // Picks the verification key from the token's `kid` header so tokens signed
+  // with a key that has since been rotated out of first place keep working
+  function verifyAccessToken(token) {
+    return new Promise((resolve, reject) => {
+      const decoded = jwt.decode(token, { complete: true });
+      const kid = decoded && decoded.header.kid;
+      const key = keys.find((candidate) => candidate.kid === kid);
+      if (!key) return reject(new Error('Unknown signing key'));
+
+      jwt.verify(token, key.secret, (err, payload) => {
+        if (err) return reject(err);
+        resolve(payload);
+      });
+    });
+  }
+
+  function refreshTokenExpiry() {
+    return new Date(Date.now() + refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+  }
+
+  return { signAccessToken, verifyAccessToken, refreshTokenExpiry };
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+  createTokens,
+  generateRefreshToken,
+  hashToken,
+};
@@ -0,0 +1,39 @@
+// Request validation: each route declares zod schemas for its params, query and body,
+// checked before the handler runs.
+
+// Formats zod issues as `{ field, message }`, with the field prefixed by where it came from
+function toFieldErrors(part, issues) {
+  return issues.map((issue) => ({
+    field: [part, ...issue.path].join('.'),
+    message: issue.message,
+  }));
+}
+
+// Rejects the request with a 400 listing every invalid field. The parsed body (trimmed,
+// coerced, unknown fields dropped) replaces req.body; params and query are only checked.
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    let body;
+
+    ['params', 'query', 'body'].forEach((part) => {
+      if (!schemas[part]) return;
+
+      const result = schemas[part].safeParse(req[part] || {});
+      if (!result.success) {
+        errors.push(...toFieldErrors(part, result.error.issues));
+      } else if (part === 'body') {
+        body = result.data;
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ code: 'VALIDATION_ERROR', message: 'Invalid request', errors });
+    }
+
+    if (schemas.body) req.body = body;
+    next();
+  };
+}
+
+module.exports = { validate };
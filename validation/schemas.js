@@ -0,0 +1,440 @@
+// Request schemas for every route, grouped like the routes in server.js
+const { z } = require('zod');
+const { MAX_LIMIT } = require('../utils/pagination');
+const { NOTIFICATION_TYPES } = require('../utils/notifications');
+const { VISIBILITIES } = require('../utils/postAccess');
+const {
+  USER_ROLES,
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+} = require('../utils/moderation');
+
+const SEARCH_TYPES = ['all', 'users', 'posts', 'hashtags'];
+
+// Shared pieces
+
+const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/, 'Must be a valid id');
+
+const limit = z.coerce.number().int().min(1).max(MAX_LIMIT);
+
+const pageFields = {
+  before: z.string().max(200).optional(),
+  after: z.string().max(200).optional(),
+  limit: limit.optional(),
+};
+
+// Cursor-paginated query, optionally with route-specific fields
+function pageQuery(fields = {}) {
+  return z.object({ ...pageFields, ...fields })
+    .refine((query) => !(query.before && query.after), {
+      message: 'Use either before or after, not both',
+      path: ['after'],
+    });
+}
+
+// Multipart forms send booleans as strings
+const formBoolean = z.union([z.boolean(), z.enum(['true', 'false'])])
+  .transform((value) => value === true || value === 'true');
+
+// `private` is still accepted as an alias for `only_me`
+const visibility = z.enum([...VISIBILITIES, 'private']);
+
+const params = {
+  userId: z.object({ userId: objectId }),
+  postId: z.object({ postId: objectId }),
+  commentId: z.object({ commentId: objectId }),
+  sessionId: z.object({ sessionId: objectId }),
+  requestId: z.object({ requestId: objectId }),
+  notificationId: z.object({ notificationId: objectId }),
+  conversationId: z.object({ conversationId: objectId }),
+  reportId: z.object({ reportId: objectId }),
+  exportId: z.object({ exportId: objectId }),
+};
+
+const username = z.string().trim().min(3).max(30)
+  .regex(/^[A-Za-z0-9_.]+$/, 'Use only letters, numbers, underscores and dots');
+
+// bcrypt ignores everything after 72 bytes
+const newPassword = z.string().min(8).max(72);
+
+const email = z.string().trim().toLowerCase().max(254).pipe(z.email());
+
+// Auth and sessions
+
+const register = {
+  body: z.object({
+    username,
+    name: z.string().trim().max(50).optional(),
+    email: email.optional(),
+    password: newPassword,
+  }),
+};
+
+const login = {
+  body: z.object({
+    username: z.string().min(1).max(100),
+    password: z.string().min(1).max(200),
+  }),
+};
+
+const refreshToken = {
+  body: z.object({ refreshToken: z.string().min(1).max(200) }),
+};
+
+const revokeSession = { params: params.sessionId };
+
+// Account lifecycle
+
+const changePassword = {
+  body: z.object({
+    currentPassword: z.string().min(1).max(200),
+    newPassword,
+  }),
+};
+
+const requestPasswordReset = {
+  body: z.object({ email: z.string().trim().min(1).max(254) }),
+};
+
+const resetPassword = {
+  body: z.object({
+    token: z.string().min(1).max(200),
+    newPassword,
+  }),
+};
+
+const changeUsername = {
+  body: z.object({ username }),
+};
+
+const deleteAccount = {
+  body: z.object({ password: z.string().min(1).max(200) }),
+};
+
+// Data export and import
+
+const exportAction = { params: params.exportId };
+
+// Users, profiles and follows
+
+const userProfile = {
+  params: z.object({ username: z.string().min(1).max(100) }),
+  query: pageQuery(),
+};
+
+// Multipart forms send lists as JSON strings
+const formJson = (schema) => z.preprocess((value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}, schema);
+
+const profileLink = z.object({
+  label: z.string().trim().max(30).optional(),
+  url: z.url({ protocol: /^https?$/, message: 'Must be an http(s) URL' }).max(500),
+});
+
+const updateProfile = {
+  body: z.object({
+    name: z.string().trim().max(50).optional(),
+    email: z.union([email, z.literal('')]).optional(), // An empty string removes the address
+    bio: z.string().trim().max(160).optional(),
+    links: formJson(z.array(profileLink).max(5)).optional(),
+    location: z.string().trim().max(100).optional(),
+    pinnedPostId: z.union([objectId, z.literal('')]).optional(), // An empty string unpins
+    removeCoverImage: formBoolean.optional(),
+    isPrivate: formBoolean.optional(),
+  }),
+};
+
+const publicProfile = {
+  params: z.object({ username: z.string().min(1).max(100) }),
+  query: pageQuery(),
+};
+
+const userAction = { params: params.userId };
+
+const followList = {
+  params: z.object({
+    username: z.string().min(1).max(100),
+    relation: z.enum(['followers', 'following']),
+  }),
+  query: pageQuery(),
+};
+
+const listFollowRequests = {
+  query: pageQuery({ direction: z.enum(['incoming', 'outgoing']).optional() }),
+};
+
+const followRequestAction = { params: params.requestId };
+
+const listBlocks = { query: pageQuery() };
+
+const listMutes = { query: pageQuery() };
+
+// Posts and comments
+
+const FEED_MODES = ['chronological', 'ranked'];
+
+// `before`/`after` page the chronological feed; `cursor` pages the ranked one
+const feed = {
+  query: pageQuery({
+    mode: z.enum(FEED_MODES).optional(),
+    cursor: z.string().max(4000).optional(),
+  }),
+};
+
+// When to publish a scheduled post
+const publishAt = z.coerce.date().refine((date) => date > new Date(), 'Must be in the future');
+
+// `status: 'draft'` saves without publishing; `publishAt` schedules the post instead
+const createPost = {
+  body: z.object({
+    content: z.string().trim().min(1, 'Content is required').max(5000),
+    quoteOf: objectId.optional(),
+    visibility: visibility.optional(),
+    status: z.enum(['draft', 'published']).optional(),
+    publishAt: publishAt.optional(),
+  }).refine((body) => !(body.status && body.publishAt), {
+    message: 'Use either status or publishAt',
+    path: ['publishAt'],
+  }),
+};
+
+const updatePost = {
+  params: params.postId,
+  body: z.object({
+    content: z.string().trim().min(1).max(5000).optional(),
+    visibility: visibility.optional(),
+  }),
+};
+
+const postAction = { params: params.postId };
+
+const listDrafts = { query: pageQuery({ status: z.enum(['draft', 'scheduled']).optional() }) };
+
+// `publishAt` reschedules the draft; an empty string turns a scheduled post back into a draft
+const updateDraft = {
+  params: params.postId,
+  body: z.object({
+    content: z.string().trim().min(1).max(5000).optional(),
+    visibility: visibility.optional(),
+    publishAt: z.union([z.literal(''), publishAt]).optional(),
+  }),
+};
+
+const postLikes = { params: params.postId, query: pageQuery() };
+
+const createComment = {
+  params: params.postId,
+  body: z.object({
+    content: z.string().trim().min(1, 'Comment is required').max(1000),
+    parentId: objectId.optional(),
+  }),
+};
+
+const listComments = {
+  params: params.postId,
+  query: pageQuery({ parentId: objectId.optional() }),
+};
+
+const editComment = {
+  params: params.commentId,
+  body: z.object({ content: z.string().trim().min(1, 'Comment is required').max(1000) }),
+};
+
+const commentAction = { params: params.commentId };
+
+// Notifications and presence
+
+const listNotifications = {
+  query: pageQuery({ unread: z.enum(['true', 'false']).optional() }),
+};
+
+const markNotificationsRead = {
+  body: z.object({ ids: z.array(objectId).min(1).max(100) }),
+};
+
+const notificationAction = { params: params.notificationId };
+
+const updateNotificationPreferences = {
+  body: z.object({ muted: z.array(z.enum(NOTIFICATION_TYPES)) }),
+};
+
+const presence = {
+  query: z.object({
+    userIds: z.string()
+      .transform((value) => value.split(',').filter(Boolean))
+      .pipe(z.array(objectId).min(1).max(100)),
+  }),
+};
+
+// Direct messages
+
+const listConversations = { query: pageQuery() };
+
+const createConversation = {
+  body: z.object({
+    participantIds: z.array(objectId).min(1).max(50),
+    name: z.string().trim().max(100).optional(),
+  }),
+};
+
+const listMessages = { params: params.conversationId, query: pageQuery() };
+
+const sendMessage = {
+  params: params.conversationId,
+  body: z.object({ content: z.string().trim().max(2000).optional().default('') }),
+};
+
+const conversationAction = { params: params.conversationId };
+
+// Discovery
+
+const mentions = { query: pageQuery() };
+
+const search = {
+  query: z.object({
+    q: z.string().trim().min(1).max(100),
+    type: z.enum(SEARCH_TYPES).optional(),
+    limit: limit.optional(),
+    offset: z.coerce.number().int().min(0).optional(),
+  }),
+};
+
+const trendingHashtags = {
+  query: z.object({
+    hours: z.coerce.number().int().min(1).max(24 * 7).optional(),
+    limit: limit.optional(),
+  }),
+};
+
+const hashtagPosts = {
+  params: z.object({ tag: z.string().min(1).max(51) }),
+  query: pageQuery(),
+};
+
+const suggestions = {
+  query: z.object({
+    limit: limit.optional(),
+    offset: z.coerce.number().int().min(0).optional(),
+  }),
+};
+
+// Reports and moderation
+
+const createReport = {
+  body: z.object({
+    targetType: z.enum(REPORT_TARGET_TYPES),
+    targetId: objectId,
+    reason: z.enum(REPORT_REASONS),
+    details: z.string().trim().max(1000).optional(),
+  }),
+};
+
+const listReports = {
+  query: pageQuery({
+    status: z.enum(REPORT_STATUSES).optional(),
+    targetType: z.enum(REPORT_TARGET_TYPES).optional(),
+  }),
+};
+
+// Every moderator action can say why and which report prompted it
+const moderatorNote = {
+  reason: z.string().trim().max(500).optional(),
+  reportId: objectId.optional(),
+};
+
+const dismissReport = {
+  params: params.reportId,
+  body: z.object({ reason: moderatorNote.reason }),
+};
+
+const moderatePost = { params: params.postId, body: z.object(moderatorNote) };
+
+const moderateComment = { params: params.commentId, body: z.object(moderatorNote) };
+
+const suspendUser = {
+  params: params.userId,
+  body: z.object({
+    ...moderatorNote,
+    durationHours: z.coerce.number().int().min(1).max(24 * 365),
+  }),
+};
+
+const unsuspendUser = { params: params.userId, body: z.object(moderatorNote) };
+
+const setRole = {
+  params: params.userId,
+  body: z.object({ role: z.enum(USER_ROLES) }),
+};
+
+const auditLog = {
+  query: pageQuery({
+    moderatorId: objectId.optional(),
+    targetId: objectId.optional(),
+  }),
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  FEED_MODES,
+  register,
+  login,
+  refreshToken,
+  revokeSession,
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+  changeUsername,
+  deleteAccount,
+  exportAction,
+  userProfile,
+  updateProfile,
+  publicProfile,
+  userAction,
+  followList,
+  listFollowRequests,
+  followRequestAction,
+  listBlocks,
+  listMutes,
+  feed,
+  createPost,
+  updatePost,
+  postAction,
+  listDrafts,
+  updateDraft,
+  postLikes,
+  createComment,
+  listComments,
+  editComment,
+  commentAction,
+  listNotifications,
+  markNotificationsRead,
+  notificationAction,
+  updateNotificationPreferences,
+  presence,
+  listConversations,
+  createConversation,
+  listMessages,
+  sendMessage,
+  conversationAction,
+  mentions,
+  search,
+  trendingHashtags,
+  hashtagPosts,
+  suggestions,
+  createReport,
+  listReports,
+  dismissReport,
+  moderatePost,
+  moderateComment,
+  suspendUser,
+  unsuspendUser,
+  setRole,
+  auditLog,
+};